@@ -0,0 +1,154 @@
+// Operator routes over the raw payload archive: list failed deliveries and replay them
+import { isArchiveEnabled, isFailure, listArchived, markReplayed, readArchived } from './archive.js';
+import { timingSafeEqual } from './signature.js';
+
+const ADMIN_PATH = /^\/admin(\/|$)/;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+class AdminError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AdminError';
+    this.status = status;
+  }
+}
+
+function isAdminPath(pathname) {
+  return ADMIN_PATH.test(pathname);
+}
+
+function isAuthorized(request, env) {
+  const match = /^Bearer\s+(.+)$/i.exec(request.headers.get('authorization') || '');
+  return Boolean(match) && timingSafeEqual(match[1].trim(), env.NOCALL_ADMIN_TOKEN);
+}
+
+// A bare date means the whole day: from its start, or to its end
+function parseTime(value, name, endOfDay = false) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value);
+  const clock = endOfDay ? '23:59:59.999' : '00:00:00';
+  const time = Date.parse(DATE_ONLY.test(text) ? `${text}T${clock}Z` : text);
+  if (Number.isNaN(time)) throw new AdminError(`"${name}" must be an ISO 8601 date or date-time`);
+  return new Date(time);
+}
+
+// Defaults to the last 24 hours
+function parseQuery(values) {
+  const to = parseTime(values.to, 'to', true) ?? new Date();
+  const from = parseTime(values.from, 'from') ?? new Date(to.getTime() - DEFAULT_RANGE_MS);
+  const limit = values.limit === undefined || values.limit === null ? DEFAULT_LIMIT : Number(values.limit);
+
+  if (from > to) throw new AdminError('"from" must not be after "to"');
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new AdminError(`"limit" must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+
+  return { from, to, limit, tenant: values.tenant || null };
+}
+
+async function list(env, url) {
+  const query = parseQuery(Object.fromEntries(url.searchParams));
+  const pendingOnly = url.searchParams.get('pending') === 'true';
+  const { entries, more } = await listArchived(env, { ...query, pendingOnly });
+
+  return {
+    status: 200,
+    body: { from: query.from.toISOString(), to: query.to.toISOString(), failures: entries, more },
+  };
+}
+
+// Replays skip signature checks, so only bodies that passed them, or arrived while none was required,
+// are sent again. That leaves out 401s, and deliveries turned away earlier, e.g. for an unknown tenant.
+function isReplayable(metadata) {
+  return metadata.authenticated;
+}
+
+async function replayOne(env, key, replay) {
+  const archived = await readArchived(env, key);
+  if (!archived) throw new AdminError(`No archived delivery "${key}"`, 404);
+  if (!isReplayable(archived.metadata)) {
+    throw new AdminError('Only deliveries that passed signature verification can be replayed', 409);
+  }
+
+  const replayedAt = new Date();
+  let outcome;
+  try {
+    outcome = await replay(archived, env);
+  } catch (error) {
+    outcome = { status: 500, operation: null, callId: null, error: String(error) };
+  }
+
+  await markReplayed(env, key, { replayedAt, status: outcome.status });
+  console.info('Archived delivery replayed', { key, status: outcome.status, operation: outcome.operation });
+  return { key, ...outcome };
+}
+
+// One at a time, oldest first, so a call's events reach Salesforce in the order they were sent.
+// Replays are archived too; only originals are picked up here, and they carry the replay's result.
+async function replayRange(env, values, replay) {
+  const query = parseQuery(values);
+  const { entries, more } = await listArchived(env, { ...query, pendingOnly: true });
+  const results = [];
+
+  for (const entry of entries.filter((candidate) => isReplayable(candidate) && !candidate.replayOf)) {
+    results.push(await replayOne(env, entry.key, replay));
+  }
+
+  return {
+    from: query.from.toISOString(),
+    to: query.to.toISOString(),
+    replayed: results.length,
+    failed: results.filter((result) => isFailure(result.status)).length,
+    results,
+    more,
+  };
+}
+
+async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    throw new AdminError('Request body must be JSON');
+  }
+}
+
+// Returns { status, body }. `replay(archived, env)` sends an archived delivery through the
+// webhook pipeline again and resolves to its outcome. Routes 404 unless NOCALL_ADMIN_TOKEN is set.
+async function handleAdminRequest(request, env, replay) {
+  if (!env.NOCALL_ADMIN_TOKEN) return { status: 404, body: { error: 'Not Found' } };
+  if (!isAuthorized(request, env)) return { status: 401, body: { error: 'Unauthorized' } };
+  if (!isArchiveEnabled(env)) {
+    return { status: 501, body: { error: 'No archive configured', detail: 'Bind an R2 bucket as NOCALL_ARCHIVE' } };
+  }
+
+  const url = new URL(request.url);
+  const route = url.pathname.replace(/\/+$/, '');
+
+  try {
+    if (route === '/admin/failures') {
+      if (request.method !== 'GET') return { status: 405, body: { error: 'Method Not Allowed' } };
+      return await list(env, url);
+    }
+
+    if (route === '/admin/replay') {
+      if (request.method !== 'POST') return { status: 405, body: { error: 'Method Not Allowed' } };
+      const body = await readJson(request);
+      if (body?.key) return { status: 200, body: await replayOne(env, String(body.key), replay) };
+      if (!body?.from) throw new AdminError('Give the "key" of one delivery, or a "from" and optional "to"');
+      return { status: 200, body: await replayRange(env, body, replay) };
+    }
+  } catch (error) {
+    if (error instanceof AdminError || error instanceof RangeError) {
+      return { status: error.status ?? 400, body: { error: error.message } };
+    }
+    throw error;
+  }
+
+  return { status: 404, body: { error: 'Not Found' } };
+}
+
+export { handleAdminRequest, isAdminPath };
@@ -0,0 +1,161 @@
+// Call quality metrics derived from the conversation log, written to fields chosen in NOCALL_ANALYTICS_FIELDS
+import { ConfigError } from './errors.js';
+import { toEpoch } from './values.js';
+
+const DEFAULT_SHORT_CALL_SEC = 30;
+
+// Metric name → how its value is stored. Metrics that cannot be worked out are null and left unwritten.
+const METRICS = {
+  userTurns: (metrics) => metrics.userTurns,
+  assistantTurns: (metrics) => metrics.assistantTurns,
+  toolCallCount: (metrics) => metrics.toolCallCount,
+  // A text field; each name appears once, in the order first called
+  toolNames: (metrics) => (metrics.toolNames.length > 0 ? metrics.toolNames.join(', ') : null),
+  userTalkShare: (metrics) => metrics.userTalkShare,
+  assistantTalkShare: (metrics) => metrics.assistantTalkShare,
+  firstUserResponseSec: (metrics) => metrics.firstUserResponseSec,
+  endedBy: (metrics) => metrics.endedBy,
+  shortCall: (metrics) => metrics.shortCall,
+};
+
+function textLength(content) {
+  if (content === undefined || content === null) return 0;
+  return (typeof content === 'string' ? content : JSON.stringify(content)).length;
+}
+
+function roundTo(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// Seconds from the start of the call, from `secondsFromStart` or an ISO `time`/`timestamp` on the message
+function offsetOf(message, startedAt) {
+  if (Number.isFinite(message.secondsFromStart)) return message.secondsFromStart;
+
+  const time = toEpoch(message.time ?? message.timestamp);
+  return time === null || startedAt === null ? null : (time - startedAt) / 1000;
+}
+
+function durationOf(conversation) {
+  if (Number.isFinite(conversation.duration)) return conversation.duration;
+
+  const start = toEpoch(conversation.startTime);
+  const end = toEpoch(conversation.endTime);
+  return start === null || end === null || end < start ? null : (end - start) / 1000;
+}
+
+function countToolCalls(messages) {
+  const announced = new Set();
+  const names = [];
+  let count = 0;
+
+  const addName = (name) => {
+    if (name && !names.includes(name)) names.push(name);
+  };
+
+  for (const message of messages) {
+    if (message.role === 'assistant_tool_call') {
+      for (const toolCall of message.tool_calls || []) {
+        count += 1;
+        if (toolCall?.id) announced.add(toolCall.id);
+        addName(toolCall?.name);
+      }
+    }
+
+    // A result whose call was never announced still stands for one call
+    if (message.role === 'tool' && !(message.tool_call_id && announced.has(message.tool_call_id))) {
+      count += 1;
+      addName(message.name);
+    }
+  }
+
+  return { count, names };
+}
+
+// Pure: the same conversation always gives the same metrics. Talk share is estimated from the
+// characters each side spoke, as a percentage, since the log carries no audio timings.
+// `conversation` is the console payload's `conversation` object.
+function analyzeConversation(conversation, { shortCallSec = DEFAULT_SHORT_CALL_SEC } = {}) {
+  const log = conversation?.message ?? conversation?.messages;
+  const messages = Array.isArray(log) ? log.filter((entry) => entry && typeof entry === 'object') : [];
+  const spoken = messages.filter((entry) => entry.role === 'user' || entry.role === 'assistant');
+  const user = spoken.filter((entry) => entry.role === 'user');
+  const assistant = spoken.filter((entry) => entry.role === 'assistant');
+
+  const userChars = user.reduce((total, entry) => total + textLength(entry.content), 0);
+  const assistantChars = assistant.reduce((total, entry) => total + textLength(entry.content), 0);
+  const talked = userChars + assistantChars;
+
+  // Measured from the assistant's opening line, or from the start of the call when the user speaks first
+  const startedAt = toEpoch(conversation?.startTime);
+  const firstUser = user.length > 0 ? offsetOf(user[0], startedAt) : null;
+  const opening = spoken[0]?.role === 'assistant' ? offsetOf(spoken[0], startedAt) : 0;
+  const firstUserResponseSec =
+    firstUser === null || opening === null ? null : roundTo(Math.max(firstUser - opening, 0), 1);
+
+  const tools = countToolCalls(messages);
+  const duration = conversation ? durationOf(conversation) : null;
+
+  return {
+    userTurns: user.length,
+    assistantTurns: assistant.length,
+    toolCallCount: tools.count,
+    toolNames: tools.names,
+    userTalkShare: talked > 0 ? roundTo((userChars / talked) * 100, 1) : null,
+    assistantTalkShare: talked > 0 ? roundTo((assistantChars / talked) * 100, 1) : null,
+    firstUserResponseSec,
+    endedBy: spoken.length > 0 ? spoken[spoken.length - 1].role : null,
+    shortCall: duration === null ? null : duration < shortCallSec,
+  };
+}
+
+function analyticsSettings(env) {
+  if (!env.NOCALL_ANALYTICS_FIELDS) return null;
+
+  let fields;
+  try {
+    fields = JSON.parse(env.NOCALL_ANALYTICS_FIELDS);
+  } catch (error) {
+    throw new ConfigError('Invalid analytics configuration', [`NOCALL_ANALYTICS_FIELDS is not JSON: ${error}`]);
+  }
+
+  const problems = [];
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    problems.push('NOCALL_ANALYTICS_FIELDS must map metric names to Salesforce field names');
+  } else {
+    for (const [metric, field] of Object.entries(fields)) {
+      if (!(metric in METRICS)) {
+        problems.push(`NOCALL_ANALYTICS_FIELDS: unknown metric "${metric}"; use ${Object.keys(METRICS).join(', ')}`);
+      } else if (typeof field !== 'string' || field === '') {
+        problems.push(`NOCALL_ANALYTICS_FIELDS.${metric}: must be a Salesforce field name`);
+      }
+    }
+  }
+
+  const shortCallSec =
+    env.NOCALL_SHORT_CALL_SEC === undefined ? DEFAULT_SHORT_CALL_SEC : Number(env.NOCALL_SHORT_CALL_SEC);
+  if (!Number.isFinite(shortCallSec) || shortCallSec < 0) {
+    problems.push('NOCALL_SHORT_CALL_SEC must be a number of seconds');
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError('Invalid analytics configuration', problems);
+  }
+
+  return { fields, shortCallSec };
+}
+
+// Salesforce fields for the configured metrics; empty when the payload has no conversation log
+function analyticsFields(settings, conversation) {
+  const log = conversation?.message ?? conversation?.messages;
+  if (!settings || !Array.isArray(log)) return {};
+
+  const metrics = analyzeConversation(conversation, { shortCallSec: settings.shortCallSec });
+  return Object.fromEntries(
+    Object.entries(settings.fields)
+      .map(([metric, field]) => [field, METRICS[metric](metrics)])
+      .filter(([, value]) => value !== null)
+  );
+}
+
+export { analyticsFields, analyticsSettings, analyzeConversation };
@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import { handleRequest } from './index.js';
+import { analyticsFields, analyticsSettings, analyzeConversation } from './analytics.js';
+import { allowUnsigned } from './test-helpers.js';
+
+const CONVERSATION = {
+  startTime: '2025-03-28T15:40:00.000+09:00',
+  endTime: '2025-03-28T15:45:00.000+09:00',
+  duration: 300,
+  message: [
+    { role: 'system', content: 'You are a receptionist' },
+    { role: 'assistant', content: 'Hello, this is NoCall.', secondsFromStart: 1.2 },
+    { role: 'user', content: 'Hi.', time: '2025-03-28T06:40:04.700Z' },
+    { role: 'assistant_tool_call', tool_calls: [{ id: 't1', name: 'lookup' }, { id: 't2', name: 'book' }] },
+    { role: 'tool', tool_call_id: 't1', name: 'lookup', content: 'found' },
+    { role: 'tool', tool_call_id: 't2', name: 'book', content: 'booked' },
+    { role: 'tool', tool_call_id: 't9', name: 'lookup', content: 'late result' },
+    { role: 'assistant', content: 'Booked for you.' },
+    { role: 'user', content: 'Thanks, bye!' },
+  ],
+};
+
+async function testMetricsAreDerivedFromTheLog() {
+  assert.deepEqual(analyzeConversation(CONVERSATION), {
+    userTurns: 2,
+    assistantTurns: 2,
+    toolCallCount: 3,
+    toolNames: ['lookup', 'book'],
+    // 15 user characters against 37 from the assistant
+    userTalkShare: 28.8,
+    assistantTalkShare: 71.2,
+    firstUserResponseSec: 3.5,
+    endedBy: 'user',
+    shortCall: false,
+  });
+}
+
+async function testMissingDataGivesNullMetrics() {
+  const metrics = analyzeConversation({ message: [{ role: 'assistant', content: 'Hello?' }] });
+  assert.equal(metrics.userTurns, 0);
+  assert.equal(metrics.userTalkShare, 0);
+  assert.equal(metrics.firstUserResponseSec, null, 'The user never answered');
+  assert.equal(metrics.endedBy, 'assistant');
+  assert.equal(metrics.shortCall, null, 'No duration or times to measure');
+
+  const timed = analyzeConversation({
+    startTime: '2025-03-28T15:40:00+09:00',
+    endTime: '2025-03-28T15:40:12+09:00',
+    message: [{ role: 'user', content: 'Hello?', secondsFromStart: 0.4 }],
+  });
+  assert.equal(timed.firstUserResponseSec, 0.4, 'Measured from the start when the user speaks first');
+  assert.equal(timed.shortCall, true);
+
+  const empty = analyzeConversation({ message: [] });
+  assert.equal(empty.userTalkShare, null);
+  assert.equal(empty.endedBy, null);
+}
+
+async function testFieldsFollowTheConfiguration() {
+  assert.equal(analyticsSettings({}), null);
+  assert.deepEqual(analyticsFields(null, CONVERSATION), {});
+
+  const settings = analyticsSettings({
+    NOCALL_ANALYTICS_FIELDS: JSON.stringify({
+      toolNames: 'Tools_Used__c',
+      shortCall: 'Short_Call__c',
+      firstUserResponseSec: 'First_Response_Sec__c',
+    }),
+    NOCALL_SHORT_CALL_SEC: '600',
+  });
+  assert.deepEqual(analyticsFields(settings, CONVERSATION), {
+    Tools_Used__c: 'lookup, book',
+    Short_Call__c: true,
+    First_Response_Sec__c: 3.5,
+  });
+
+  // Null metrics are left out rather than clearing the field
+  assert.deepEqual(analyticsFields(settings, { message: [{ role: 'assistant', content: 'Hello?' }] }), {});
+  assert.deepEqual(analyticsFields(settings, undefined), {});
+
+  assert.throws(
+    () =>
+      analyticsSettings({
+        NOCALL_ANALYTICS_FIELDS: JSON.stringify({ sentiment: 'Sentiment__c', userTurns: '' }),
+        NOCALL_SHORT_CALL_SEC: 'soon',
+      }),
+    (error) => {
+      assert.equal(error.name, 'ConfigError');
+      assert.equal(error.problems.length, 3);
+      assert.match(error.problems[0], /^NOCALL_ANALYTICS_FIELDS: unknown metric "sentiment"; use userTurns, /);
+      assert.equal(error.problems[1], 'NOCALL_ANALYTICS_FIELDS.userTurns: must be a Salesforce field name');
+      assert.equal(error.problems[2], 'NOCALL_SHORT_CALL_SEC must be a number of seconds');
+      return true;
+    }
+  );
+}
+
+async function testMetricsReachTheCallRecord() {
+  const env = {
+    NOCALL_ANALYTICS_FIELDS: JSON.stringify({ userTurns: 'User_Turns__c', endedBy: 'Ended_By__c' }),
+    NOCALL_REDACT_PII: 'true',
+  };
+  const payload = { id: 'call-1', callStatus: 'completed', to: '+819012345678', conversation: CONVERSATION };
+  const originalInfo = console.info;
+  console.info = () => {};
+
+  let response;
+  try {
+    response = await handleRequest(
+      new Request('https://example.com/dry-run', {
+        method: 'POST',
+        body: JSON.stringify(payload),
+      }),
+      allowUnsigned(env)
+    );
+  } finally {
+    console.info = originalInfo;
+  }
+  const preview = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(preview.call.User_Turns__c, 2);
+  assert.equal(preview.call.Ended_By__c, 'user');
+}
+
+async function run() {
+  await testMetricsAreDerivedFromTheLog();
+  await testMissingDataGivesNullMetrics();
+  await testFieldsFollowTheConfiguration();
+  await testMetricsReachTheCallRecord();
+  console.log('All analytics tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,190 @@
+// Raw inbound webhooks kept in R2 with their outcome, so failed deliveries can be listed and replayed
+const KEY_PREFIX = 'raw/';
+const MAX_ERROR_LENGTH = 500;
+const MAX_RANGE_DAYS = 31;
+// Headers replay needs to take the same route; signatures are not kept since replays skip them
+const KEPT_HEADERS = ['content-type', 'x-nocall-tenant'];
+
+function isArchiveEnabled(env) {
+  return Boolean(env.NOCALL_ARCHIVE);
+}
+
+// The NoCall call id, or the direct shape's CallRecord_Id__c; batches and unreadable bodies have none
+function callIdOf(rawBody) {
+  try {
+    const payload = JSON.parse(rawBody);
+    const id = payload?.id ?? payload?.call?.CallRecord_Id__c;
+    return id === undefined || id === null || id === '' ? null : String(id);
+  } catch {
+    return null;
+  }
+}
+
+function dayOf(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// raw/2025-04-01/<call id>/<received at>-<random>.json; one object per delivery, never overwritten
+function archiveKey(receivedAt, callId) {
+  const safeCallId = (callId ?? 'unknown').replace(/[^A-Za-z0-9_.-]/g, '_');
+  const suffix = crypto.randomUUID().slice(0, 8);
+  return `${KEY_PREFIX}${dayOf(receivedAt)}/${safeCallId}/${receivedAt.toISOString()}-${suffix}.json`;
+}
+
+function isFailure(status) {
+  return status >= 400;
+}
+
+// Read from a clone so the response can still be returned to the caller
+async function outcomeOf(response) {
+  let body = null;
+  try {
+    body = await response.clone().json();
+  } catch {
+    // Not every response is JSON
+  }
+
+  const detail = body?.detail === undefined ? null : JSON.stringify(body.detail);
+  const error = body?.error ? [body.error, detail].filter(Boolean).join(': ') : null;
+  return {
+    status: response.status,
+    operation: body?.operation ?? null,
+    callId: body?.callId ?? null,
+    error: error ? error.slice(0, MAX_ERROR_LENGTH) : null,
+  };
+}
+
+// R2 metadata values must be strings; empty ones are left out
+function toMetadata(values) {
+  return Object.fromEntries(
+    Object.entries(values)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([name, value]) => [name, String(value)])
+  );
+}
+
+function fromMetadata(key, metadata = {}) {
+  return {
+    key,
+    receivedAt: metadata.receivedAt ?? null,
+    tenant: metadata.tenant ?? null,
+    callId: metadata.callId ?? null,
+    status: metadata.status ? Number(metadata.status) : null,
+    operation: metadata.operation ?? null,
+    error: metadata.error ?? null,
+    authenticated: metadata.authenticated === 'true',
+    replayOf: metadata.replayOf ?? null,
+    replayedAt: metadata.replayedAt ?? null,
+    replayStatus: metadata.replayStatus ? Number(metadata.replayStatus) : null,
+  };
+}
+
+// Never fails the webhook: a lost archive entry is logged, the Salesforce outcome stands.
+// `authenticated` records that the body passed, or did not need, signature verification.
+async function archiveDelivery(
+  env,
+  { request, rawBody, receivedAt, tenant, authenticated = false, outcome, replayOf }
+) {
+  if (!isArchiveEnabled(env)) return null;
+
+  const url = new URL(request.url);
+  const key = archiveKey(receivedAt, callIdOf(rawBody));
+  const headers = Object.fromEntries(
+    KEPT_HEADERS.filter((name) => request.headers.has(name)).map((name) => [name, request.headers.get(name)])
+  );
+  const metadata = toMetadata({
+    receivedAt: receivedAt.toISOString(),
+    tenant,
+    callId: outcome.callId ?? callIdOf(rawBody),
+    status: outcome.status,
+    operation: outcome.operation,
+    error: outcome.error,
+    authenticated: authenticated ? 'true' : undefined,
+    replayOf,
+  });
+
+  const entry = { receivedAt: metadata.receivedAt, path: `${url.pathname}${url.search}`, headers, body: rawBody };
+
+  try {
+    await env.NOCALL_ARCHIVE.put(key, JSON.stringify({ ...entry, outcome }), {
+      httpMetadata: { contentType: 'application/json' },
+      customMetadata: metadata,
+    });
+    return key;
+  } catch (error) {
+    console.error('Failed to archive webhook', { key, error: String(error) });
+    return null;
+  }
+}
+
+async function readArchived(env, key) {
+  const object = await env.NOCALL_ARCHIVE.get(key);
+  if (!object) return null;
+
+  return { ...(await object.json()), metadata: fromMetadata(key, object.customMetadata) };
+}
+
+// Rewrites the entry with the replay's result so later listings can skip what has been fixed
+async function markReplayed(env, key, { replayedAt, status }) {
+  const object = await env.NOCALL_ARCHIVE.get(key);
+  if (!object) return;
+
+  const customMetadata = { ...object.customMetadata, replayedAt: replayedAt.toISOString(), replayStatus: String(status) };
+  await env.NOCALL_ARCHIVE.put(key, await object.text(), { httpMetadata: object.httpMetadata, customMetadata });
+}
+
+function daysBetween(from, to) {
+  const days = [];
+  for (let day = new Date(`${dayOf(from)}T00:00:00Z`); day <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+    days.push(dayOf(day));
+  }
+  return days;
+}
+
+// Entries received in [from, to], oldest first. `failedOnly` keeps rejected deliveries, and
+// `pendingOnly` drops those a replay has since written successfully.
+async function listArchived(env, { from, to, tenant = null, failedOnly = true, pendingOnly = false, limit }) {
+  const days = daysBetween(from, to);
+  if (days.length > MAX_RANGE_DAYS) {
+    throw new RangeError(`A range may cover at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  const entries = [];
+  for (const day of days) {
+    let cursor;
+    do {
+      const page = await env.NOCALL_ARCHIVE.list({
+        prefix: `${KEY_PREFIX}${day}/`,
+        cursor,
+        include: ['customMetadata'],
+      });
+      for (const object of page.objects) entries.push(fromMetadata(object.key, object.customMetadata));
+      cursor = page.truncated ? page.cursor : undefined;
+    } while (cursor);
+  }
+
+  const matching = entries
+    .filter((entry) => {
+      const receivedAt = Date.parse(entry.receivedAt);
+      return receivedAt >= from.getTime() && receivedAt <= to.getTime();
+    })
+    .filter((entry) => !tenant || entry.tenant === tenant)
+    .filter((entry) => !failedOnly || isFailure(entry.status))
+    .filter((entry) => !pendingOnly || !(entry.replayStatus && !isFailure(entry.replayStatus)))
+    .sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+
+  return { entries: matching.slice(0, limit), more: matching.length > limit };
+}
+
+export {
+  KEPT_HEADERS,
+  archiveDelivery,
+  archiveKey,
+  callIdOf,
+  isArchiveEnabled,
+  isFailure,
+  listArchived,
+  markReplayed,
+  outcomeOf,
+  readArchived,
+};
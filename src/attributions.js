@@ -0,0 +1,63 @@
+// Compares a call's incoming attributions with the rows it already has so only real changes are written
+const COMPARED_FIELDS = ['Label__c', 'Value__c', 'External_Id__c'];
+
+// Salesforce returns empty text fields as null and numbers come back as text
+function comparable(value) {
+  return value === undefined || value === null || value === '' ? null : String(value);
+}
+
+function isChanged(row, record) {
+  return COMPARED_FIELDS.some((field) => comparable(row[field]) !== comparable(record[field]));
+}
+
+// The parent stays as it is: a master-detail lookup may not be reparentable
+function updateBody(record) {
+  return Object.fromEntries(COMPARED_FIELDS.map((field) => [field, record[field] ?? null]));
+}
+
+// `rows` are the call's existing NoCall_Attribution__c rows, `records` come from buildAttributionRecords.
+// A record with an External_Id__c matches only the row with that id; if the call has none it is upserted,
+// since the id may belong to a row elsewhere. Other records match an unclaimed row with the same label,
+// in order, so repeated labels pair up one to one. Rows nothing matched are deleted.
+function diffAttributions(rows, records) {
+  const unclaimed = [...rows];
+  const claim = (predicate) => {
+    const index = unclaimed.findIndex(predicate);
+    return index === -1 ? null : unclaimed.splice(index, 1)[0];
+  };
+
+  // External ids claim first so a label match cannot take their row
+  const byExternalId = records.map((record) =>
+    record.External_Id__c
+      ? claim((row) => comparable(row.External_Id__c) === comparable(record.External_Id__c))
+      : null
+  );
+
+  const entries = records.map((record, index) => {
+    if (record.External_Id__c) {
+      const row = byExternalId[index];
+      if (!row) return { action: 'upsert', record };
+      return { action: isChanged(row, record) ? 'update' : 'unchanged', record, id: row.Id };
+    }
+
+    const row = claim((candidate) => comparable(candidate.Label__c) === comparable(record.Label__c));
+    if (!row) return { action: 'insert', record };
+    return { action: isChanged(row, record) ? 'update' : 'unchanged', record, id: row.Id };
+  });
+
+  const deleteIds = unclaimed.map((row) => row.Id);
+  const count = (...actions) => entries.filter((entry) => actions.includes(entry.action)).length;
+
+  return {
+    entries,
+    deleteIds,
+    counts: {
+      added: count('insert', 'upsert'),
+      updated: count('update'),
+      deleted: deleteIds.length,
+      unchanged: count('unchanged'),
+    },
+  };
+}
+
+export { diffAttributions, updateBody };
@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import { diffAttributions } from './attributions.js';
+import { createMockResponse, respondToGraph, sendWebhook, withSalesforce } from './test-helpers.js';
+
+function record(label, value, externalId = null) {
+  return { NoCall_Call__c: 'a01', Label__c: label, Value__c: value, External_Id__c: externalId };
+}
+
+async function testLabelsAndExternalIdsAreMatched() {
+  const rows = [
+    { Id: 'r1', Label__c: '姓', Value__c: '山田', External_Id__c: null },
+    { Id: 'r2', Label__c: '名', Value__c: '花子', External_Id__c: null },
+    { Id: 'r3', Label__c: '年齢', Value__c: '30', External_Id__c: null },
+    { Id: 'r4', Label__c: 'source', Value__c: 'web', External_Id__c: 'ext-1' },
+    { Id: 'r5', Label__c: '旧項目', Value__c: 'x', External_Id__c: null },
+  ];
+  const records = [
+    record('姓', '山田'),
+    record('名', '太郎'),
+    record('年齢', 30),
+    record('流入元', 'ads', 'ext-1'),
+    record('plan', 'gold', 'ext-9'),
+    record('メモ', ''),
+  ];
+
+  const diff = diffAttributions(rows, records);
+
+  assert.deepEqual(
+    diff.entries.map((entry) => [entry.action, entry.id]),
+    [
+      ['unchanged', 'r1'],
+      ['update', 'r2'],
+      ['unchanged', 'r3'],
+      ['update', 'r4'],
+      ['upsert', undefined],
+      ['insert', undefined],
+    ]
+  );
+  assert.deepEqual(diff.deleteIds, ['r5']);
+  assert.deepEqual(diff.counts, { added: 2, updated: 2, deleted: 1, unchanged: 2 });
+}
+
+async function testRepeatedLabelsPairUpInOrder() {
+  const rows = [
+    { Id: 'r1', Label__c: 'tag', Value__c: 'a' },
+    { Id: 'r2', Label__c: 'tag', Value__c: 'b' },
+    { Id: 'r3', Label__c: 'tag', Value__c: 'c' },
+  ];
+
+  const diff = diffAttributions(rows, [record('tag', 'a'), record('tag', 'x')]);
+
+  assert.deepEqual(
+    diff.entries.map((entry) => [entry.action, entry.id]),
+    [
+      ['unchanged', 'r1'],
+      ['update', 'r2'],
+    ]
+  );
+  assert.deepEqual(diff.deleteIds, ['r3']);
+}
+
+async function testWebhookWritesOnlyTheChanges() {
+  const attributionQueries = [];
+  let nodes;
+
+  const handler = async (url, options = {}) => {
+    const target = decodeURIComponent(String(url));
+
+    // Two pages, as Salesforce returns for a call with many rows
+    if (target.includes('FROM NoCall_Attribution__c')) {
+      attributionQueries.push(target);
+      return createMockResponse({
+        done: false,
+        nextRecordsUrl: '/services/data/v58.0/query/01g-2000',
+        records: [
+          { Id: 'r1', Label__c: '姓', Value__c: '山田' },
+          { Id: 'r2', Label__c: '名', Value__c: '花子' },
+        ],
+      });
+    }
+
+    if (target.includes('/query/01g-2000')) {
+      return createMockResponse({ done: true, records: [{ Id: 'r3', Label__c: '旧項目', Value__c: 'x' }] });
+    }
+
+    if (target.includes('/query')) {
+      return createMockResponse({ records: [{ Id: 'a01' }] });
+    }
+
+    if (target.includes('/composite/graph')) {
+      nodes = JSON.parse(options.body).graphs[0].compositeRequest;
+      return respondToGraph(options, (node) =>
+        node.method === 'POST'
+          ? { httpStatusCode: 201, body: { id: `new-${node.referenceId}` } }
+          : { httpStatusCode: 204, body: null }
+      );
+    }
+
+    throw new Error(`Unexpected fetch call: ${url}`);
+  };
+
+  const payload = {
+    call: { Normalized_Phone__c: '+819012345678', Call_Status__c: 'completed' },
+    attributions: [
+      { label: '姓', value: '山田' },
+      { label: '名', value: '太郎' },
+      { label: 'メモ', value: '折り返し希望' },
+    ],
+  };
+
+  await withSalesforce(handler, async () => {
+    const { status, body } = await sendWebhook({}, payload);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.attributionIds, ['r1', 'r2', 'new-attribution2']);
+    assert.deepEqual(body.attributionChanges, { added: 1, updated: 1, deleted: 1, unchanged: 1 });
+    assert.doesNotMatch(attributionQueries[0], /LIMIT/);
+
+    assert.deepEqual(
+      nodes.map((node) => [node.method, node.referenceId]),
+      [
+        ['PATCH', 'call'],
+        ['DELETE', 'deleteAttribution0'],
+        ['PATCH', 'attribution1'],
+        ['POST', 'attribution2'],
+      ]
+    );
+    assert.match(nodes[1].url, /NoCall_Attribution__c\/r3$/);
+    assert.deepEqual(nodes[2].body, { Label__c: '名', Value__c: '太郎', External_Id__c: null });
+  });
+}
+
+async function run() {
+  await testLabelsAndExternalIdsAreMatched();
+  await testRepeatedLabelsPairUpInOrder();
+  await testWebhookWritesOnlyTheChanges();
+  console.log('All attributions tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
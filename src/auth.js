@@ -0,0 +1,263 @@
+// Salesforce OAuth login with a token cache shared across requests
+import { SalesforceError, assertApiCapacity, requestSettings, resolveApiVersion, safeJson } from './salesforce.js';
+
+const DEFAULT_LOGIN_URL = 'https://login.salesforce.com';
+// Password-grant responses carry no expiry; stay well inside the default 2h session timeout
+const DEFAULT_TOKEN_TTL_SEC = 3600;
+const KV_KEY_PREFIX = 'sf-token:';
+
+// In-isolate fallback when no KV namespace is bound, and a fast path in front of KV
+const memoryCache = new Map();
+// One login per cache key at a time so concurrent requests share a refresh
+const pendingLogins = new Map();
+
+const JWT_BEARER_GRANT = 'urn:ietf:params:oauth:grant-type:jwt-bearer';
+const JWT_LIFETIME_SEC = 180;
+
+const encoder = new TextEncoder();
+
+function resolveAuthFlow(env) {
+  const flow = (env.SALESFORCE_AUTH_FLOW || '').trim().toLowerCase();
+  if (flow) return flow;
+  // Without an explicit choice, a configured private key means JWT bearer
+  return env.SALESFORCE_PRIVATE_KEY ? 'jwt' : 'password';
+}
+
+function base64UrlEncode(input) {
+  const bytes = typeof input === 'string' ? encoder.encode(input) : new Uint8Array(input);
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function importPrivateKey(pem) {
+  // Secrets pasted through the dashboard often carry literal "\n" sequences
+  const body = String(pem)
+    .replace(/\\n/g, '\n')
+    .replace(/-----(BEGIN|END) PRIVATE KEY-----/g, '')
+    .replace(/\s+/g, '');
+  const der = Uint8Array.from(atob(body), (char) => char.charCodeAt(0));
+
+  return crypto.subtle.importKey(
+    'pkcs8',
+    der,
+    { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+}
+
+async function buildJwtAssertion(env, loginUrl, now = Date.now()) {
+  let key;
+  try {
+    key = await importPrivateKey(env.SALESFORCE_PRIVATE_KEY);
+  } catch (error) {
+    throw new SalesforceError('Salesforce auth failed (invalid private key)', 500, {
+      message: 'SALESFORCE_PRIVATE_KEY must be a PKCS#8 PEM-encoded RSA key',
+      error: String(error),
+    });
+  }
+
+  const header = base64UrlEncode(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+  const claims = base64UrlEncode(
+    JSON.stringify({
+      iss: env.SALESFORCE_CLIENT_ID,
+      sub: env.SALESFORCE_USERNAME,
+      aud: env.SALESFORCE_JWT_AUDIENCE || loginUrl,
+      exp: Math.floor(now / 1000) + JWT_LIFETIME_SEC,
+    })
+  );
+  const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', key, encoder.encode(`${header}.${claims}`));
+
+  return `${header}.${claims}.${base64UrlEncode(signature)}`;
+}
+
+async function buildTokenParams(env, loginUrl) {
+  const flow = resolveAuthFlow(env);
+
+  if (flow === 'jwt') {
+    return new URLSearchParams({
+      grant_type: JWT_BEARER_GRANT,
+      assertion: await buildJwtAssertion(env, loginUrl),
+    });
+  }
+
+  if (flow === 'client_credentials') {
+    return new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: env.SALESFORCE_CLIENT_ID,
+      client_secret: env.SALESFORCE_CLIENT_SECRET,
+    });
+  }
+
+  if (flow === 'password') {
+    return new URLSearchParams({
+      grant_type: 'password',
+      client_id: env.SALESFORCE_CLIENT_ID,
+      client_secret: env.SALESFORCE_CLIENT_SECRET,
+      username: env.SALESFORCE_USERNAME,
+      password: `${env.SALESFORCE_PASSWORD}${env.SALESFORCE_SECURITY_TOKEN || ''}`,
+    });
+  }
+
+  throw new SalesforceError(`Salesforce auth failed (unknown auth flow "${flow}")`, 500, {
+    message: 'SALESFORCE_AUTH_FLOW must be one of password, jwt, client_credentials',
+  });
+}
+
+async function fetchAccessToken(env) {
+  const loginUrl = env.SALESFORCE_LOGIN_URL || DEFAULT_LOGIN_URL;
+  const params = await buildTokenParams(env, loginUrl);
+
+  const response = await fetch(`${loginUrl}/services/oauth2/token`, {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/x-www-form-urlencoded',
+    },
+    body: params,
+  });
+
+  if (!response.ok) {
+    const errorBody = await safeJson(response);
+    throw new SalesforceError(
+      `Salesforce auth failed (${response.status})`,
+      response.status,
+      errorBody
+    );
+  }
+
+  return response.json();
+}
+
+// Tenants get their own entries even when they share a connected app and user
+function tokenCacheKey(env) {
+  const loginUrl = env.SALESFORCE_LOGIN_URL || DEFAULT_LOGIN_URL;
+  const key = `${loginUrl}|${resolveAuthFlow(env)}|${env.SALESFORCE_CLIENT_ID || ''}|${env.SALESFORCE_USERNAME || ''}`;
+  return env.NOCALL_TENANT ? `${env.NOCALL_TENANT}|${key}` : key;
+}
+
+function tokenTtlSeconds(env) {
+  const ttl = Number(env.SALESFORCE_TOKEN_TTL_SEC);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TOKEN_TTL_SEC;
+}
+
+function isUsable(token, now = Date.now()) {
+  return Boolean(token?.access_token && token?.instance_url && token.expires_at > now);
+}
+
+async function readCachedToken(env, key) {
+  const cached = memoryCache.get(key);
+  if (isUsable(cached)) return cached;
+
+  if (!env.NOCALL_KV) return null;
+
+  try {
+    const stored = await env.NOCALL_KV.get(`${KV_KEY_PREFIX}${key}`, 'json');
+    if (isUsable(stored)) {
+      memoryCache.set(key, stored);
+      return stored;
+    }
+  } catch (error) {
+    console.warn('Failed to read Salesforce token from KV', { error: String(error) });
+  }
+
+  return null;
+}
+
+async function writeCachedToken(env, key, token) {
+  memoryCache.set(key, token);
+
+  if (!env.NOCALL_KV) return;
+
+  try {
+    // KV rejects expirations shorter than 60 seconds
+    const expirationTtl = Math.max(60, Math.floor((token.expires_at - Date.now()) / 1000));
+    await env.NOCALL_KV.put(`${KV_KEY_PREFIX}${key}`, JSON.stringify(token), { expirationTtl });
+  } catch (error) {
+    console.warn('Failed to write Salesforce token to KV', { error: String(error) });
+  }
+}
+
+function login(env, key) {
+  if (pendingLogins.has(key)) return pendingLogins.get(key);
+
+  const pending = (async () => {
+    try {
+      const result = await fetchAccessToken(env);
+      const token = {
+        access_token: result.access_token,
+        instance_url: result.instance_url,
+        expires_at: Date.now() + tokenTtlSeconds(env) * 1000,
+      };
+      await writeCachedToken(env, key, token);
+      return token;
+    } finally {
+      pendingLogins.delete(key);
+    }
+  })();
+
+  pendingLogins.set(key, pending);
+  return pending;
+}
+
+async function getAccessToken(env) {
+  const key = tokenCacheKey(env);
+  return (await readCachedToken(env, key)) || login(env, key);
+}
+
+// Replaces a token Salesforce rejected. If another request already refreshed it,
+// the newer cached token is reused instead of logging in again.
+async function refreshAccessToken(env, staleAccessToken) {
+  const key = tokenCacheKey(env);
+
+  if (memoryCache.get(key)?.access_token === staleAccessToken) {
+    memoryCache.delete(key);
+  }
+
+  const cached = await readCachedToken(env, key);
+  if (cached && cached.access_token !== staleAccessToken) return cached;
+
+  memoryCache.delete(key);
+  return login(env, key);
+}
+
+// Every supported flow identifies the connected app by its client id
+function hasCredentials(env) {
+  return Boolean(env.SALESFORCE_CLIENT_ID);
+}
+
+// `apiUsage` holds the latest Sforce-Limit-Info reading seen by this session
+async function createSession(env) {
+  const token = await getAccessToken(env);
+  const session = {
+    instanceUrl: token.instance_url,
+    accessToken: token.access_token,
+    apiVersion: resolveApiVersion(env),
+    settings: requestSettings(env),
+    apiUsage: null,
+    async refresh() {
+      const next = await refreshAccessToken(env, session.accessToken);
+      session.instanceUrl = next.instance_url;
+      session.accessToken = next.access_token;
+    },
+  };
+
+  assertApiCapacity(session, session.settings);
+  return session;
+}
+
+function clearTokenCache() {
+  memoryCache.clear();
+  pendingLogins.clear();
+}
+
+export {
+  resolveAuthFlow,
+  buildJwtAssertion,
+  fetchAccessToken,
+  getAccessToken,
+  refreshAccessToken,
+  hasCredentials,
+  createSession,
+  clearTokenCache,
+};
@@ -0,0 +1,419 @@
+// Bulk ingestion of many webhook payloads: grouped lookups and sObject Collections writes
+import { diffAttributions, updateBody } from './attributions.js';
+import { createSession } from './auth.js';
+import { NEW_CALL_ID, buildAttributionRecords, writeFiles } from './callWriter.js';
+import { enforceStatusOrder, existingCallFields, findDelivery, isStale, recordDelivery } from './delivery.js';
+import { conformCallWrite } from './describe.js';
+import { ValidationError } from './errors.js';
+import {
+  createRecords,
+  deleteRecords,
+  findAttributionsForCalls,
+  findCallsByKeys,
+  SalesforceError,
+  updateRecords,
+  upsertRecords,
+} from './salesforce.js';
+
+const DEFAULT_MAX_ITEMS = 1000;
+
+function isBatchRequest(request, rawBody) {
+  const url = new URL(request.url);
+  const contentType = request.headers.get('content-type') || '';
+
+  return (
+    url.pathname.replace(/\/+$/, '').endsWith('/batch') ||
+    contentType.includes('ndjson') ||
+    rawBody.trimStart().startsWith('[')
+  );
+}
+
+// One { payload } or { error } entry per item, so a bad NDJSON line does not sink the batch
+function parseBatchBody(rawBody) {
+  const trimmed = rawBody.trim();
+
+  if (trimmed.startsWith('[')) {
+    let items;
+    try {
+      items = JSON.parse(trimmed);
+    } catch (error) {
+      throw new ValidationError(`Invalid JSON array: ${error}`);
+    }
+    return items.map((payload) => ({ payload }));
+  }
+
+  return trimmed
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== '')
+    .map((line, index) => {
+      try {
+        return { payload: JSON.parse(line) };
+      } catch (error) {
+        return { error: `Invalid JSON on line ${index + 1}: ${error}` };
+      }
+    });
+}
+
+function maxBatchItems(env) {
+  return Number(env.NOCALL_BATCH_MAX_ITEMS) || DEFAULT_MAX_ITEMS;
+}
+
+// Structured message records need a graph per call, so batches skip them
+function batchEnv(env) {
+  return { ...env, NOCALL_STRUCTURED_MESSAGES: 'false' };
+}
+
+function describeErrors(errors = []) {
+  const messages = errors.map((error) =>
+    error.statusCode ? `${error.statusCode}: ${error.message}` : error.message
+  );
+  return messages.join('; ') || 'Salesforce rejected the record';
+}
+
+function keyOf(matchKey) {
+  return `${matchKey.field}\u0000${matchKey.value}`;
+}
+
+// Items that share a matching key go into successive rounds so each one sees the previous write
+function splitRounds(items) {
+  const rounds = [];
+  const depth = new Map();
+
+  for (const item of items) {
+    const key = keyOf(item.prepared.matchKey);
+    const round = depth.get(key) || 0;
+    depth.set(key, round + 1);
+    (rounds[round] ||= []).push(item);
+  }
+
+  return rounds;
+}
+
+async function lookupExisting(session, items) {
+  const valuesByField = new Map();
+  for (const { prepared } of items) {
+    const { field, value } = prepared.matchKey;
+    valuesByField.set(field, [...(valuesByField.get(field) || []), value]);
+  }
+
+  const fields = existingCallFields(items.map(({ prepared }) => prepared.callBody));
+  const existing = new Map();
+  for (const [field, values] of valuesByField) {
+    const matches = await findCallsByKeys(session, field, values, fields);
+    for (const [value, record] of matches) existing.set(keyOf({ field, value }), record);
+  }
+
+  return existing;
+}
+
+async function writeCalls(session, items) {
+  const inserts = items.filter((item) => !item.existingCallId);
+  const updates = items.filter((item) => item.existingCallId);
+
+  const inserted = await createRecords(session, 'NoCall_Call__c', inserts.map((item) => item.callBody));
+  const updated = await updateRecords(
+    session,
+    'NoCall_Call__c',
+    updates.map((item) => ({ Id: item.existingCallId, ...item.callBody }))
+  );
+
+  const outcomes = [
+    ...inserts.map((item, index) => [item, inserted[index]]),
+    ...updates.map((item, index) => [item, updated[index]]),
+  ];
+
+  for (const [item, result] of outcomes) {
+    if (result?.success) {
+      item.callId = result.id || item.existingCallId;
+    } else {
+      item.callId = item.existingCallId;
+      item.error = describeErrors(result?.errors);
+    }
+  }
+}
+
+// Mirrors writeCall: each call's attributions are diffed against the rows it already has
+async function writeAttributions(session, items) {
+  const syncing = [];
+  for (const item of items) {
+    item.records = item.attributionRecords.map((record) => ({ ...record, NoCall_Call__c: item.callId }));
+    if (item.records.length > 0) syncing.push(item);
+  }
+
+  const existingCallIds = syncing.filter((item) => item.existingCallId).map((item) => item.callId);
+  const existingRows = existingCallIds.length > 0 ? await findAttributionsForCalls(session, existingCallIds) : new Map();
+
+  const operations = { insert: [], upsert: [], update: [] };
+  const deletions = [];
+
+  for (const item of syncing) {
+    item.attributionDiff = diffAttributions(existingRows.get(item.callId) || [], item.records);
+    item.attributionDiff.entries.forEach((entry) => operations[entry.action]?.push({ item, entry }));
+    deletions.push(...item.attributionDiff.deleteIds.map((id) => ({ item, id })));
+  }
+
+  const sends = [
+    [deletions, (batch) => deleteRecords(session, batch.map(({ id }) => id)), 'Attribution delete failed'],
+    [
+      operations.insert,
+      (batch) => createRecords(session, 'NoCall_Attribution__c', batch.map(({ entry }) => entry.record)),
+      'Attribution write failed',
+    ],
+    [
+      operations.upsert,
+      (batch) =>
+        upsertRecords(session, 'NoCall_Attribution__c', 'External_Id__c', batch.map(({ entry }) => entry.record)),
+      'Attribution write failed',
+    ],
+    [
+      operations.update,
+      (batch) =>
+        updateRecords(
+          session,
+          'NoCall_Attribution__c',
+          batch.map(({ entry }) => ({ Id: entry.id, ...updateBody(entry.record) }))
+        ),
+      'Attribution write failed',
+    ],
+  ];
+
+  for (const [batch, send, failure] of sends) {
+    const results = batch.length > 0 ? await send(batch) : [];
+
+    batch.forEach(({ item, entry }, index) => {
+      const result = results[index];
+      if (!result?.success) {
+        item.error ||= `${failure}: ${describeErrors(result?.errors)}`;
+      } else if (entry && !entry.id) {
+        entry.id = result.id || entry.record.External_Id__c || null;
+      }
+    });
+  }
+
+  for (const item of syncing) {
+    item.attributionIds = item.attributionDiff.entries.map((entry) => entry.id ?? null);
+  }
+}
+
+// The call is already saved with its truncated preview, so a failed file fails the item to be sent again
+async function writeTranscriptFiles(session, items) {
+  for (const item of items) {
+    const { files } = item.prepared;
+    if (!files?.length) continue;
+
+    try {
+      item.fileIds = await writeFiles(session, {
+        callId: item.callId,
+        files,
+        existingCall: Boolean(item.existingCallId),
+      });
+    } catch (error) {
+      if (!(error instanceof SalesforceError)) throw error;
+      item.error ||= `Transcript file write failed: ${error.message}`;
+    }
+  }
+}
+
+// The latest written call per phone becomes the rollup's Last_Call__c, and every call points at its rollup
+async function writeRollups(session, items) {
+  const children = items.filter(
+    (item) => item.prepared.rollup && !item.error && item.operation !== 'skipped_stale'
+  );
+  if (children.length === 0) return;
+
+  const latest = new Map(children.map((item) => [item.prepared.rollup.keyValue, item]));
+
+  const { objectName, keyField, lookupField } = [...latest.values()][0].prepared.rollup;
+  const parents = [...latest.values()];
+  const upserted = await upsertRecords(
+    session,
+    objectName,
+    keyField,
+    parents.map(({ prepared, callId }) => ({
+      [keyField]: prepared.rollup.keyValue,
+      ...prepared.rollup.body,
+      Last_Call__c: callId,
+    }))
+  );
+
+  const rollupIds = new Map();
+  parents.forEach((item, index) => {
+    if (upserted[index]?.success) rollupIds.set(item.prepared.rollup.keyValue, upserted[index].id);
+  });
+
+  const linked = await updateRecords(
+    session,
+    'NoCall_Call__c',
+    children
+      .filter((item) => rollupIds.has(item.prepared.rollup.keyValue))
+      .map((item) => ({ Id: item.callId, [lookupField]: rollupIds.get(item.prepared.rollup.keyValue) }))
+  );
+
+  let linkIndex = 0;
+  for (const item of children) {
+    const rollupId = rollupIds.get(item.prepared.rollup.keyValue);
+    if (!rollupId) {
+      item.error ||= 'Rollup write failed';
+      continue;
+    }
+
+    item.rollupId = rollupId;
+    const result = linked[linkIndex++];
+    if (!result?.success) item.error ||= `Rollup link failed: ${describeErrors(result?.errors)}`;
+  }
+}
+
+async function writeRound(session, items, existingByKey, env) {
+  const writable = [];
+
+  for (const item of items) {
+    const key = keyOf(item.prepared.matchKey);
+    const existing = existingByKey.get(key) || null;
+    item.existingCallId = existing?.Id || null;
+
+    if (existing && isStale(item.prepared.callBody.Webhook_Timestamp__c, existing.Webhook_Timestamp__c)) {
+      item.operation = 'skipped_stale';
+      item.callId = item.existingCallId;
+      continue;
+    }
+
+    const { callBody, statusHeld } = enforceStatusOrder(item.prepared.callBody, existing, item.prepared.statusOrder);
+    let conformed;
+    try {
+      conformed = await conformCallWrite(session, env, item.prepared.fieldCheck, {
+        callBody,
+        attributions: buildAttributionRecords(NEW_CALL_ID, item.prepared.attributions),
+        operation: item.existingCallId ? 'update' : 'create',
+      });
+    } catch (error) {
+      // Strict field checks fail only this item, before it is written
+      if (!(error instanceof ValidationError)) throw error;
+      item.error = error.message;
+      item.detail = error.violations;
+      continue;
+    }
+
+    Object.assign(item, {
+      callBody: conformed.callBody,
+      attributionRecords: conformed.attributions,
+      fieldAdjustments: conformed.adjustments,
+      statusHeld,
+      operation: item.existingCallId ? 'update' : 'insert',
+    });
+    writable.push(item);
+  }
+
+  await writeCalls(session, writable);
+
+  const written = writable.filter((item) => !item.error);
+  for (const item of written) {
+    const key = keyOf(item.prepared.matchKey);
+    existingByKey.set(key, { ...existingByKey.get(key), ...item.callBody, Id: item.callId });
+  }
+
+  await writeAttributions(session, written);
+  await writeTranscriptFiles(session, written);
+}
+
+function toResult(item) {
+  return {
+    index: item.index,
+    callId: item.callId ?? null,
+    operation: item.operation ?? null,
+    error: item.error ?? null,
+    ...(item.detail ? { detail: item.detail } : {}),
+    ...(item.event ? { event: item.event } : {}),
+    ...(item.duplicate ? { duplicate: true } : {}),
+    ...(item.statusHeld ? { statusHeld: true } : {}),
+    ...(item.rollupId ? { rollupId: item.rollupId } : {}),
+    ...(item.attributionDiff ? { attributionChanges: item.attributionDiff.counts } : {}),
+    ...(item.prepared?.redactions ? { redactions: item.prepared.redactions } : {}),
+    ...(item.prepared?.transcriptTruncated ? { transcriptTruncated: true } : {}),
+    ...(item.fileIds?.length > 0 ? { transcriptFileIds: item.fileIds } : {}),
+    ...(item.fieldAdjustments?.length > 0 ? { fieldAdjustments: item.fieldAdjustments } : {}),
+  };
+}
+
+// `prepare` is the single-webhook preparation step; ValidationErrors fail only their own item
+async function writeBatch(entries, env, prepare) {
+  const items = entries.map((entry, index) => ({ index, error: entry.error }));
+  const preparedEnv = batchEnv(env);
+  const pending = [];
+  const byDeliveryKey = new Map();
+  const repeats = [];
+
+  for (const item of items) {
+    if (item.error) continue;
+
+    try {
+      item.prepared = prepare(entries[item.index].payload, preparedEnv);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      item.error = error.message;
+      if (error.violations.length > 0) item.detail = error.violations;
+      continue;
+    }
+
+    if (item.prepared.ignored) {
+      console.warn('Ignored batch item with unknown event type', { index: item.index, event: item.prepared.event });
+      Object.assign(item, { operation: 'ignored', event: item.prepared.event });
+      continue;
+    }
+
+    const { deliveryKey } = item.prepared;
+    if (deliveryKey && byDeliveryKey.has(deliveryKey)) {
+      repeats.push([item, byDeliveryKey.get(deliveryKey)]);
+      continue;
+    }
+
+    const previous = await findDelivery(env, deliveryKey);
+    if (previous) {
+      Object.assign(item, { callId: previous.callId, operation: previous.operation, duplicate: true });
+      continue;
+    }
+
+    if (deliveryKey) byDeliveryKey.set(deliveryKey, item);
+    pending.push(item);
+  }
+
+  let session = null;
+  if (pending.length > 0) {
+    session = await createSession(env);
+    const existingByKey = await lookupExisting(session, pending);
+
+    for (const round of splitRounds(pending)) {
+      await writeRound(session, round, existingByKey, env);
+    }
+
+    await writeRollups(session, pending);
+
+    for (const item of pending) {
+      if (item.error) continue;
+      await recordDelivery(env, item.prepared.deliveryKey, {
+        callId: item.callId,
+        attributionIds: item.attributionIds || [],
+        operation: item.operation,
+        matchedBy: item.prepared.matchKey.field,
+      });
+    }
+  }
+
+  // The same delivery repeated inside one batch reports the outcome of its first occurrence
+  for (const [item, original] of repeats) {
+    Object.assign(item, { callId: original.callId, operation: original.operation, error: original.error });
+    item.duplicate = true;
+  }
+
+  const results = items.map(toResult);
+  const failed = results.filter((result) => result.error).length;
+
+  return {
+    total: results.length,
+    succeeded: results.length - failed,
+    failed,
+    results,
+    ...(session?.apiUsage ? { apiUsage: session.apiUsage } : {}),
+  };
+}
+
+export { isBatchRequest, maxBatchItems, parseBatchBody, writeBatch };
@@ -0,0 +1,303 @@
+import assert from 'node:assert/strict';
+import { handleRequest } from './index.js';
+import { parseBatchBody } from './batch.js';
+import { acceptGraph, allowUnsigned, createMockResponse, withSalesforce } from './test-helpers.js';
+
+// Records every Salesforce request and answers collection writes with one result per record
+function mockSalesforce({ calls = [], attributions = [], reject = () => null } = {}) {
+  const requests = [];
+  let nextId = 0;
+
+  const fetch = async (url, options = {}) => {
+    const target = decodeURIComponent(String(url));
+    const method = options.method || 'GET';
+
+    const body = options.body ? JSON.parse(options.body) : null;
+    requests.push({ method, target, body });
+
+    if (target.includes('FROM NoCall_Call__c')) {
+      return createMockResponse({ records: calls, done: true });
+    }
+
+    if (target.includes('FROM NoCall_Attribution__c')) {
+      return createMockResponse({ records: attributions, done: true });
+    }
+
+    if (target.includes('FROM ContentDocumentLink')) {
+      return createMockResponse({ records: [], done: true });
+    }
+
+    if (target.includes('/composite/graph')) {
+      return acceptGraph(options);
+    }
+
+    if (target.includes('/composite/sobjects') && method === 'DELETE') {
+      const ids = new URL(target).searchParams.get('ids').split(',');
+      return createMockResponse(ids.map((id) => ({ id, success: true, errors: [] })));
+    }
+
+    if (target.includes('/composite/sobjects')) {
+      return createMockResponse(
+        body.records.map((record) => {
+          const errors = reject(record);
+          if (errors) return { id: null, success: false, errors };
+          return { id: record.Id || `new-${nextId++}`, success: true, errors: [] };
+        })
+      );
+    }
+
+    throw new Error(`Unexpected fetch call: ${method} ${url}`);
+  };
+
+  return { fetch, requests };
+}
+
+async function postBatch(body, env = {}, headers = {}) {
+  const response = await handleRequest(
+    new Request('https://example.com/batch', { method: 'POST', headers, body }),
+    allowUnsigned(env)
+  );
+  return { status: response.status, body: await response.json() };
+}
+
+async function testNdjsonLinesAreParsedIndependently() {
+  const entries = parseBatchBody('{"id":"1"}\n\nnot json\r\n{"id":"2"}\n');
+
+  assert.equal(entries.length, 3);
+  assert.deepEqual(entries[0], { payload: { id: '1' } });
+  assert.match(entries[1].error, /^Invalid JSON on line 2/);
+  assert.deepEqual(entries[2], { payload: { id: '2' } });
+}
+
+async function testMixedBatchReportsEachItem() {
+  const salesforce = mockSalesforce({
+    calls: [{ Id: 'a01', Normalized_Phone__c: '+819011112222', Call_Status__c: 'ringing' }],
+    attributions: [{ Id: 'old-1', NoCall_Call__c: 'a01', Label__c: '名', Value__c: '太郎' }],
+  });
+
+  const body = [
+    JSON.stringify({ id: 'c1', callStatus: 'completed', to: '090-3333-4444' }),
+    JSON.stringify({
+      id: 'c2',
+      callStatus: 'completed',
+      to: '090-1111-2222',
+      endUser: { attributions: { 姓: '山田' } },
+    }),
+    JSON.stringify({ id: 'c3', timestamp: 'yesterday', to: '090-5555-6666' }),
+    '{oops',
+  ].join('\n');
+
+  await withSalesforce(salesforce.fetch, async () => {
+    const { status, body: summary } = await postBatch(body, {}, { 'content-type': 'application/x-ndjson' });
+
+    assert.equal(status, 207);
+    assert.deepEqual(
+      { total: summary.total, succeeded: summary.succeeded, failed: summary.failed },
+      { total: 4, succeeded: 2, failed: 2 }
+    );
+    assert.deepEqual(summary.results[0], { index: 0, callId: 'new-0', operation: 'insert', error: null });
+    assert.deepEqual(summary.results[1], {
+      index: 1,
+      callId: 'a01',
+      operation: 'update',
+      error: null,
+      attributionChanges: { added: 1, updated: 0, deleted: 1, unchanged: 0 },
+    });
+    assert.equal(summary.results[2].error, 'Payload failed schema validation');
+    assert.equal(summary.results[2].detail[0].path, '$.timestamp');
+    assert.match(summary.results[3].error, /Invalid JSON on line 4/);
+
+    const callQueries = salesforce.requests.filter((request) => request.target.includes('FROM NoCall_Call__c'));
+    assert.equal(callQueries.length, 1, 'Lookups should be grouped into one IN query');
+    assert.match(callQueries[0].target, /Normalized_Phone__c IN \('\+819033334444', '\+819011112222'\)/);
+
+    const deletes = salesforce.requests.filter((request) => request.method === 'DELETE');
+    assert.equal(deletes.length, 1);
+    assert.match(deletes[0].target, /ids=old-1/);
+
+    const attributionInsert = salesforce.requests.find(
+      (request) =>
+        request.method === 'POST' && request.body.records[0].attributes.type === 'NoCall_Attribution__c'
+    );
+    assert.deepEqual(attributionInsert.body.records, [
+      {
+        attributes: { type: 'NoCall_Attribution__c' },
+        NoCall_Call__c: 'a01',
+        Label__c: '姓',
+        Value__c: '山田',
+        External_Id__c: null,
+      },
+    ]);
+  });
+}
+
+async function testRepeatedKeysAreWrittenInOrder() {
+  const salesforce = mockSalesforce();
+
+  await withSalesforce(salesforce.fetch, async () => {
+    const { status, body: summary } = await postBatch(
+      JSON.stringify([
+        { id: 'c1', callStatus: 'completed', to: '+819012345678' },
+        { id: 'c1', callStatus: 'ringing', to: '+819012345678' },
+      ])
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      summary.results.map((result) => [result.callId, result.operation]),
+      [
+        ['new-0', 'insert'],
+        ['new-0', 'update'],
+      ]
+    );
+    assert.equal(summary.results[1].statusHeld, true);
+
+    const update = salesforce.requests.find((request) => request.method === 'PATCH');
+    assert.equal(update.body.records[0].Id, 'new-0');
+    assert.equal(
+      update.body.records[0].Call_Status__c,
+      undefined,
+      'An earlier status should not overwrite a later one'
+    );
+  });
+}
+
+async function testLongTranscriptsAreAttached() {
+  const salesforce = mockSalesforce({ calls: [{ Id: 'a01', Normalized_Phone__c: '+819012345679' }] });
+  const conversation = { message: [{ role: 'user', content: 'あ'.repeat(400) }] };
+
+  await withSalesforce(salesforce.fetch, async () => {
+    const { status, body: summary } = await postBatch(
+      JSON.stringify([
+        { id: 'c1', to: '+819012345678', conversation },
+        { id: 'c2', to: '+819012345679', conversation },
+        { id: 'c3', to: '+819012345670', conversation: { message: [{ role: 'user', content: 'short' }] } },
+      ]),
+      { NOCALL_CONVERSATION_MAX_CHARS: '300' }
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      summary.results.map((result) => [result.callId, result.transcriptTruncated, result.transcriptFileIds]),
+      [
+        ['new-0', true, ['id-file0']],
+        ['a01', true, ['id-file0']],
+        ['new-1', undefined, undefined],
+      ]
+    );
+
+    const files = salesforce.requests
+      .filter((request) => request.target.includes('/composite/graph'))
+      .map((request) => request.body.graphs[0].compositeRequest[0].body);
+    assert.deepEqual(
+      files.map((file) => file.FirstPublishLocationId),
+      ['new-0', 'a01']
+    );
+    assert.equal(Buffer.from(files[0].VersionData, 'base64').toString('utf8'), `user: ${'あ'.repeat(400)}`);
+
+    const insert = salesforce.requests.find((request) => request.method === 'POST');
+    assert.equal(insert.body.records[0].Conversation__c.length, 300);
+    assert.match(insert.body.records[0].Conversation__c, /attached to this call as a file\]$/);
+  });
+}
+
+async function testWritesAreChunkedByTwoHundred() {
+  const salesforce = mockSalesforce({
+    reject: (record) =>
+      record.CallRecord_Id__c === '7' ? [{ statusCode: 'FIELD_CUSTOM_VALIDATION_EXCEPTION', message: 'bad' }] : null,
+  });
+
+  const payloads = Array.from({ length: 450 }, (_, index) => ({ id: String(index), callStatus: 'completed' }));
+
+  await withSalesforce(salesforce.fetch, async () => {
+    const { status, body: summary } = await postBatch(JSON.stringify(payloads), {
+      NOCALL_MATCH_STRATEGY: 'callRecordId',
+    });
+
+    assert.equal(status, 207);
+    assert.equal(summary.failed, 1);
+    assert.deepEqual(summary.results[7], {
+      index: 7,
+      callId: null,
+      operation: 'insert',
+      error: 'FIELD_CUSTOM_VALIDATION_EXCEPTION: bad',
+    });
+
+    const inserts = salesforce.requests.filter(
+      (request) => request.method === 'POST' && request.target.includes('/composite/sobjects')
+    );
+    assert.deepEqual(
+      inserts.map((request) => request.body.records.length),
+      [200, 200, 50]
+    );
+    assert.equal(inserts[0].body.allOrNone, false);
+    assert.equal(salesforce.requests.filter((request) => request.target.includes('/query')).length, 3);
+  });
+}
+
+async function testRollupPointsAtTheLatestCall() {
+  const salesforce = mockSalesforce();
+
+  await withSalesforce(salesforce.fetch, async () => {
+    const { status, body: summary } = await postBatch(
+      JSON.stringify([
+        { id: 'c1', callStatus: 'completed', to: '+819012345678' },
+        { id: 'c2', callStatus: 'no-answer', to: '+819012345678' },
+      ]),
+      { NOCALL_MATCH_STRATEGY: 'phone+latest' }
+    );
+
+    assert.equal(status, 200);
+
+    const upsert = salesforce.requests.find((request) =>
+      request.target.includes('/composite/sobjects/NoCall_Phone__c/Normalized_Phone__c')
+    );
+    assert.deepEqual(upsert.body.records, [
+      {
+        attributes: { type: 'NoCall_Phone__c' },
+        Normalized_Phone__c: '+819012345678',
+        Last_CallRecord_Id__c: 'c2',
+        Last_Call_Status__c: 'no-answer',
+        Last_Call__c: 'new-1',
+      },
+    ]);
+
+    const link = salesforce.requests.at(-1);
+    assert.deepEqual(
+      link.body.records.map((record) => [record.Id, record.NoCall_Phone__c]),
+      [
+        ['new-0', 'new-2'],
+        ['new-1', 'new-2'],
+      ]
+    );
+    assert.deepEqual(
+      summary.results.map((result) => result.rollupId),
+      ['new-2', 'new-2']
+    );
+  });
+}
+
+async function testOversizedBatchIsRejected() {
+  const { status, body } = await postBatch(JSON.stringify([{ id: '1' }, { id: '2' }, { id: '3' }]), {
+    NOCALL_BATCH_MAX_ITEMS: '2',
+  });
+
+  assert.equal(status, 413);
+  assert.match(body.error, /limit is 2/);
+}
+
+async function run() {
+  await testNdjsonLinesAreParsedIndependently();
+  await testMixedBatchReportsEachItem();
+  await testRepeatedKeysAreWrittenInOrder();
+  await testLongTranscriptsAreAttached();
+  await testWritesAreChunkedByTwoHundred();
+  await testRollupPointsAtTheLatestCall();
+  await testOversizedBatchIsRejected();
+  console.log('All batch tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
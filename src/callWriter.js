@@ -0,0 +1,219 @@
+// Writes a call and its attributions in one composite graph so a webhook lands completely or not at all
+import { diffAttributions, updateBody } from './attributions.js';
+import { ValidationError } from './errors.js';
+import {
+  chunk,
+  compositeGraph,
+  findAttributionsForCall,
+  findChildIds,
+  findLinkedDocuments,
+  subrequestUrl,
+} from './salesforce.js';
+import { toBase64 } from './transcript.js';
+
+const CALL_REFERENCE = 'call';
+const NEW_CALL_ID = `@{${CALL_REFERENCE}.id}`;
+const ROLLUP_REFERENCE = 'rollup';
+// Composite graphs accept at most 500 nodes
+const MAX_GRAPH_NODES = 500;
+
+function buildAttributionRecords(callId, attributions = []) {
+  return attributions
+    .filter((item) => item && (item.label || item.value))
+    .map((item) => ({
+      NoCall_Call__c: callId,
+      Label__c: item.label ?? null,
+      Value__c: item.value ?? null,
+      External_Id__c: item.externalId ?? null,
+    }));
+}
+
+function callNode(existingCallId, callBody) {
+  if (existingCallId) {
+    return {
+      method: 'PATCH',
+      url: subrequestUrl(`/sobjects/NoCall_Call__c/${existingCallId}`),
+      referenceId: CALL_REFERENCE,
+      body: callBody,
+    };
+  }
+
+  return {
+    method: 'POST',
+    url: subrequestUrl('/sobjects/NoCall_Call__c/'),
+    referenceId: CALL_REFERENCE,
+    body: callBody,
+  };
+}
+
+// Upserts the phone-level parent first so the call can point at it, then records the call as its latest
+function rollupNodes(rollup, existingCallId) {
+  const rollupUrl = `/sobjects/${rollup.objectName}`;
+
+  return {
+    before: {
+      method: 'PATCH',
+      url: subrequestUrl(`${rollupUrl}/${rollup.keyField}/${encodeURIComponent(rollup.keyValue)}`),
+      referenceId: ROLLUP_REFERENCE,
+      body: rollup.body,
+    },
+    after: {
+      method: 'PATCH',
+      url: subrequestUrl(`${rollupUrl}/@{${ROLLUP_REFERENCE}.id}`),
+      referenceId: 'rollupLastCall',
+      body: { Last_Call__c: existingCallId || NEW_CALL_ID },
+    },
+  };
+}
+
+// Unchanged attributions get no node; `attribution{i}` follows the index of the incoming record
+function attributionNodes(diff) {
+  const deletes = diff.deleteIds.map((id, index) => ({
+    method: 'DELETE',
+    url: subrequestUrl(`/sobjects/NoCall_Attribution__c/${id}`),
+    referenceId: `deleteAttribution${index}`,
+  }));
+
+  const writes = diff.entries.flatMap(({ action, record, id }, index) => {
+    const referenceId = `attribution${index}`;
+
+    if (action === 'insert') {
+      return [{ method: 'POST', url: subrequestUrl('/sobjects/NoCall_Attribution__c/'), referenceId, body: record }];
+    }
+    if (action === 'upsert') {
+      const url = `/sobjects/NoCall_Attribution__c/External_Id__c/${encodeURIComponent(record.External_Id__c)}`;
+      return [{ method: 'PATCH', url: subrequestUrl(url), referenceId, body: record }];
+    }
+    if (action === 'update') {
+      const url = subrequestUrl(`/sobjects/NoCall_Attribution__c/${id}`);
+      return [{ method: 'PATCH', url, referenceId, body: updateBody(record) }];
+    }
+    return [];
+  });
+
+  return [...deletes, ...writes];
+}
+
+// A file already linked to the call gets a new version instead of a duplicate document
+function fileNodes(files, existingCallId, existingDocuments) {
+  return files.map((file, index) => {
+    const contentDocumentId = existingDocuments[file.title];
+    const body = {
+      Title: file.title,
+      PathOnClient: file.pathOnClient,
+      VersionData: toBase64(file.content),
+      ...(contentDocumentId
+        ? { ContentDocumentId: contentDocumentId }
+        : { FirstPublishLocationId: existingCallId || NEW_CALL_ID }),
+    };
+
+    return {
+      method: 'POST',
+      url: subrequestUrl('/sobjects/ContentVersion/'),
+      referenceId: `file${index}`,
+      body,
+    };
+  });
+}
+
+function childNodes(children, existingChildIds, callId) {
+  return children.flatMap((child, set) => [
+    ...existingChildIds[set].map((id, index) => ({
+      method: 'DELETE',
+      url: subrequestUrl(`/sobjects/${child.objectName}/${id}`),
+      referenceId: `deleteChild${set}_${index}`,
+    })),
+    ...child.records.map((record, index) => ({
+      method: 'POST',
+      url: subrequestUrl(`/sobjects/${child.objectName}/`),
+      referenceId: `child${set}_${index}`,
+      body: { ...record, [child.parentField]: callId },
+    })),
+  ]);
+}
+
+function attributionIdFromResult(result, entry) {
+  return entry.id || result?.body?.id || entry.record.External_Id__c || null;
+}
+
+// New calls are referenced as NEW_CALL_ID from their attributions' NoCall_Call__c
+async function writeCall(
+  session,
+  { existingCallId, callBody, attributions: records = [], rollup = null, files = [], children = [] }
+) {
+  // A payload without attributions leaves the call's existing ones alone
+  const existingAttributions =
+    existingCallId && records.length > 0 ? await findAttributionsForCall(session, existingCallId) : [];
+  const attributionDiff = diffAttributions(existingAttributions, records);
+  const existingDocuments = existingCallId
+    ? await findLinkedDocuments(session, existingCallId, files.map((file) => file.title))
+    : {};
+  const existingChildIds = await Promise.all(
+    children.map((child) => findChildIds(session, child.objectName, child.parentField, existingCallId))
+  );
+
+  const parent = rollup ? rollupNodes(rollup, existingCallId) : null;
+  const body = parent ? { ...callBody, [rollup.lookupField]: `@{${ROLLUP_REFERENCE}.id}` } : callBody;
+  const nodes = [
+    ...(parent ? [parent.before] : []),
+    callNode(existingCallId, body),
+    ...(parent ? [parent.after] : []),
+    ...attributionNodes(attributionDiff),
+    ...fileNodes(files, existingCallId, existingDocuments),
+  ];
+
+  // The call and its attributions must land together, so the payload is rejected rather than split
+  if (nodes.length > MAX_GRAPH_NODES) {
+    throw new ValidationError(
+      `Call write needs ${nodes.length} composite nodes, more than the ${MAX_GRAPH_NODES} Salesforce allows`,
+      413
+    );
+  }
+
+  const inlineChildren = childNodes(children, existingChildIds, existingCallId || NEW_CALL_ID);
+  const fitsOneGraph = nodes.length + inlineChildren.length <= MAX_GRAPH_NODES;
+  const results = await compositeGraph(
+    session,
+    'callWrite',
+    fitsOneGraph ? [...nodes, ...inlineChildren] : nodes
+  );
+  const callId = existingCallId || results[CALL_REFERENCE]?.body?.id;
+
+  if (!fitsOneGraph) {
+    // Too many rows for one transaction: the call is committed, its child rows follow in batches
+    const overflow = childNodes(children, existingChildIds, callId);
+    console.warn('Child records written outside the call transaction', { callId, nodes: overflow.length });
+
+    for (const [index, batch] of chunk(overflow, MAX_GRAPH_NODES).entries()) {
+      await compositeGraph(session, `callChildren${index}`, batch);
+    }
+  }
+
+  return {
+    callId,
+    rollupId: parent ? results[ROLLUP_REFERENCE]?.body?.id ?? null : undefined,
+    attributionIds: attributionDiff.entries.map((entry, index) =>
+      attributionIdFromResult(results[`attribution${index}`], entry)
+    ),
+    attributionChanges: attributionDiff.counts,
+    fileIds: files.map((file, index) => results[`file${index}`]?.body?.id ?? null),
+    childCounts: Object.fromEntries(
+      children.map((child, set) => [
+        child.objectName,
+        { deleted: existingChildIds[set].length, inserted: child.records.length },
+      ])
+    ),
+  };
+}
+
+// Batches write calls through sObject Collections, so their transcript files follow in a graph per call
+async function writeFiles(session, { callId, files, existingCall }) {
+  const existingDocuments = existingCall
+    ? await findLinkedDocuments(session, callId, files.map((file) => file.title))
+    : {};
+  const results = await compositeGraph(session, 'callFiles', fileNodes(files, callId, existingDocuments));
+
+  return files.map((file, index) => results[`file${index}`]?.body?.id ?? null);
+}
+
+export { NEW_CALL_ID, buildAttributionRecords, writeCall, writeFiles };
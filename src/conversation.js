@@ -0,0 +1,25 @@
+// Rendering of NoCall conversation message logs
+function formatConversation(messages = []) {
+  if (!Array.isArray(messages)) return messages;
+
+  return messages
+    .filter((entry) => entry?.role !== 'system')
+    .map((entry) => {
+      if (!entry || typeof entry !== 'object') return String(entry);
+
+      const { role, content, name, tool_calls: toolCalls, tool_call_id: toolCallId, args } = entry;
+
+      if (role === 'assistant_tool_call') {
+        return `${role}: ${JSON.stringify({ name, toolCalls, args })}`;
+      }
+
+      if (role === 'tool') {
+        return `${role}(${name || toolCallId || ''}): ${JSON.stringify(content)}`;
+      }
+
+      return `${role || 'message'}: ${typeof content === 'string' ? content : JSON.stringify(content)}`;
+    })
+    .join('\n');
+}
+
+export { formatConversation };
@@ -0,0 +1,132 @@
+// Duplicate and out-of-order delivery handling for NoCall webhooks
+import { ConfigError } from './errors.js';
+import { toEpoch } from './values.js';
+
+const DELIVERY_PREFIX = 'delivery:';
+const DEFAULT_DELIVERY_TTL_SEC = 7 * 24 * 60 * 60;
+
+// Higher ranks are later in a call's lifecycle; terminal statuses share the top rank
+const DEFAULT_STATUS_ORDER = {
+  queued: 0,
+  initiated: 0,
+  dialing: 1,
+  ringing: 1,
+  'in-progress': 2,
+  completed: 3,
+  ended: 3,
+  'no-answer': 3,
+  busy: 3,
+  failed: 3,
+  canceled: 3,
+};
+
+// Scoped by tenant, since call ids are only unique within one NoCall account, and by event type,
+// since one call's events may share a timestamp
+function deliveryKey(payload, tenant = null) {
+  if (!payload || payload.id === undefined || payload.id === null || !payload.timestamp) return null;
+  const event = payload.event ? `:${payload.event}` : '';
+  return `${DELIVERY_PREFIX}${tenant ? `${tenant}:` : ''}${payload.id}:${payload.timestamp}${event}`;
+}
+
+async function findDelivery(env, key) {
+  if (!key || !env.NOCALL_KV) return null;
+
+  try {
+    return await env.NOCALL_KV.get(key, 'json');
+  } catch (error) {
+    console.warn('Failed to read delivery record', { key, error: String(error) });
+    return null;
+  }
+}
+
+async function recordDelivery(env, key, result) {
+  if (!key || !env.NOCALL_KV) return;
+
+  const ttl = Number(env.NOCALL_IDEMPOTENCY_TTL_SEC);
+  try {
+    await env.NOCALL_KV.put(key, JSON.stringify(result), {
+      expirationTtl: Number.isFinite(ttl) && ttl >= 60 ? ttl : DEFAULT_DELIVERY_TTL_SEC,
+    });
+  } catch (error) {
+    console.warn('Failed to write delivery record', { key, error: String(error) });
+  }
+}
+
+// Webhook_Timestamp__c is optional: it is read only when the writes carry it, so orgs without the field keep working
+function existingCallFields(callBodies) {
+  const timestamped = callBodies.some((callBody) => Object.hasOwn(callBody, 'Webhook_Timestamp__c'));
+  return ['CallRecord_Id__c', 'Call_Status__c', ...(timestamped ? ['Webhook_Timestamp__c'] : [])];
+}
+
+function isStale(incomingTimestamp, storedTimestamp) {
+  const incoming = toEpoch(incomingTimestamp);
+  const stored = toEpoch(storedTimestamp);
+
+  return incoming !== null && stored !== null && incoming < stored;
+}
+
+// Configured as a JSON array from earliest to latest, e.g. ["ringing", "in-progress", ["completed", "failed"]].
+// Read when the webhook is prepared, so a bad setting fails before anything is written.
+function statusOrder(env) {
+  if (!env.NOCALL_STATUS_ORDER) return DEFAULT_STATUS_ORDER;
+
+  let order;
+  try {
+    order = JSON.parse(env.NOCALL_STATUS_ORDER);
+  } catch (error) {
+    throw new ConfigError('Invalid status order configuration', [`NOCALL_STATUS_ORDER is not JSON: ${error}`]);
+  }
+
+  const problems = [];
+  if (!Array.isArray(order)) {
+    problems.push('NOCALL_STATUS_ORDER must be a JSON array of statuses from earliest to latest');
+  } else {
+    order.forEach((entry, rank) => {
+      const statuses = Array.isArray(entry) ? entry : [entry];
+      if (statuses.length === 0 || statuses.some((status) => typeof status !== 'string' || status === '')) {
+        problems.push(`NOCALL_STATUS_ORDER[${rank}] must be a status or an array of statuses`);
+      }
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError('Invalid status order configuration', problems);
+  }
+
+  return Object.fromEntries(
+    order.flatMap((entry, rank) =>
+      (Array.isArray(entry) ? entry : [entry]).map((status) => [status.toLowerCase(), rank])
+    )
+  );
+}
+
+// Drops a Call_Status__c that would move the same call backwards. Unknown statuses always pass.
+// `order` is from statusOrder.
+function enforceStatusOrder(callBody, existing, order) {
+  const incoming = callBody.Call_Status__c;
+  const current = existing?.Call_Status__c;
+
+  if (!incoming || !current || existing.CallRecord_Id__c !== callBody.CallRecord_Id__c) {
+    return { callBody, statusHeld: false };
+  }
+
+  const incomingRank = order[String(incoming).toLowerCase()];
+  const currentRank = order[String(current).toLowerCase()];
+
+  if (incomingRank === undefined || currentRank === undefined || incomingRank >= currentRank) {
+    return { callBody, statusHeld: false };
+  }
+
+  const { Call_Status__c: _dropped, ...rest } = callBody;
+  return { callBody: rest, statusHeld: true };
+}
+
+export {
+  deliveryKey,
+  findDelivery,
+  recordDelivery,
+  existingCallFields,
+  isStale,
+  enforceStatusOrder,
+  statusOrder,
+};
@@ -0,0 +1,274 @@
+// Fits call and attribution records to the org's field metadata before they are written
+import { ConfigError, ValidationError } from './errors.js';
+import { salesforceRequest } from './salesforce.js';
+
+const MODES = new Set(['off', 'lenient', 'strict']);
+const DEFAULT_TTL_SEC = 3600;
+const KV_KEY_PREFIX = 'describe:';
+const CHECKED_OBJECTS = ['NoCall_Call__c', 'NoCall_Attribution__c'];
+
+const TEXT_TYPES = new Set([
+  'string',
+  'textarea',
+  'phone',
+  'email',
+  'url',
+  'picklist',
+  'multipicklist',
+  'encryptedstring',
+  'combobox',
+]);
+const NUMBER_TYPES = new Set(['double', 'currency', 'percent']);
+
+// In-isolate copy in front of KV, like the token cache
+const memoryCache = new Map();
+
+function fieldCheckSettings(env) {
+  const mode = String(env.NOCALL_FIELD_CHECK || 'off').toLowerCase();
+  const ttl = Number(env.NOCALL_DESCRIBE_TTL_SEC);
+
+  if (!MODES.has(mode)) {
+    throw new ConfigError('Invalid field check configuration', ['NOCALL_FIELD_CHECK must be off, lenient or strict']);
+  }
+
+  return mode === 'off' ? null : { mode, ttlSec: Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_SEC };
+}
+
+// Only what the checks need, so the KV entry stays small; keys are lower-case like Salesforce's field names
+function compactDescribe(describe) {
+  return {
+    name: describe.name,
+    fields: Object.fromEntries(
+      (describe.fields || []).map((field) => [
+        field.name.toLowerCase(),
+        {
+          name: field.name,
+          type: field.type,
+          length: field.length || 0,
+          createable: field.createable !== false,
+          updateable: field.updateable !== false,
+          restricted: Boolean(field.restrictedPicklist),
+          picklist:
+            field.type === 'picklist' || field.type === 'multipicklist'
+              ? (field.picklistValues || []).filter((entry) => entry.active !== false).map((entry) => entry.value)
+              : undefined,
+        },
+      ])
+    ),
+  };
+}
+
+async function readCachedDescribe(env, key) {
+  const cached = memoryCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.describe;
+
+  if (!env.NOCALL_KV) return null;
+
+  try {
+    const stored = await env.NOCALL_KV.get(`${KV_KEY_PREFIX}${key}`, 'json');
+    if (stored && stored.expiresAt > Date.now()) {
+      memoryCache.set(key, stored);
+      return stored.describe;
+    }
+  } catch (error) {
+    console.warn('Failed to read describe metadata from KV', { key, error: String(error) });
+  }
+
+  return null;
+}
+
+async function writeCachedDescribe(env, key, entry) {
+  memoryCache.set(key, entry);
+
+  if (!env.NOCALL_KV) return;
+
+  try {
+    // KV rejects expirations shorter than 60 seconds
+    const expirationTtl = Math.max(60, Math.floor((entry.expiresAt - Date.now()) / 1000));
+    await env.NOCALL_KV.put(`${KV_KEY_PREFIX}${key}`, JSON.stringify(entry), { expirationTtl });
+  } catch (error) {
+    console.warn('Failed to write describe metadata to KV', { key, error: String(error) });
+  }
+}
+
+async function describeObject(session, objectName, env, settings) {
+  const key = `${session.instanceUrl}|${objectName}`;
+  const cached = await readCachedDescribe(env, key);
+  if (cached) return cached;
+
+  const response = await salesforceRequest(
+    session,
+    `/sobjects/${objectName}/describe`,
+    { method: 'GET' },
+    `Failed to describe ${objectName}`
+  );
+  const describe = compactDescribe(await response.json());
+  await writeCachedDescribe(env, key, { describe, expiresAt: Date.now() + settings.ttlSec * 1000 });
+
+  return describe;
+}
+
+function clearDescribeCache() {
+  memoryCache.clear();
+}
+
+function isNumeric(value) {
+  if (typeof value === 'number') return Number.isFinite(value);
+  return typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+}
+
+// Returns { value } when the value fits the field, possibly converted, or { issue, message } when it does not
+function coerceValue(value, field) {
+  const { type } = field;
+
+  if (NUMBER_TYPES.has(type) || type === 'int') {
+    if (!isNumeric(value)) {
+      return { issue: 'invalid_type', message: `expected a number, got ${JSON.stringify(value)}` };
+    }
+    return { value: type === 'int' ? Math.round(Number(value)) : Number(value) };
+  }
+
+  if (type === 'boolean') {
+    if (typeof value === 'boolean') return { value };
+    const text = String(value).toLowerCase();
+    if (text === 'true' || text === '1') return { value: true };
+    if (text === 'false' || text === '0') return { value: false };
+    return { issue: 'invalid_type', message: `expected a boolean, got ${JSON.stringify(value)}` };
+  }
+
+  if (type === 'datetime') {
+    const time = typeof value === 'string' || typeof value === 'number' ? new Date(value).getTime() : NaN;
+    if (Number.isNaN(time)) {
+      return { issue: 'invalid_type', message: `expected a date-time, got ${JSON.stringify(value)}` };
+    }
+    // Offsets such as +09:00 become UTC, which every API version accepts
+    return { value: new Date(time).toISOString() };
+  }
+
+  if (type === 'date') {
+    // The calendar date as sent, not shifted to UTC
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return { value: value.slice(0, 10) };
+    return { issue: 'invalid_type', message: `expected a date, got ${JSON.stringify(value)}` };
+  }
+
+  if (TEXT_TYPES.has(type)) {
+    return { value: typeof value === 'object' ? JSON.stringify(value) : String(value) };
+  }
+
+  return { value };
+}
+
+function picklistProblem(value, field) {
+  if (!field.picklist) return null;
+
+  const allowed = new Set(field.picklist);
+  const values = field.type === 'multipicklist' ? value.split(';') : [value];
+  const unknown = values.filter((entry) => !allowed.has(entry));
+
+  if (unknown.length === 0) return null;
+  return `${unknown.map((entry) => `"${entry}"`).join(', ')} is not an active picklist value`;
+}
+
+// `operation` is create or update and decides which fields count as writable. Lossless conversions
+// are silent; anything dropped, shortened or questionable is returned as an adjustment with its `action`.
+function conformRecord(record, describe, operation) {
+  const conformed = {};
+  const adjustments = [];
+  const note = (field, issue, message, action) =>
+    adjustments.push({ object: describe.name, field, issue, message, action });
+
+  for (const [name, value] of Object.entries(record)) {
+    const field = describe.fields[name.toLowerCase()];
+
+    if (!field) {
+      note(name, 'unknown_field', 'field does not exist', 'dropped');
+      continue;
+    }
+
+    if (!(operation === 'update' ? field.updateable : field.createable)) {
+      note(name, 'not_writable', `field cannot be set on ${operation}`, 'dropped');
+      continue;
+    }
+
+    // Nulls clear the field and composite references are resolved by Salesforce
+    if (value === null || (typeof value === 'string' && value.startsWith('@{'))) {
+      conformed[name] = value;
+      continue;
+    }
+
+    const coerced = coerceValue(value, field);
+    if (coerced.issue) {
+      note(name, coerced.issue, coerced.message, 'dropped');
+      continue;
+    }
+
+    let result = coerced.value;
+
+    if (typeof result === 'string' && field.picklist) {
+      const problem = picklistProblem(result, field);
+      if (problem && field.restricted) {
+        note(name, 'invalid_picklist_value', problem, 'dropped');
+        continue;
+      }
+      // Unrestricted picklists accept other values through the API
+      if (problem) note(name, 'invalid_picklist_value', problem, 'kept');
+    }
+
+    if (typeof result === 'string' && field.length > 0 && result.length > field.length) {
+      note(name, 'too_long', `${result.length} characters, field allows ${field.length}`, 'truncated');
+      result = result.slice(0, field.length);
+    }
+
+    conformed[name] = result;
+  }
+
+  return { record: conformed, adjustments };
+}
+
+// Describes both objects (cached) and conforms the call and its attributions. Strict mode throws
+// instead of adjusting; a failed describe is only fatal in strict mode.
+async function conformCallWrite(session, env, settings, { callBody, attributions, operation }) {
+  if (!settings) return { callBody, attributions, adjustments: [] };
+
+  let describes;
+  try {
+    describes = await Promise.all(CHECKED_OBJECTS.map((name) => describeObject(session, name, env, settings)));
+  } catch (error) {
+    if (settings.mode === 'strict') throw error;
+    console.warn('Skipping field checks: describe failed', { error: error.message, status: error.status ?? null });
+    return { callBody, attributions, adjustments: [] };
+  }
+
+  const [callDescribe, attributionDescribe] = describes;
+  const call = conformRecord(callBody, callDescribe, operation);
+  const conformedAttributions = attributions.map((record) => conformRecord(record, attributionDescribe, 'create'));
+  const adjustments = [
+    ...call.adjustments,
+    ...conformedAttributions.flatMap((entry, index) =>
+      entry.adjustments.map((adjustment) => ({ ...adjustment, index }))
+    ),
+  ];
+
+  if (adjustments.length > 0 && settings.mode === 'strict') {
+    throw new ValidationError(
+      'Payload does not fit the Salesforce field definitions',
+      422,
+      adjustments.map((adjustment) => ({
+        path: `${adjustment.object}${adjustment.index === undefined ? '' : `[${adjustment.index}]`}.${adjustment.field}`,
+        message: adjustment.message,
+      }))
+    );
+  }
+
+  if (adjustments.length > 0) {
+    console.warn('Fields adjusted to fit Salesforce', { adjustments });
+  }
+
+  return {
+    callBody: call.record,
+    attributions: conformedAttributions.map((entry) => entry.record),
+    adjustments,
+  };
+}
+
+export { clearDescribeCache, conformCallWrite, conformRecord, describeObject, fieldCheckSettings };
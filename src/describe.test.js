@@ -0,0 +1,243 @@
+import assert from 'node:assert/strict';
+import { clearDescribeCache, conformRecord, fieldCheckSettings } from './describe.js';
+import { acceptGraph, createMemoryKv, createMockResponse, sendWebhook, withSalesforce } from './test-helpers.js';
+
+function field(name, type, extra = {}) {
+  return { name, type, length: 0, createable: true, updateable: true, ...extra };
+}
+
+const picklist = (values, restrictedPicklist) => ({
+  picklistValues: values.map((value) => ({ value, active: true })),
+  restrictedPicklist,
+});
+
+const DESCRIBES = {
+  NoCall_Call__c: {
+    name: 'NoCall_Call__c',
+    fields: [
+      field('Id', 'id', { createable: false, updateable: false }),
+      field('CallRecord_Id__c', 'string', { length: 40, updateable: false }),
+      field('Call_Status__c', 'picklist', { length: 40, ...picklist(['completed', 'no-answer'], true) }),
+      field('From_Phone__c', 'phone', { length: 40 }),
+      field('To_Phone__c', 'phone', { length: 40 }),
+      field('Recording_Url__c', 'url', { length: 255 }),
+      field('EndUser_Id__c', 'string', { length: 80 }),
+      field('EndUser_Phone__c', 'phone', { length: 40 }),
+      field('Ended_At__c', 'datetime'),
+      field('Webhook_Timestamp__c', 'datetime'),
+      field('Duration_Sec__c', 'double'),
+      field('Dialed_At__c', 'datetime'),
+      field('Goal_Status__c', 'picklist', { length: 40, ...picklist(['achieved'], false) }),
+      field('Goal_Result__c', 'string', { length: 10 }),
+    ],
+  },
+  NoCall_Attribution__c: {
+    name: 'NoCall_Attribution__c',
+    fields: [
+      field('NoCall_Call__c', 'reference', { updateable: false }),
+      field('Label__c', 'string', { length: 5 }),
+      field('Value__c', 'string', { length: 255 }),
+    ],
+  },
+};
+
+// The cached shape describeObject keeps
+function describeOf(name) {
+  const fields = DESCRIBES[name].fields.map((entry) => [
+    entry.name.toLowerCase(),
+    {
+      ...entry,
+      restricted: Boolean(entry.restrictedPicklist),
+      picklist: entry.picklistValues?.map((value) => value.value),
+    },
+  ]);
+  return { name, fields: Object.fromEntries(fields) };
+}
+
+async function testRecordsAreFittedToTheirFields() {
+  const { record, adjustments } = conformRecord(
+    {
+      CallRecord_Id__c: 'call-1',
+      Call_Status__c: 'busy',
+      Duration_Sec__c: '125',
+      Dialed_At__c: '2025-04-01T10:00:00+09:00',
+      Goal_Status__c: 'pending',
+      Goal_Result__c: '予約が確定しました。ありがとう',
+      Legacy_Notes__c: 'x',
+      To_Phone__c: null,
+    },
+    describeOf('NoCall_Call__c'),
+    'update'
+  );
+
+  assert.deepEqual(record, {
+    Duration_Sec__c: 125,
+    Dialed_At__c: '2025-04-01T01:00:00.000Z',
+    Goal_Status__c: 'pending',
+    Goal_Result__c: '予約が確定しました。',
+    To_Phone__c: null,
+  });
+  assert.deepEqual(
+    adjustments.map(({ field: name, issue, action }) => [name, issue, action]),
+    [
+      ['CallRecord_Id__c', 'not_writable', 'dropped'],
+      ['Call_Status__c', 'invalid_picklist_value', 'dropped'],
+      ['Goal_Status__c', 'invalid_picklist_value', 'kept'],
+      ['Goal_Result__c', 'too_long', 'truncated'],
+      ['Legacy_Notes__c', 'unknown_field', 'dropped'],
+    ]
+  );
+}
+
+async function testInvalidValuesAreDropped() {
+  const { record, adjustments } = conformRecord(
+    { Duration_Sec__c: 'two minutes', Dialed_At__c: 'yesterday' },
+    describeOf('NoCall_Call__c'),
+    'create'
+  );
+
+  assert.deepEqual(record, {});
+  assert.deepEqual(
+    adjustments.map((adjustment) => adjustment.message),
+    ['expected a number, got "two minutes"', 'expected a date-time, got "yesterday"']
+  );
+}
+
+async function testSettings() {
+  assert.equal(fieldCheckSettings({}), null);
+  assert.deepEqual(fieldCheckSettings({ NOCALL_FIELD_CHECK: 'Strict', NOCALL_DESCRIBE_TTL_SEC: '600' }), {
+    mode: 'strict',
+    ttlSec: 600,
+  });
+  assert.throws(() => fieldCheckSettings({ NOCALL_FIELD_CHECK: 'loose' }), (error) => error.name === 'ConfigError');
+}
+
+// Answers describes from DESCRIBES and records what reached Salesforce
+async function withDescribes(fn, { describeStatus = 200 } = {}) {
+  const calls = { describes: [], graphs: [] };
+  const handler = async (url, options = {}) => {
+    const target = String(url);
+
+    const describe = target.match(/\/sobjects\/(\w+)\/describe$/);
+    if (describe) {
+      calls.describes.push(describe[1]);
+      return describeStatus === 200
+        ? createMockResponse(DESCRIBES[describe[1]])
+        : createMockResponse([{ errorCode: 'NOT_FOUND' }], describeStatus);
+    }
+
+    if (target.includes('/query')) {
+      return createMockResponse({ records: [] });
+    }
+
+    if (target.includes('/composite/graph')) {
+      calls.graphs.push(JSON.parse(options.body).graphs[0]);
+      return acceptGraph(options);
+    }
+
+    throw new Error(`Unexpected fetch call: ${url}`);
+  };
+
+  clearDescribeCache();
+  try {
+    await withSalesforce(handler, () => fn(calls));
+  } finally {
+    clearDescribeCache();
+  }
+}
+
+const payload = {
+  id: 'call-1',
+  callStatus: 'completed',
+  to: '+819012345678',
+  endUser: { attributions: { 生年月日の確認: '1985-04-12' } },
+  conversation: { duration: 125, startTime: '2025-04-01T10:00:00+09:00', goalResult: 'キャンセル待ちで登録済み' },
+};
+
+function send(env, body = payload) {
+  return sendWebhook(env, body);
+}
+
+async function testLenientModeAdjustsAndCachesDescribes() {
+  await withDescribes(async (calls) => {
+    const env = { NOCALL_FIELD_CHECK: 'lenient', NOCALL_KV: createMemoryKv() };
+
+    const { status, body } = await send(env);
+
+    assert.equal(status, 201);
+    assert.deepEqual(
+      body.fieldAdjustments.map(({ object, field: name, action, index }) => [object, name, action, index]),
+      [
+        ['NoCall_Call__c', 'Normalized_Phone__c', 'dropped', undefined],
+        ['NoCall_Call__c', 'Goal_Result__c', 'truncated', undefined],
+        ['NoCall_Attribution__c', 'Label__c', 'truncated', 0],
+        ['NoCall_Attribution__c', 'External_Id__c', 'dropped', 0],
+      ]
+    );
+
+    const nodes = calls.graphs[0].compositeRequest;
+    const call = nodes.find((node) => node.referenceId === 'call').body;
+    assert.equal(call.Duration_Sec__c, 125);
+    assert.equal(call.Dialed_At__c, '2025-04-01T01:00:00.000Z');
+    assert.equal(call.Goal_Result__c, 'キャンセル待ちで登録');
+    assert.deepEqual(nodes.find((node) => node.referenceId === 'attribution0').body, {
+      NoCall_Call__c: '@{call.id}',
+      Label__c: '生年月日の',
+      Value__c: '1985-04-12',
+    });
+
+    assert.deepEqual(calls.describes.sort(), ['NoCall_Attribution__c', 'NoCall_Call__c']);
+    assert.ok(env.NOCALL_KV.store.has('describe:https://x|NoCall_Call__c'));
+
+    // A fresh isolate reads the describe from KV instead of asking Salesforce again
+    clearDescribeCache();
+    await send(env, { ...payload, id: 'call-2' });
+    assert.equal(calls.describes.length, 2);
+  });
+}
+
+async function testStrictModeRejectsBeforeWriting() {
+  await withDescribes(async (calls) => {
+    const { status, body } = await send({ NOCALL_FIELD_CHECK: 'strict' });
+
+    assert.equal(status, 422);
+    assert.equal(body.error, 'Payload does not fit the Salesforce field definitions');
+    assert.deepEqual(body.detail.slice(0, 2), [
+      { path: 'NoCall_Call__c.Normalized_Phone__c', message: 'field does not exist' },
+      { path: 'NoCall_Call__c.Goal_Result__c', message: '12 characters, field allows 10' },
+    ]);
+    assert.ok(body.detail.some((violation) => violation.path === 'NoCall_Attribution__c[0].Label__c'));
+    assert.equal(calls.graphs.length, 0);
+  });
+}
+
+async function testFailedDescribeDoesNotBlockLenientWrites() {
+  await withDescribes(
+    async (calls) => {
+      const lenient = await send({ NOCALL_FIELD_CHECK: 'lenient' });
+      assert.equal(lenient.status, 201);
+      assert.equal(lenient.body.fieldAdjustments, undefined);
+      assert.equal(calls.graphs.length, 1);
+
+      const strict = await send({ NOCALL_FIELD_CHECK: 'strict' });
+      assert.equal(strict.status, 404);
+      assert.equal(calls.graphs.length, 1);
+    },
+    { describeStatus: 404 }
+  );
+}
+
+async function run() {
+  await testRecordsAreFittedToTheirFields();
+  await testInvalidValuesAreDropped();
+  await testSettings();
+  await testLenientModeAdjustsAndCachesDescribes();
+  await testStrictModeRejectsBeforeWriting();
+  await testFailedDescribeDoesNotBlockLenientWrites();
+  console.log('All describe tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,21 @@
+// Raised when a webhook payload cannot be written as sent; retrying will not help
+// `violations` lists { path, message } pairs when the payload failed schema validation or field checks
+class ValidationError extends Error {
+  constructor(message, status = 400, violations = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.status = status;
+    this.violations = violations;
+  }
+}
+
+// Raised when worker configuration (env vars or KV) is malformed
+class ConfigError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+export { ValidationError, ConfigError };
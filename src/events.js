@@ -0,0 +1,55 @@
+// Dispatch on the console payload's `event`: the final call report, or a partial event during the call
+import { ValidationError } from './errors.js';
+import { isMissing, readPath } from './mapping.js';
+
+const FINAL_EVENT = 'call.completed';
+
+// The mapping sets every field it knows, null when the payload lacks it; a partial event keeps only what it carries
+function carried(call) {
+  return Object.fromEntries(Object.entries(call).filter(([, value]) => !isMissing(value)));
+}
+
+// At least one of `paths` must be present, reported the way schema validation reports it
+function requireOneOf(payload, type, paths) {
+  if (paths.some((path) => !isMissing(readPath(payload, path)))) return;
+
+  throw new ValidationError('Payload failed schema validation', 422, [
+    { path: `$.${paths[0]}`, message: `is required for ${type} events` },
+  ]);
+}
+
+// Each handler turns the mapped call fields into the fields to write
+const HANDLERS = {
+  // The report is the whole call, so a field it lacks is cleared, as it always has been
+  [FINAL_EVENT]: (payload, call) => call,
+  // Until the report arrives, the event's own timestamp is the best start time there is
+  'call.started': (payload, call) => {
+    const fields = carried(call);
+    if (!fields.Dialed_At__c && !isMissing(payload.timestamp)) fields.Dialed_At__c = payload.timestamp;
+    return fields;
+  },
+  'call.status_changed': (payload, call) => {
+    requireOneOf(payload, 'call.status_changed', ['callStatus']);
+    return carried(call);
+  },
+  'call.agent_updated': (payload, call) => {
+    requireOneOf(payload, 'call.agent_updated', ['agent.id', 'agent.name']);
+    return carried(call);
+  },
+  'call.goal_updated': (payload, call) => {
+    requireOneOf(payload, 'call.goal_updated', ['conversation.goalStatus', 'conversation.goalResult']);
+    return carried(call);
+  },
+};
+
+// `{ type, partial, handle }`, with `handle` null for a type this worker does not know.
+// Payloads without an `event`, and the direct `{ call }` shape, are final reports.
+function resolveEvent(payload) {
+  const sent = payload && typeof payload === 'object' && !('call' in payload) ? payload.event : undefined;
+  const type = isMissing(sent) ? FINAL_EVENT : String(sent).toLowerCase();
+  const handle = Object.hasOwn(HANDLERS, type) ? HANDLERS[type] : null;
+
+  return { type, partial: type !== FINAL_EVENT, handle };
+}
+
+export { resolveEvent };
@@ -0,0 +1,201 @@
+import assert from 'node:assert/strict';
+import { processWebhook } from './index.js';
+import { resolveEvent } from './events.js';
+import { acceptGraph, createMemoryKv, createMockResponse, sendWebhook, withSalesforce } from './test-helpers.js';
+
+// An org where the call already exists with one structured message; every graph sent is kept
+function mockSalesforce(graphs) {
+  return async (url, options = {}) => {
+    const target = String(url);
+
+    if (target.includes('/query')) {
+      const soql = new URL(target).searchParams.get('q');
+      if (soql.includes('FROM NoCall_Call__c')) {
+        return createMockResponse({ records: [{ Id: 'a01CALL', CallRecord_Id__c: 'call-1' }] });
+      }
+      if (soql.includes('FROM NoCall_Message__c')) {
+        return createMockResponse({ records: [{ Id: 'a02MSG' }] });
+      }
+      return createMockResponse({ records: [] });
+    }
+
+    if (target.includes('/composite/sobjects')) {
+      const { records } = JSON.parse(options.body);
+      return createMockResponse(records.map((record) => ({ id: record.Id ?? 'a01NEW', success: true })));
+    }
+
+    if (target.includes('/composite/graph')) {
+      graphs.push(JSON.parse(options.body).graphs[0].compositeRequest);
+      return acceptGraph(options);
+    }
+
+    throw new Error(`Unexpected fetch call: ${url}`);
+  };
+}
+
+async function withOrg(fn) {
+  const graphs = [];
+  await withSalesforce(mockSalesforce(graphs), () => fn(graphs));
+}
+
+function send(body, env = {}, path = '/') {
+  return sendWebhook({ NOCALL_MATCH_STRATEGY: 'callRecordId', ...env }, body, { path });
+}
+
+const callUpdate = (graph) => graph.find((node) => node.referenceId === 'call').body;
+
+async function testEventTypesAreResolved() {
+  assert.equal(resolveEvent({ id: '1' }).type, 'call.completed');
+  assert.equal(resolveEvent({ id: '1' }).partial, false);
+  assert.equal(resolveEvent({ event: 'Call.Status_Changed' }).type, 'call.status_changed');
+  assert.equal(resolveEvent({ event: 'call.started' }).partial, true);
+  assert.equal(resolveEvent({ event: 'call.transferred' }).handle, null);
+  assert.equal(resolveEvent({ event: 'toString' }).handle, null);
+  assert.equal(resolveEvent({ call: {}, event: 'call.started' }).type, 'call.completed', 'The direct shape is final');
+}
+
+async function testPartialEventsOnlyWriteWhatTheyCarry() {
+  await withOrg(async (graphs) => {
+    const env = { NOCALL_STRUCTURED_MESSAGES: 'true' };
+
+    const statusChanged = {
+      event: 'call.status_changed',
+      id: 'call-1',
+      callStatus: 'in-progress',
+      timestamp: '2025-03-28T15:41:00+09:00',
+    };
+    const changed = await send(statusChanged, env);
+    assert.equal(changed.status, 200);
+    assert.equal(changed.body.operation, 'update');
+    assert.deepEqual(callUpdate(graphs[0]), {
+      CallRecord_Id__c: 'call-1',
+      Call_Status__c: 'in-progress',
+    });
+    assert.equal(graphs[0].length, 1, 'Structured messages are left alone');
+
+    await send({
+      event: 'call.goal_updated',
+      id: 'call-1',
+      conversation: { goalStatus: 'achieved' },
+      agent: { name: 'Receptionist' },
+    });
+    assert.deepEqual(callUpdate(graphs[1]), {
+      CallRecord_Id__c: 'call-1',
+      Goal_Status__c: 'achieved',
+      Triggered_By_Label__c: 'Receptionist',
+    });
+
+    await send({ event: 'call.started', id: 'call-1', to: '+819012345678', timestamp: '2025-03-28T15:40:00+09:00' });
+    assert.equal(callUpdate(graphs[2]).Dialed_At__c, '2025-03-28T15:40:00+09:00');
+    assert.equal(callUpdate(graphs[2]).Normalized_Phone__c, '+819012345678');
+
+    // The final report still stands for the whole call
+    await send({ id: 'call-1', callStatus: 'completed' }, env);
+    assert.equal(callUpdate(graphs[3]).Goal_Status__c, null);
+    assert.ok(graphs[3].some((node) => node.method === 'DELETE' && node.url.endsWith('/NoCall_Message__c/a02MSG')));
+  });
+}
+
+async function testRulesWaitForTheFinalReport() {
+  await withOrg(async (graphs) => {
+    const env = {
+      NOCALL_KV: createMemoryKv(),
+      NOCALL_RULES: JSON.stringify({
+        rules: [
+          {
+            name: 'missed goal',
+            when: { goalStatus: { not: 'achieved' } },
+            actions: [{ type: 'task', subject: 'Call back' }],
+          },
+        ],
+      }),
+    };
+    const tasks = () => graphs.flat().filter((node) => node.url.includes('/sobjects/Task/')).length;
+
+    const started = await send({ event: 'call.started', id: 'call-1', to: '+819012345678' }, env);
+    assert.equal(started.body.rules, undefined, 'Partial events do not evaluate rules');
+    assert.equal(tasks(), 0);
+
+    const final = (goalStatus) => ({ id: 'call-1', callStatus: 'completed', conversation: { goalStatus } });
+    const achieved = await send(final('achieved'), env);
+    assert.equal(achieved.body.rules[0].matched, false);
+    assert.equal(tasks(), 0);
+
+    const missed = await send(final('failed'), env);
+    assert.equal(missed.body.rules[0].matched, true);
+    assert.equal(tasks(), 1);
+  });
+}
+
+async function testEventsMissingTheirSubjectAreRejected() {
+  const rejected = await send({ event: 'call.status_changed', id: 'call-1' });
+  assert.equal(rejected.status, 422);
+  assert.deepEqual(rejected.body.detail, [
+    { path: '$.callStatus', message: 'is required for call.status_changed events' },
+  ]);
+
+  const agentless = await send({ event: 'call.agent_updated', id: 'call-1', agent: {} });
+  assert.equal(agentless.body.detail[0].path, '$.agent.id');
+}
+
+async function testUnknownEventsAreAcknowledged() {
+  const originalWarn = console.warn;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args);
+
+  try {
+    // No Salesforce credentials or fetch mock: nothing may be written
+    const ignored = await send({ event: 'call.transferred', id: 'call-1' });
+    assert.equal(ignored.status, 200);
+    assert.deepEqual(ignored.body, { status: 'ignored', operation: 'ignored', event: 'call.transferred' });
+    assert.deepEqual(warnings[0], [
+      'Ignored webhook with unknown event type',
+      { event: 'call.transferred', callRecordId: 'call-1' },
+    ]);
+
+    assert.equal((await send({ event: 'call.transferred' }, {}, '/dry-run')).body.operation, 'ignored');
+    assert.deepEqual(await processWebhook({ event: 'call.transferred', id: 'call-1' }, {}), {
+      status: 'ignored',
+      operation: 'ignored',
+      event: 'call.transferred',
+    });
+  } finally {
+    console.warn = originalWarn;
+  }
+}
+
+async function testBatchesIgnoreUnknownItems() {
+  await withOrg(async () => {
+    const batch = await send(
+      [
+        { event: 'call.status_changed', id: 'call-1', callStatus: 'ringing' },
+        { event: 'call.transferred', id: 'call-1' },
+      ],
+      {},
+      '/batch'
+    );
+    assert.equal(batch.status, 200);
+    assert.deepEqual(
+      batch.body.results.map((result) => [result.operation, result.error, result.event]),
+      [
+        ['update', null, undefined],
+        ['ignored', null, 'call.transferred'],
+      ]
+    );
+  });
+}
+
+async function run() {
+  await testEventTypesAreResolved();
+  await testPartialEventsOnlyWriteWhatTheyCarry();
+  await testRulesWaitForTheFinalReport();
+  await testEventsMissingTheirSubjectAreRejected();
+  await testUnknownEventsAreAcknowledged();
+  await testBatchesIgnoreUnknownItems();
+  console.log('All events tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
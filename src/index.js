@@ -1,424 +1,615 @@
 // Cloudflare Worker to accept webhook payloads and insert NoCall records into Salesforce
-const API_VERSION = 'v58.0';
+import { handleAdminRequest, isAdminPath } from './admin.js';
+import { analyticsFields, analyticsSettings } from './analytics.js';
+import { archiveDelivery, isArchiveEnabled, outcomeOf } from './archive.js';
+import { createSession, hasCredentials } from './auth.js';
+import { isBatchRequest, maxBatchItems, parseBatchBody, writeBatch } from './batch.js';
+import { NEW_CALL_ID, buildAttributionRecords, writeCall } from './callWriter.js';
+import {
+  deliveryKey,
+  enforceStatusOrder,
+  existingCallFields,
+  findDelivery,
+  isStale,
+  recordDelivery,
+  statusOrder,
+} from './delivery.js';
+import { conformCallWrite, fieldCheckSettings } from './describe.js';
+import { ConfigError, ValidationError } from './errors.js';
+import { resolveEvent } from './events.js';
+import { linkCall, linkLookupFields, linkSettings } from './linking.js';
+import { DEFAULT_MAPPING, loadMapping, mapAttributions, mapCallFields } from './mapping.js';
+import { buildRollup, resolveMatchStrategy, selectMatchKey } from './matching.js';
+import { isStructuredMessagesEnabled, messageChildren } from './messages.js';
+import { normalizePhoneFields } from './phone.js';
+import { consumeQueueBatch, enqueueWebhook, isQueueMode } from './queue.js';
+import { ingestRecording, planRecording, recordingSettings } from './recordings.js';
+import {
+  createRedactor,
+  redactAttributions,
+  redactConversation,
+  redactText,
+  redactionSettings,
+} from './redaction.js';
+import { evaluateRules, loadRules } from './rules.js';
+import { SalesforceError, findCallByKey } from './salesforce.js';
+import { assertValidPayload } from './schema.js';
+import { isSignatureRequired, SignatureError, verifySignature } from './signature.js';
+import { TENANT_HEADER, loadTenants, resolveTenant, stripTenantPath, tenantEnv } from './tenants.js';
+import { planTranscript } from './transcript.js';
 
-class SalesforceError extends Error {
-  constructor(message, status, body) {
-    super(message);
-    this.name = 'SalesforceError';
-    this.status = status;
-    this.body = body;
-  }
-}
-
-async function fetchAccessToken(env) {
-  const loginUrl = env.SALESFORCE_LOGIN_URL || 'https://login.salesforce.com';
-  const params = new URLSearchParams({
-    grant_type: 'password',
-    client_id: env.SALESFORCE_CLIENT_ID,
-    client_secret: env.SALESFORCE_CLIENT_SECRET,
-    username: env.SALESFORCE_USERNAME,
-    password: `${env.SALESFORCE_PASSWORD}${env.SALESFORCE_SECURITY_TOKEN || ''}`,
-  });
+function mapCallPayload(callPayload) {
+  if (!callPayload || typeof callPayload !== 'object') return callPayload;
 
-  const response = await fetch(`${loginUrl}/services/oauth2/token`, {
-    method: 'POST',
-    headers: {
-      'content-type': 'application/x-www-form-urlencoded',
-    },
-    body: params,
-  });
+  const mapped = { ...callPayload };
 
-  if (!response.ok) {
-    const errorBody = await safeJson(response);
-    throw new SalesforceError(
-      `Salesforce auth failed (${response.status})`,
-      response.status,
-      errorBody
-    );
+  if (!mapped.Normalized_Phone__c && mapped.To_Phone__c) {
+    mapped.Normalized_Phone__c = mapped.To_Phone__c;
   }
 
-  return response.json();
-}
-
-async function safeJson(response) {
-  try {
-    return await response.json();
-  } catch (error) {
-    return { message: 'Failed to parse JSON', error: String(error) };
+  // Convenience mapping: allow a generic `message` field to populate Conversation__c
+  if (callPayload.message && !callPayload.Conversation__c) {
+    mapped.Conversation__c = callPayload.message;
   }
-}
-
-async function createRecord(instanceUrl, token, objectName, body) {
-  const response = await fetch(
-    `${instanceUrl}/services/data/${API_VERSION}/sobjects/${objectName}/`,
-    {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'content-type': 'application/json',
-      },
-      body: JSON.stringify(body),
-    }
-  );
 
-  if (!response.ok) {
-    const errorBody = await safeJson(response);
-    throw new SalesforceError(
-      `Failed to create ${objectName} (${response.status})`,
-      response.status,
-      errorBody
-    );
+  // Optional: allow `notes` alias to populate Notes__c for shorter payloads
+  if (callPayload.notes && !callPayload.Notes__c) {
+    mapped.Notes__c = callPayload.notes;
   }
 
-  return response.json();
+  return removeUndefined(mapped);
 }
 
-async function updateRecord(instanceUrl, token, objectName, recordId, body) {
-  const response = await fetch(
-    `${instanceUrl}/services/data/${API_VERSION}/sobjects/${objectName}/${recordId}`,
-    {
-      method: 'PATCH',
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'content-type': 'application/json',
-      },
-      body: JSON.stringify(body),
-    }
+function removeUndefined(obj) {
+  if (!obj || typeof obj !== 'object') return obj;
+  return Object.fromEntries(
+    Object.entries(obj).filter(([, value]) => value !== undefined)
   );
+}
 
-  if (!response.ok) {
-    const errorBody = await safeJson(response);
-    throw new SalesforceError(
-      `Failed to update ${objectName} (${response.status})`,
-      response.status,
-      errorBody
-    );
+function normalizePayload(payload, mapping = DEFAULT_MAPPING, event = resolveEvent(payload)) {
+  if (payload.call && typeof payload.call === 'object') {
+    return { call: payload.call, attributions: payload.attributions };
   }
 
-  return { id: recordId };
+  const call = event.handle(payload, mapCallFields(payload, mapping));
+  const attributions = Array.isArray(payload.attributions)
+    ? payload.attributions
+    : mapAttributions(payload, mapping);
+
+  return { call, attributions };
 }
 
-async function deleteRecord(instanceUrl, token, objectName, recordId) {
-  const response = await fetch(
-    `${instanceUrl}/services/data/${API_VERSION}/sobjects/${objectName}/${recordId}`,
-    {
-      method: 'DELETE',
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'content-type': 'application/json',
-      },
-    }
-  );
+// An event type this worker does not know prepares to `{ ignored: true, event }` and is not written
+function prepareWebhook(payload, env, mapping, rules = []) {
+  const event = resolveEvent(payload);
+  if (!event.handle) return { ignored: true, event: event.type };
 
-  if (!response.ok) {
-    const errorBody = await safeJson(response);
-    throw new SalesforceError(
-      `Failed to delete ${objectName} (${response.status})`,
-      response.status,
-      errorBody
-    );
-  }
+  assertValidPayload(payload, env);
 
-  return { id: recordId };
-}
+  // Redacted before mapping so the transcript text, file and message records never see the raw values
+  const redaction = redactionSettings(env);
+  const redactor = redaction ? createRedactor(redaction) : null;
+  const source = redactor ? redactConversation(payload, redactor) : payload;
+  const normalized = normalizePayload(source, mapping, event);
 
-async function upsertRecord(instanceUrl, token, objectName, externalIdField, externalId, body) {
-  const response = await fetch(
-    `${instanceUrl}/services/data/${API_VERSION}/sobjects/${objectName}/${externalIdField}/${encodeURIComponent(
-      externalId
-    )}`,
-    {
-      method: 'PATCH',
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'content-type': 'application/json',
-      },
-      body: JSON.stringify(body),
-    }
-  );
+  if (!normalized.call || typeof normalized.call !== 'object') {
+    throw new ValidationError('Missing call object in payload');
+  }
 
-  if (response.status === 204) {
-    return { id: externalId };
+  const mapped = mapCallPayload(normalized.call);
+  // Direct payloads carry the text itself; already masked text has nothing left to count
+  if (redactor && mapped.Conversation__c) {
+    mapped.Conversation__c = redactText(mapped.Conversation__c, redactor);
   }
 
-  if (!response.ok) {
-    const errorBody = await safeJson(response);
-    throw new SalesforceError(
-      `Failed to upsert ${objectName} (${response.status})`,
-      response.status,
-      errorBody
-    );
+  const { callBody, invalid } = normalizePhoneFields(mapped, env);
+
+  if (invalid.length > 0) {
+    const fields = invalid.map(({ field, value }) => `${field} ("${value}")`).join(', ');
+    throw new ValidationError(`Invalid phone number in ${fields}`);
   }
 
-  const json = await response.json();
-  return { id: json.id || externalId };
+  const strategy = resolveMatchStrategy(env);
+  const matchKey = selectMatchKey(callBody, strategy);
+  const messages = source.conversation?.message || source.conversation?.messages;
+  const transcript = planTranscript(callBody, messages, env);
+  // From the unredacted log so masking does not skew talk share; a field the payload sets itself wins
+  const analytics = analyticsFields(analyticsSettings(env), payload.conversation);
+
+  return {
+    callBody: { ...analytics, ...transcript.callBody },
+    files: transcript.files,
+    // Child sets replace the call's existing rows, so a partial event without messages leaves them be
+    children: isStructuredMessagesEnabled(env) && (messages || !event.partial) ? messageChildren(messages) : [],
+    transcriptTruncated: transcript.truncated,
+    attributions: redactor ? redactAttributions(normalized.attributions, redactor) : normalized.attributions,
+    redactions: redactor?.counts,
+    matchKey,
+    rollup: buildRollup(callBody, strategy, env),
+    statusOrder: statusOrder(env),
+    partial: event.partial,
+    linking: linkSettings(env),
+    fieldCheck: fieldCheckSettings(env),
+    recording: planRecording(recordingSettings(env), payload, callBody),
+    rules,
+    deliveryKey: deliveryKey(payload, env.NOCALL_TENANT),
+  };
 }
 
-async function queryRecords(instanceUrl, token, soql) {
-  const url = `${instanceUrl}/services/data/${API_VERSION}/query?q=${encodeURIComponent(soql)}`;
-  const response = await fetch(url, {
-    headers: {
-      Authorization: `Bearer ${token}`,
-      'content-type': 'application/json',
-    },
-  });
-
-  if (!response.ok) {
-    const errorBody = await safeJson(response);
-    throw new SalesforceError(
-      `Salesforce query failed (${response.status})`,
-      response.status,
-      errorBody
-    );
+// The call is already saved, so a failed link is reported on the result rather than failing the webhook
+async function linkRecords(session, prepared, { callId, callBody, existing }) {
+  try {
+    return await linkCall(session, prepared.linking, {
+      callId,
+      callBody,
+      existing,
+      attributions: prepared.attributions,
+    });
+  } catch (error) {
+    if (!isSalesforceError(error)) throw error;
+    console.warn('Failed to link call to a Salesforce record', {
+      callId,
+      salesforceStatus: error.status,
+      salesforceBody: error.body ?? null,
+    });
+    return { linked: false, error: error.message };
   }
-
-  return response.json();
 }
 
-async function findCallByKey(instanceUrl, token, keyField, keyValue) {
-  if (!keyValue) return null;
+// `outcome.operation` tracks how far the write got so failures can be reported accurately
+async function writeWebhook(prepared, env, outcome = {}) {
+  const { matchKey, rollup } = prepared;
 
-  const escapedValue = String(keyValue).replace(/'/g, "\\'");
-  const soql = `SELECT Id FROM NoCall_Call__c WHERE ${keyField} = '${escapedValue}' ORDER BY LastModifiedDate DESC LIMIT 1`;
-  const result = await queryRecords(instanceUrl, token, soql);
+  const previous = await findDelivery(env, prepared.deliveryKey);
+  if (previous) {
+    outcome.operation = previous.operation;
+    return { ...previous, duplicate: true };
+  }
+
+  const session = await createSession(env);
+  const existing = await findCallByKey(session, matchKey.field, matchKey.value, [
+    ...existingCallFields([prepared.callBody]),
+    ...linkLookupFields(prepared.linking),
+  ]);
+  const existingCallId = existing?.Id || null;
+  let result;
+
+  if (existing && isStale(prepared.callBody.Webhook_Timestamp__c, existing.Webhook_Timestamp__c)) {
+    outcome.operation = 'skipped_stale';
+    result = {
+      callId: existingCallId,
+      attributionIds: [],
+      operation: outcome.operation,
+      matchedBy: matchKey.field,
+    };
+  } else {
+    const held = enforceStatusOrder(prepared.callBody, existing, prepared.statusOrder);
+    const { statusHeld } = held;
+    const { callBody, attributions, adjustments } = await conformCallWrite(session, env, prepared.fieldCheck, {
+      callBody: held.callBody,
+      attributions: buildAttributionRecords(existingCallId || NEW_CALL_ID, prepared.attributions),
+      operation: existingCallId ? 'update' : 'create',
+    });
+    outcome.operation = existingCallId ? 'update' : 'insert';
+
+    const written = await writeCall(session, {
+      existingCallId,
+      callBody,
+      attributions,
+      rollup,
+      files: prepared.files,
+      children: prepared.children,
+    });
+    const { callId, attributionIds, attributionChanges, rollupId, fileIds, childCounts } = written;
+    const linkedRecord = await linkRecords(session, prepared, { callId, callBody, existing });
+    // Rules fire once per call, so they wait for the final report: a partial event lacks the goal,
+    // duration and attributions they test, and firing on it would block the report from firing later
+    const ruleEvaluations = prepared.partial
+      ? []
+      : await evaluateRules(session, prepared.rules, {
+          callId,
+          // A held status was not written, so rules see the status the record keeps
+          callBody: { ...callBody, Call_Status__c: callBody.Call_Status__c ?? existing?.Call_Status__c },
+          attributions: prepared.attributions,
+          linkedRecord,
+          env,
+        });
+
+    result = removeUndefined({
+      callId,
+      attributionIds,
+      attributionChanges: attributions.length > 0 ? attributionChanges : undefined,
+      operation: outcome.operation,
+      matchedBy: matchKey.field,
+      rollupId,
+      statusHeld: statusHeld || undefined,
+      transcriptTruncated: prepared.transcriptTruncated || undefined,
+      redactions: prepared.redactions,
+      fieldAdjustments: adjustments.length > 0 ? adjustments : undefined,
+      transcriptFileIds: fileIds.length > 0 ? fileIds : undefined,
+      childRecords: prepared.children.length > 0 ? childCounts : undefined,
+      linkedRecord: linkedRecord ?? undefined,
+      rules: ruleEvaluations.length > 0 ? ruleEvaluations : undefined,
+    });
+  }
 
-  return result?.records?.[0]?.Id || null;
+  await recordDelivery(env, prepared.deliveryKey, result);
+  // Not stored with the delivery: a repeat should not report an old reading
+  return session.apiUsage ? { ...result, apiUsage: session.apiUsage } : result;
 }
 
-async function deleteAttributionsForCall(instanceUrl, token, callId) {
-  if (!callId) return [];
+// Resolves once the recording is filed or its failure recorded; null when there is nothing to fetch.
+// Only a write that reached Salesforce starts one, so duplicates and stale deliveries do not.
+function ingestAfterWrite(prepared, env, result) {
+  if (!prepared.recording || !result.callId || result.duplicate) return null;
+  if (result.operation !== 'insert' && result.operation !== 'update') return null;
+
+  return ingestRecording(env, { ...prepared.recording, callId: result.callId });
+}
 
-  const escapedValue = String(callId).replace(/'/g, "\\'");
-  const soql = `SELECT Id FROM NoCall_Attribution__c WHERE NoCall_Call__c = '${escapedValue}' LIMIT 200`;
-  const result = await queryRecords(instanceUrl, token, soql);
-  const ids = result?.records?.map((record) => record.Id).filter(Boolean) || [];
+// Reports what writeWebhook would send without writing; the lookup runs only when credentials exist
+async function previewWebhook(prepared, env) {
+  const { matchKey } = prepared;
+  let existing = null;
+  let session = null;
 
-  if (ids.length === 0) return ids;
+  if (hasCredentials(env)) {
+    session = await createSession(env);
+    existing = await findCallByKey(session, matchKey.field, matchKey.value, existingCallFields([prepared.callBody]));
+  }
 
-  await Promise.all(ids.map((id) => deleteRecord(instanceUrl, token, 'NoCall_Attribution__c', id)));
+  const existingCallId = existing?.Id || null;
+  const held = enforceStatusOrder(prepared.callBody, existing, prepared.statusOrder);
+  const { statusHeld } = held;
+  // Field checks need the describe, so like the lookup they only run with credentials
+  const { callBody, attributions, adjustments } = await conformCallWrite(
+    session,
+    env,
+    session ? prepared.fieldCheck : null,
+    {
+      callBody: held.callBody,
+      attributions: buildAttributionRecords(existingCallId || NEW_CALL_ID, prepared.attributions),
+      operation: existingCallId ? 'update' : 'create',
+    }
+  );
+  let operation = 'unknown';
 
-  return ids;
-}
+  if (hasCredentials(env)) {
+    const stale = existing && isStale(prepared.callBody.Webhook_Timestamp__c, existing.Webhook_Timestamp__c);
+    operation = stale ? 'skipped_stale' : existingCallId ? 'update' : 'insert';
+  }
 
-function buildAttributionRecords(callId, attributions = []) {
-  return attributions
-    .filter((item) => item && (item.label || item.value))
-    .map((item) => ({
-      NoCall_Call__c: callId,
-      Label__c: item.label ?? null,
-      Value__c: item.value ?? null,
-      External_Id__c: item.externalId ?? null,
-    }));
+  return removeUndefined({
+    dryRun: true,
+    operation,
+    lookupPerformed: hasCredentials(env),
+    matchKey,
+    existingCallId,
+    call: callBody,
+    attributions,
+    statusHeld: statusHeld || undefined,
+    transcriptTruncated: prepared.transcriptTruncated || undefined,
+    redactions: prepared.redactions,
+    fieldAdjustments: adjustments.length > 0 ? adjustments : undefined,
+    apiUsage: session?.apiUsage ?? undefined,
+  });
 }
 
-function mapCallPayload(callPayload) {
-  if (!callPayload || typeof callPayload !== 'object') return callPayload;
+function isDryRun(request) {
+  const url = new URL(request.url);
+  const flag = url.searchParams.get('dryRun');
 
-  const mapped = { ...callPayload };
+  return url.pathname.replace(/\/+$/, '').endsWith('/dry-run') || flag === '1' || flag === 'true';
+}
 
-  if (!mapped.Normalized_Phone__c && mapped.To_Phone__c) {
-    mapped.Normalized_Phone__c = mapped.To_Phone__c;
+async function handleBatchRequest(rawBody, env) {
+  let entries;
+  try {
+    entries = parseBatchBody(rawBody);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return jsonResponse({ error: error.message, operation: 'batch' }, error.status);
+    }
+    throw error;
   }
 
-  // Convenience mapping: allow a generic `message` field to populate Conversation__c
-  if (callPayload.message && !callPayload.Conversation__c) {
-    mapped.Conversation__c = callPayload.message;
+  if (entries.length === 0) {
+    return jsonResponse({ error: 'Batch contains no payloads', operation: 'batch' }, 400);
   }
 
-  // Optional: allow `notes` alias to populate Notes__c for shorter payloads
-  if (callPayload.notes && !callPayload.Notes__c) {
-    mapped.Notes__c = callPayload.notes;
+  const limit = maxBatchItems(env);
+  if (entries.length > limit) {
+    return jsonResponse(
+      { error: `Batch contains ${entries.length} payloads; the limit is ${limit}`, operation: 'batch' },
+      413
+    );
   }
 
-  return removeUndefined(mapped);
-}
+  try {
+    const mapping = await loadMapping(env);
+    const summary = await writeBatch(entries, env, (payload, batchEnv) =>
+      prepareWebhook(payload, batchEnv, mapping)
+    );
 
-function removeUndefined(obj) {
-  if (!obj || typeof obj !== 'object') return obj;
-  return Object.fromEntries(
-    Object.entries(obj).filter(([, value]) => value !== undefined)
-  );
-}
+    console.info('Batch processed', {
+      total: summary.total,
+      succeeded: summary.succeeded,
+      failed: summary.failed,
+      apiRemaining: summary.apiUsage?.remaining,
+    });
+    return jsonResponse(summary, summary.failed > 0 ? 207 : 200);
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error('Invalid configuration', { error: error.message, problems: error.problems });
+      return jsonResponse({ error: error.message, detail: error.problems, operation: 'batch' }, 500);
+    }
 
-function formatConversation(messages = []) {
-  if (!Array.isArray(messages)) return messages;
+    if (isSalesforceError(error)) {
+      console.error('Salesforce batch operation failed', {
+        salesforceStatus: error.status,
+        salesforceBody: error.body ?? null,
+      });
+      return jsonResponse(
+        {
+          error: 'Salesforce error',
+          detail: error.body ?? error.message,
+          operation: 'batch',
+          salesforceStatus: error.status,
+        },
+        mapSalesforceStatus(error.status)
+      );
+    }
 
-  return messages
-    .filter((entry) => entry?.role !== 'system')
-    .map((entry) => {
-      if (!entry || typeof entry !== 'object') return String(entry);
+    throw error;
+  }
+}
 
-      const { role, content, name, tool_calls: toolCalls, tool_call_id: toolCallId, args } = entry;
+// `tenant` comes from the queue message; an id that is no longer configured cannot succeed on retry
+async function processWebhook(payload, env, tenant = null) {
+  let scopedEnv = env;
+  if (tenant) {
+    const config = await loadTenants(env);
+    const configured = config?.tenants.get(tenant);
+    if (!configured) throw new ValidationError(`Unknown tenant "${tenant}"`, 404);
+    scopedEnv = tenantEnv(env, configured);
+  }
 
-      if (role === 'assistant_tool_call') {
-        return `${role}: ${JSON.stringify({ name, toolCalls, args })}`;
-      }
+  const [mapping, rules] = await Promise.all([loadMapping(scopedEnv), loadRules(scopedEnv)]);
+  const prepared = prepareWebhook(payload, scopedEnv, mapping, rules);
+  if (prepared.ignored) return ignoredEvent(prepared);
 
-      if (role === 'tool') {
-        return `${role}(${name || toolCallId || ''}): ${JSON.stringify(content)}`;
-      }
+  const result = await writeWebhook(prepared, scopedEnv);
 
-      return `${role || 'message'}: ${typeof content === 'string' ? content : JSON.stringify(content)}`;
-    })
-    .join('\n');
+  // The consumer has already taken its time, so the recording is fetched before the message is acked
+  await ingestAfterWrite(prepared, scopedEnv, result);
+  return result;
 }
 
-function buildCallFromWebhook(payload) {
-  const conversation = payload.conversation || {};
-  const messages = conversation.message || conversation.messages;
-  const agentLabel =
-    payload.agent && (payload.agent.name || payload.agent.id)
-      ? `${payload.agent.name || ''}${payload.agent.name && payload.agent.id ? ' / ' : ''}${payload.agent.id || ''}`
-      : undefined;
+// Unknown event types are acknowledged so NoCall does not redeliver them, and logged so they can be added
+function ignoredEvent(prepared, callRecordId) {
+  console.warn('Ignored webhook with unknown event type', { event: prepared.event, callRecordId });
+  return { status: 'ignored', operation: 'ignored', event: prepared.event };
+}
 
-  return removeUndefined({
-    CallRecord_Id__c: payload.id ?? null,
-    Call_Status__c: payload.callStatus ?? null,
-    From_Phone__c: payload.from ?? null,
-    To_Phone__c: payload.to ?? null,
-    Normalized_Phone__c: payload.Normalized_Phone__c ?? null,
-    Recording_Url__c: payload.detailsUrl ?? null,
-    EndUser_Id__c: payload.endUser?.id ?? null,
-    EndUser_Phone__c: payload.endUser?.phoneNumber ?? null,
-    Dialed_At__c: conversation.startTime ?? null,
-    Ended_At__c: conversation.endTime ?? null,
-    Duration_Sec__c:
-      conversation.duration !== undefined && conversation.duration !== null
-        ? String(conversation.duration)
-        : null,
-    Goal_Status__c: conversation.goalStatus ?? null,
-    Goal_Result__c: conversation.goalResult ?? null,
-    Conversation__c: messages ? formatConversation(messages) : undefined,
-    Triggered_By_Label__c: agentLabel,
-  });
+function agentIdOf(rawBody) {
+  try {
+    return JSON.parse(rawBody)?.agent?.id;
+  } catch {
+    return undefined;
+  }
 }
 
-function normalizeAttributions(payload) {
-  if (Array.isArray(payload?.attributions)) return payload.attributions;
+// Picks the tenant's env and strips /t/:tenant from the URL. Without a tenant configuration
+// the Worker serves the org in its own env, as a single-tenant deployment always has.
+async function routeTenant(request, rawBody, env) {
+  const config = await loadTenants(env);
+  const url = new URL(request.url);
+  const route = resolveTenant(config, {
+    pathname: url.pathname,
+    header: request.headers.get(TENANT_HEADER),
+    agentId: config ? agentIdOf(rawBody) : undefined,
+  });
 
-  const attrs = payload?.endUser?.attributions;
-  if (attrs && typeof attrs === 'object') {
-    return Object.entries(attrs).map(([label, value]) => ({ label, value }));
-  }
+  if (!config && !route.requested) return { request, env };
+  if (!route.tenant) return { unknown: route.requested ?? undefined };
 
-  return [];
+  url.pathname = stripTenantPath(url.pathname);
+  return {
+    request: new Request(url, { method: request.method, headers: request.headers }),
+    env: tenantEnv(env, route.tenant),
+  };
 }
 
-function normalizePayload(payload) {
-  if (payload.call && typeof payload.call === 'object') {
-    return { call: payload.call, attributions: payload.attributions };
+// Resolves to { response, tenant, authenticated }. `authenticated` is true once the signature was
+// verified, or not required, so the archive never replays a body nobody vouched for.
+async function routeWebhook(request, rawBody, env, options = {}) {
+  let route;
+  try {
+    route = await routeTenant(request, rawBody, env);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error('Invalid configuration', { error: error.message, problems: error.problems });
+    return { response: jsonResponse({ error: error.message, detail: error.problems }, 500) };
   }
 
-  const call = buildCallFromWebhook(payload);
-  const attributions = normalizeAttributions(payload);
+  if (!route.env) {
+    console.warn('Rejected webhook for unknown tenant', { tenant: route.unknown ?? null });
+    return { response: jsonResponse(removeUndefined({ error: 'Unknown tenant', tenant: route.unknown }), 404) };
+  }
 
-  return { call, attributions };
+  const signature = { checked: false };
+  const response = await handleWebhook(route.request, rawBody, route.env, { ...options, signature });
+  return { response, tenant: route.env.NOCALL_TENANT, authenticated: signature.checked };
+}
+
+// Replays skip signature checks: the admin token vouches for them, and the original timestamp has long expired
+async function replayArchived(archived, env) {
+  const request = new Request(new URL(archived.path, 'https://replay.invalid'), {
+    method: 'POST',
+    headers: archived.headers,
+  });
+  const { response, tenant, authenticated } = await routeWebhook(request, archived.body, env, {
+    skipSignature: true,
+  });
+  const outcome = await outcomeOf(response);
+
+  await archiveDelivery(env, {
+    request,
+    rawBody: archived.body,
+    receivedAt: new Date(),
+    tenant,
+    authenticated,
+    outcome,
+    replayOf: archived.metadata.key,
+  });
+  return outcome;
 }
 
-async function handleRequest(request, env) {
+async function handleRequest(request, env, ctx) {
+  if (isAdminPath(new URL(request.url).pathname)) {
+    const { status, body } = await handleAdminRequest(request, env, replayArchived);
+    return jsonResponse(body, status);
+  }
+
   if (request.method !== 'POST') {
     return jsonResponse({ error: 'Method Not Allowed' }, 405);
   }
 
-  let payload;
-  let operation = 'upsert';
+  const receivedAt = new Date();
+  const rawBody = await request.text();
+  const archived = { request, rawBody, receivedAt };
 
+  let routed;
   try {
-    payload = await request.json();
+    routed = await routeWebhook(request, rawBody, env, { ctx });
   } catch (error) {
-    return jsonResponse({ error: 'Invalid JSON payload', detail: String(error), operation }, 400);
+    if (isArchiveEnabled(env)) {
+      const outcome = { status: 500, operation: null, callId: null, error: String(error) };
+      await archiveDelivery(env, { ...archived, outcome });
+    }
+    throw error;
   }
 
-  const normalized = normalizePayload(payload);
-
-  if (!normalized.call || typeof normalized.call !== 'object') {
-    return jsonResponse({ error: 'Missing call object in payload', operation }, 400);
+  // Written after the response when the runtime allows; the outcome is read from a clone
+  if (isArchiveEnabled(env)) {
+    const { tenant, authenticated } = routed;
+    const pending = outcomeOf(routed.response).then((outcome) =>
+      archiveDelivery(env, { ...archived, tenant, authenticated, outcome })
+    );
+    if (ctx?.waitUntil) ctx.waitUntil(pending);
+    else await pending;
   }
 
-  let callRecordId;
-  try {
-    const callBody = mapCallPayload(normalized.call);
-    let stableKeyField = 'Normalized_Phone__c';
-    const fallbackKeyField = 'CallRecord_Id__c';
+  return routed.response;
+}
 
-    let stableKeyValue = callBody[stableKeyField];
+// `options.skipSignature` is set for admin replays only; `options.ctx` lets recordings download after the response.
+// `options.signature.checked` is set once the request has passed, or did not need, signature verification.
+async function handleWebhook(request, rawBody, env, options = {}) {
+  let payload;
+  let operation = 'upsert';
 
-    if (!stableKeyValue && callBody[fallbackKeyField]) {
-      stableKeyField = fallbackKeyField;
-      stableKeyValue = callBody[fallbackKeyField];
+  if (!options.skipSignature && isSignatureRequired(env)) {
+    try {
+      await verifySignature(request, rawBody, env);
+    } catch (error) {
+      if (error instanceof SignatureError) {
+        console.warn('Rejected unsigned or invalid webhook', { reason: error.message });
+        return jsonResponse({ error: 'Unauthorized', detail: error.message }, 401);
+      }
+      throw error;
     }
+  }
+  if (options.signature) options.signature.checked = true;
 
-    if (!stableKeyValue) {
-      return jsonResponse({ error: 'Missing required normalized phone for call matching', operation }, 400);
+  if (isBatchRequest(request, rawBody)) {
+    if (isDryRun(request)) {
+      return jsonResponse({ error: 'Dry run accepts a single payload', operation }, 400);
     }
+    return handleBatchRequest(rawBody, env);
+  }
 
-    callRecordId = stableKeyValue;
-    const token = await fetchAccessToken(env);
-    let callId;
-
-    const existingCallId = await findCallByKey(
-      token.instance_url,
-      token.access_token,
-      stableKeyField,
-      stableKeyValue
-    );
-
-    if (existingCallId) {
-      await updateRecord(token.instance_url, token.access_token, 'NoCall_Call__c', existingCallId, callBody);
-      callId = existingCallId;
-      operation = 'update';
-    } else {
-      const callResponse = await createRecord(
-        token.instance_url,
-        token.access_token,
-        'NoCall_Call__c',
-        callBody
-      );
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (error) {
+    return jsonResponse({ error: 'Invalid JSON payload', detail: String(error), operation }, 400);
+  }
 
-      callId = callResponse.id;
-      operation = 'insert';
+  let prepared;
+  try {
+    const [mapping, rules] = await Promise.all([loadMapping(env), loadRules(env)]);
+    prepared = prepareWebhook(payload, env, mapping, rules);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      const detail = error.violations.length > 0 ? error.violations : undefined;
+      return jsonResponse(removeUndefined({ error: error.message, detail, operation }), error.status);
     }
+    if (error instanceof ConfigError) {
+      console.error('Invalid configuration', { error: error.message, problems: error.problems });
+      return jsonResponse({ error: error.message, detail: error.problems, operation }, 500);
+    }
+    throw error;
+  }
+
+  if (prepared.ignored) {
+    return jsonResponse(ignoredEvent(prepared, payload?.id), 200);
+  }
 
-    const attributions = buildAttributionRecords(callId, normalized.attributions);
-    let attributionIds = [];
-
-    if (attributions.length > 0) {
-      const withExternalId = attributions.filter((record) => record.External_Id__c);
-      const withoutExternalId = attributions.filter((record) => !record.External_Id__c);
-
-      if (withoutExternalId.length > 0) {
-        await deleteAttributionsForCall(token.instance_url, token.access_token, callId);
-        attributionIds = await Promise.all(
-          attributions.map((record) =>
-            createRecord(token.instance_url, token.access_token, 'NoCall_Attribution__c', record).then(
-              (result) => result.id
-            )
-          )
-        );
-      } else {
-        attributionIds = await Promise.all(
-          withExternalId.map((record) =>
-            upsertRecord(
-              token.instance_url,
-              token.access_token,
-              'NoCall_Attribution__c',
-              'External_Id__c',
-              record.External_Id__c,
-              record
-            ).then((result) => result.id)
-          )
-        );
+  if (isDryRun(request)) {
+    try {
+      const preview = await previewWebhook(prepared, env);
+      console.info('Dry run', { callRecordId: prepared.matchKey.value, operation: preview.operation });
+      return jsonResponse(preview, 200);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return jsonResponse({ error: error.message, detail: error.violations, operation: 'dry_run' }, error.status);
       }
+      if (!isSalesforceError(error)) throw error;
+      return jsonResponse(
+        {
+          error: 'Salesforce error',
+          detail: error.body ?? error.message,
+          operation: 'dry_run',
+          salesforceStatus: error.status,
+        },
+        mapSalesforceStatus(error.status)
+      );
     }
+  }
 
-    const statusCode = operation === 'update' ? 200 : 201;
-    console.info('Salesforce operation succeeded', {
-      operation,
-      callId,
-      attributionIds,
-    });
-    return jsonResponse({ callId, attributionIds, operation }, statusCode);
+  if (isQueueMode(env)) {
+    await enqueueWebhook(env, payload);
+    console.info('Webhook queued', { callRecordId: prepared.matchKey.value });
+    return jsonResponse(
+      removeUndefined({ status: 'queued', operation: 'queued', redactions: prepared.redactions }),
+      202
+    );
+  }
+
+  const callRecordId = prepared.matchKey.value;
+  const outcome = { operation };
+  try {
+    const result = await writeWebhook(prepared, env, outcome);
+    operation = result.operation;
+
+    const statusCode = operation === 'insert' && !result.duplicate ? 201 : 200;
+    console.info('Salesforce operation succeeded', result);
+
+    const ingestion = ingestAfterWrite(prepared, env, result);
+    if (ingestion && options.ctx?.waitUntil) options.ctx.waitUntil(ingestion);
+    else if (ingestion) await ingestion;
+    return jsonResponse(result, statusCode);
   } catch (error) {
+    operation = outcome.operation;
+
+    // Strict field checks and oversized writes reject the payload before anything is written
+    if (error instanceof ValidationError) {
+      const { message, violations } = error;
+      console.warn('Payload rejected before writing', { callRecordId, error: message, violations });
+      return jsonResponse({ error: error.message, detail: error.violations, operation }, error.status);
+    }
+
     if (isSalesforceError(error)) {
       const statusCode = mapSalesforceStatus(error.status);
       const detail = error.body ?? error.message ?? 'Salesforce request failed';
@@ -427,9 +618,16 @@ async function handleRequest(request, env) {
         callRecordId,
         salesforceStatus: error.status,
         salesforceBody: error.body ?? null,
+        apiRemaining: error.apiUsage?.remaining,
       });
       return jsonResponse(
-        { error: 'Salesforce error', detail, operation, salesforceStatus: error.status },
+        removeUndefined({
+          error: 'Salesforce error',
+          detail,
+          operation,
+          salesforceStatus: error.status,
+          apiUsage: error.apiUsage ?? undefined,
+        }),
         statusCode
       );
     }
@@ -474,6 +672,10 @@ export default {
       return jsonResponse({ error: 'Unexpected error', detail: String(error) }, 500);
     }
   },
+
+  async queue(batch, env) {
+    await consumeQueueBatch(batch, env, processWebhook);
+  },
 };
 
-export { handleRequest, SalesforceError, isSalesforceError };
+export { handleRequest, processWebhook, SalesforceError, isSalesforceError };
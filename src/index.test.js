@@ -1,19 +1,13 @@
 import assert from 'node:assert/strict';
 import { handleRequest } from './index.js';
-
-function createMockResponse(body, status = 200) {
-  return {
-    ok: status >= 200 && status < 300,
-    status,
-    json: async () => body,
-  };
-}
+import { DEFAULT_MAPPING } from './mapping.js';
+import { allowUnsigned, createMemoryKv, createMockResponse, respondToGraph } from './test-helpers.js';
 
 async function testSalesforceValidationErrorReturnsOriginalStatus() {
   const originalFetch = global.fetch;
   const mockCalls = [];
 
-  global.fetch = async (url) => {
+  global.fetch = async (url, options = {}) => {
     mockCalls.push(url);
 
     if (String(url).includes('/services/oauth2/token')) {
@@ -24,8 +18,11 @@ async function testSalesforceValidationErrorReturnsOriginalStatus() {
       return createMockResponse({ records: [] });
     }
 
-    if (String(url).includes('sobjects/NoCall_Call__c/')) {
-      return createMockResponse({ message: 'Validation Failed: required field missing' }, 400);
+    if (String(url).includes('/composite/graph')) {
+      return respondToGraph(options, () => ({
+        httpStatusCode: 400,
+        body: { message: 'Validation Failed: required field missing' },
+      }));
     }
 
     throw new Error(`Unexpected fetch call: ${url}`);
@@ -45,7 +42,7 @@ async function testSalesforceValidationErrorReturnsOriginalStatus() {
   });
 
   try {
-    const response = await handleRequest(request, {});
+    const response = await handleRequest(request, allowUnsigned());
     const body = await response.json();
 
     assert.equal(response.status, 400, 'Webhook should mirror Salesforce validation status');
@@ -81,15 +78,21 @@ async function testMatchesByNormalizedPhoneBeforeCallRecordId() {
         : createMockResponse({ records: [] });
     }
 
-    if (String(url).includes('sobjects/NoCall_Call__c/') && options.method === 'POST') {
-      insertedBody = JSON.parse(options.body);
-      hasExistingCall = true;
-      return createMockResponse({ id: 'call-123' }, 201);
-    }
-
-    if (String(url).includes('sobjects/NoCall_Call__c/') && options.method === 'PATCH') {
-      updatedBody = JSON.parse(options.body);
-      return createMockResponse({}, 204);
+    if (String(url).includes('/composite/graph')) {
+      return respondToGraph(options, (node) => {
+        if (node.url.includes('sobjects/NoCall_Call__c/') && node.method === 'POST') {
+          insertedBody = node.body;
+          hasExistingCall = true;
+          return { httpStatusCode: 201, body: { id: 'call-123' } };
+        }
+
+        if (node.url.includes('sobjects/NoCall_Call__c/') && node.method === 'PATCH') {
+          updatedBody = node.body;
+          return { httpStatusCode: 204, body: null };
+        }
+
+        throw new Error(`Unexpected composite node: ${node.method} ${node.url}`);
+      });
     }
 
     throw new Error(`Unexpected fetch call: ${url}`);
@@ -114,14 +117,14 @@ async function testMatchesByNormalizedPhoneBeforeCallRecordId() {
   });
 
   try {
-    const response1 = await handleRequest(request1, {});
+    const response1 = await handleRequest(request1, allowUnsigned());
     const body1 = await response1.json();
 
     assert.equal(response1.status, 201, 'First payload should create a record');
     assert.equal(body1.operation, 'insert');
     assert.equal(insertedBody.Normalized_Phone__c, payload.Normalized_Phone__c);
 
-    const response2 = await handleRequest(request2, {});
+    const response2 = await handleRequest(request2, allowUnsigned());
     const body2 = await response2.json();
 
     assert.equal(response2.status, 200, 'Second payload with same normalized phone should update existing record');
@@ -143,7 +146,7 @@ async function testMissingNormalizedPhoneIsRejectedWhenNoFallback() {
     body: JSON.stringify({ from: '+10000000000' }),
   });
 
-  const response = await handleRequest(request, {});
+  const response = await handleRequest(request, allowUnsigned());
   const body = await response.json();
 
   assert.equal(response.status, 400);
@@ -163,9 +166,11 @@ async function testFallbacksToCallRecordIdWhenToMissing() {
       return createMockResponse({ records: [] });
     }
 
-    if (String(url).includes('sobjects/NoCall_Call__c/') && options.method === 'POST') {
-      insertedBody = JSON.parse(options.body);
-      return createMockResponse({ id: 'call-abc' }, 201);
+    if (String(url).includes('/composite/graph')) {
+      return respondToGraph(options, (node) => {
+        insertedBody = node.body;
+        return { httpStatusCode: 201, body: { id: 'call-abc' } };
+      });
     }
 
     throw new Error(`Unexpected fetch call: ${url}`);
@@ -178,7 +183,7 @@ async function testFallbacksToCallRecordIdWhenToMissing() {
   });
 
   try {
-    const response = await handleRequest(request, {});
+    const response = await handleRequest(request, allowUnsigned());
     const body = await response.json();
 
     assert.equal(response.status, 201);
@@ -202,9 +207,11 @@ async function testSystemMessagesAreOmittedFromConversation() {
       return createMockResponse({ records: [] });
     }
 
-    if (String(url).includes('sobjects/NoCall_Call__c/') && options.method === 'POST') {
-      insertedBody = JSON.parse(options.body);
-      return createMockResponse({ id: 'call-xyz' }, 201);
+    if (String(url).includes('/composite/graph')) {
+      return respondToGraph(options, (node) => {
+        insertedBody = node.body;
+        return { httpStatusCode: 201, body: { id: 'call-xyz' } };
+      });
     }
 
     throw new Error(`Unexpected fetch call: ${url}`);
@@ -228,7 +235,7 @@ async function testSystemMessagesAreOmittedFromConversation() {
       body: JSON.stringify(payload),
     });
 
-    const response = await handleRequest(request, {});
+    const response = await handleRequest(request, allowUnsigned());
     const body = await response.json();
 
     assert.equal(response.status, 201);
@@ -241,12 +248,649 @@ async function testSystemMessagesAreOmittedFromConversation() {
   }
 }
 
+async function testCallAndAttributionsAreWrittenInOneGraph() {
+  const originalFetch = global.fetch;
+  const graphRequests = [];
+
+  global.fetch = async (url, options = {}) => {
+    if (String(url).includes('/services/oauth2/token')) {
+      return createMockResponse({ access_token: 'token', instance_url: 'https://example.salesforce.com' });
+    }
+
+    if (String(url).includes('/query') && String(url).includes('NoCall_Attribution__c')) {
+      return createMockResponse({ records: [{ Id: 'attr-old-1' }, { Id: 'attr-old-2' }] });
+    }
+
+    if (String(url).includes('/query')) {
+      return createMockResponse({ records: [{ Id: 'call-123' }] });
+    }
+
+    if (String(url).includes('/composite/graph')) {
+      graphRequests.push(JSON.parse(options.body).graphs[0].compositeRequest);
+      return respondToGraph(options, (node) => {
+        if (node.method === 'POST') return { httpStatusCode: 201, body: { id: `new-${node.referenceId}` } };
+        return { httpStatusCode: 204, body: null };
+      });
+    }
+
+    throw new Error(`Unexpected fetch call: ${options.method || 'GET'} ${url}`);
+  };
+
+  const payload = {
+    call: { Normalized_Phone__c: '+819012345678', Call_Status__c: 'completed' },
+    attributions: [
+      { label: '姓', value: '山田' },
+      { label: '名', value: '太郎' },
+    ],
+  };
+
+  try {
+    const request = new Request('https://example.com', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+
+    const response = await handleRequest(request, allowUnsigned());
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.operation, 'update');
+    assert.deepEqual(body.attributionIds, ['new-attribution0', 'new-attribution1']);
+    assert.equal(graphRequests.length, 1, 'All writes should go through a single composite graph');
+
+    const [nodes] = graphRequests;
+    assert.deepEqual(
+      nodes.map((node) => node.method),
+      ['PATCH', 'DELETE', 'DELETE', 'POST', 'POST']
+    );
+    assert.ok(nodes.every((node) => node.method !== 'POST' || node.body.NoCall_Call__c === 'call-123'));
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testAttributionsReferenceNewCallAndFailureIsAtomic() {
+  const originalFetch = global.fetch;
+  let graphNodes;
+
+  global.fetch = async (url, options = {}) => {
+    if (String(url).includes('/services/oauth2/token')) {
+      return createMockResponse({ access_token: 'token', instance_url: 'https://example.salesforce.com' });
+    }
+
+    if (String(url).includes('/query')) {
+      return createMockResponse({ records: [] });
+    }
+
+    if (String(url).includes('/composite/graph')) {
+      graphNodes = JSON.parse(options.body).graphs[0].compositeRequest;
+      return respondToGraph(options, (node) => {
+        if (node.referenceId === 'attribution1') {
+          return {
+            httpStatusCode: 400,
+            body: [{ errorCode: 'STRING_TOO_LONG', message: 'Value: data value too large' }],
+          };
+        }
+        return {
+          httpStatusCode: 400,
+          body: [{ errorCode: 'PROCESSING_HALTED', message: 'The transaction was rolled back' }],
+        };
+      });
+    }
+
+    throw new Error(`Unexpected fetch call: ${options.method || 'GET'} ${url}`);
+  };
+
+  const payload = {
+    call: { Normalized_Phone__c: '+819012345678' },
+    attributions: [
+      { label: 'source', value: 'ads', externalId: 'ext-1' },
+      { label: 'memo', value: 'x'.repeat(300), externalId: 'ext-2' },
+    ],
+  };
+
+  try {
+    const request = new Request('https://example.com', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+
+    const response = await handleRequest(request, allowUnsigned());
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.equal(body.detail[0].errorCode, 'STRING_TOO_LONG', 'The root cause should be reported, not PROCESSING_HALTED');
+    assert.equal(graphNodes[0].method, 'POST');
+    assert.ok(graphNodes.slice(1).every((node) => node.method === 'PATCH' && node.url.includes('External_Id__c')));
+    assert.ok(graphNodes.slice(1).every((node) => node.body.NoCall_Call__c === '@{call.id}'));
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testCallRecordIdStrategyKeepsOneRecordPerCall() {
+  const originalFetch = global.fetch;
+  const queries = [];
+
+  global.fetch = async (url, options = {}) => {
+    if (String(url).includes('/services/oauth2/token')) {
+      return createMockResponse({ access_token: 'token', instance_url: 'https://example.salesforce.com' });
+    }
+
+    if (String(url).includes('/query')) {
+      queries.push(decodeURIComponent(String(url)));
+      return createMockResponse({ records: [] });
+    }
+
+    if (String(url).includes('/composite/graph')) {
+      return respondToGraph(options, () => ({ httpStatusCode: 201, body: { id: 'call-2' } }));
+    }
+
+    throw new Error(`Unexpected fetch call: ${url}`);
+  };
+
+  try {
+    const request = new Request('https://example.com', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ id: 'nocall-2', to: '+819012345678', callStatus: 'completed' }),
+    });
+
+    const response = await handleRequest(request, allowUnsigned({ NOCALL_MATCH_STRATEGY: 'callRecordId' }));
+    const body = await response.json();
+
+    assert.equal(response.status, 201);
+    assert.equal(body.operation, 'insert');
+    assert.equal(body.matchedBy, 'CallRecord_Id__c');
+    assert.ok(queries[0].includes("CallRecord_Id__c = 'nocall-2'"));
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testPhoneLatestStrategyMaintainsRollup() {
+  const originalFetch = global.fetch;
+  let graphNodes;
+
+  global.fetch = async (url, options = {}) => {
+    if (String(url).includes('/services/oauth2/token')) {
+      return createMockResponse({ access_token: 'token', instance_url: 'https://example.salesforce.com' });
+    }
+
+    if (String(url).includes('/query')) {
+      return createMockResponse({ records: [{ Id: 'call-1' }] });
+    }
+
+    if (String(url).includes('/composite/graph')) {
+      graphNodes = JSON.parse(options.body).graphs[0].compositeRequest;
+      return respondToGraph(options, (node) =>
+        node.referenceId === 'rollup'
+          ? { httpStatusCode: 200, body: { id: 'phone-1', created: false } }
+          : { httpStatusCode: 204, body: null }
+      );
+    }
+
+    throw new Error(`Unexpected fetch call: ${url}`);
+  };
+
+  try {
+    const request = new Request('https://example.com', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ id: 'nocall-1', to: '+819012345678', callStatus: 'completed' }),
+    });
+
+    const response = await handleRequest(request, allowUnsigned({ NOCALL_MATCH_STRATEGY: 'phone+latest' }));
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.operation, 'update');
+    assert.equal(body.rollupId, 'phone-1');
+    assert.deepEqual(
+      graphNodes.map((node) => node.referenceId),
+      ['rollup', 'call', 'rollupLastCall']
+    );
+    assert.ok(graphNodes[0].url.endsWith('/NoCall_Phone__c/Normalized_Phone__c/%2B819012345678'));
+    assert.equal(graphNodes[0].body.Last_Call_Status__c, 'completed');
+    assert.equal(graphNodes[1].body.NoCall_Phone__c, '@{rollup.id}');
+    assert.deepEqual(graphNodes[2].body, { Last_Call__c: 'call-1' });
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testDuplicateDeliveryReturnsPreviousResult() {
+  const originalFetch = global.fetch;
+  let graphCalls = 0;
+
+  global.fetch = async (url, options = {}) => {
+    if (String(url).includes('/services/oauth2/token')) {
+      return createMockResponse({ access_token: 'token', instance_url: 'https://example.salesforce.com' });
+    }
+
+    if (String(url).includes('/query')) {
+      return createMockResponse({ records: [] });
+    }
+
+    if (String(url).includes('/composite/graph')) {
+      graphCalls += 1;
+      return respondToGraph(options, () => ({ httpStatusCode: 201, body: { id: 'call-dup' } }));
+    }
+
+    throw new Error(`Unexpected fetch call: ${url}`);
+  };
+
+  const env = { NOCALL_KV: createMemoryKv() };
+  const payload = { id: 'nocall-7', timestamp: '2025-03-28T15:45:05.240+09:00', to: '+819012345678' };
+  const send = () =>
+    handleRequest(
+      new Request('https://example.com', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(payload),
+      }),
+      allowUnsigned(env)
+    );
+
+  try {
+    const first = await send();
+    const second = await send();
+    const body = await second.json();
+
+    assert.equal(first.status, 201);
+    assert.equal(second.status, 200);
+    assert.equal(body.duplicate, true);
+    assert.equal(body.callId, 'call-dup');
+    assert.equal(body.operation, 'insert');
+    assert.equal(graphCalls, 1, 'A redelivered webhook must not be written again');
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+// Stale checks need Webhook_Timestamp__c, which the default mapping leaves out
+const timestampMapping = JSON.stringify({
+  ...DEFAULT_MAPPING,
+  call: [...DEFAULT_MAPPING.call, { source: 'timestamp', target: 'Webhook_Timestamp__c' }],
+});
+
+async function testOlderDeliveryIsSkippedAsStale() {
+  const originalFetch = global.fetch;
+
+  global.fetch = async (url) => {
+    if (String(url).includes('/services/oauth2/token')) {
+      return createMockResponse({ access_token: 'token', instance_url: 'https://example.salesforce.com' });
+    }
+
+    if (String(url).includes('/query')) {
+      return createMockResponse({
+        records: [
+          {
+            Id: 'call-1',
+            CallRecord_Id__c: 'nocall-1',
+            Call_Status__c: 'completed',
+            Webhook_Timestamp__c: '2025-03-28T06:45:05.000+0000',
+          },
+        ],
+      });
+    }
+
+    throw new Error(`Stale deliveries must not write: ${url}`);
+  };
+
+  try {
+    const request = new Request('https://example.com', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({
+        id: 'nocall-1',
+        timestamp: '2025-03-28T15:41:00.000+09:00',
+        callStatus: 'in-progress',
+        to: '+819012345678',
+      }),
+    });
+
+    const response = await handleRequest(request, allowUnsigned({ NOCALL_FIELD_MAPPING: timestampMapping }));
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.operation, 'skipped_stale');
+    assert.equal(body.callId, 'call-1');
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testWebhookTimestampIsOnlyReadWhenMapped() {
+  const originalFetch = global.fetch;
+  const queries = [];
+  let writtenCall;
+
+  global.fetch = async (url, options = {}) => {
+    if (String(url).includes('/services/oauth2/token')) {
+      return createMockResponse({ access_token: 'token', instance_url: 'https://example.salesforce.com' });
+    }
+
+    if (String(url).includes('/query')) {
+      queries.push(decodeURIComponent(String(url)));
+      return createMockResponse({ records: [] });
+    }
+
+    if (String(url).includes('/composite/graph')) {
+      return respondToGraph(options, (node) => {
+        writtenCall = node.body;
+        return { httpStatusCode: 201, body: { id: 'call-1' } };
+      });
+    }
+
+    throw new Error(`Unexpected fetch call: ${url}`);
+  };
+
+  const send = (env) =>
+    handleRequest(
+      new Request('https://example.com', {
+        method: 'POST',
+        body: JSON.stringify({ id: 'nocall-1', timestamp: '2025-03-28T15:41:00.000+09:00', to: '+819012345678' }),
+      }),
+      allowUnsigned(env)
+    );
+
+  try {
+    assert.equal((await send({})).status, 201);
+    assert.doesNotMatch(queries[0], /Webhook_Timestamp__c/);
+    assert.equal(Object.hasOwn(writtenCall, 'Webhook_Timestamp__c'), false);
+
+    assert.equal((await send({ NOCALL_FIELD_MAPPING: timestampMapping })).status, 201);
+    assert.match(queries[1], /Webhook_Timestamp__c/);
+    assert.equal(writtenCall.Webhook_Timestamp__c, '2025-03-28T15:41:00.000+09:00');
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testCallStatusOnlyMovesForward() {
+  const originalFetch = global.fetch;
+  let updatedBody;
+
+  global.fetch = async (url, options = {}) => {
+    if (String(url).includes('/services/oauth2/token')) {
+      return createMockResponse({ access_token: 'token', instance_url: 'https://example.salesforce.com' });
+    }
+
+    if (String(url).includes('/query')) {
+      return createMockResponse({
+        records: [{ Id: 'call-1', CallRecord_Id__c: 'nocall-1', Call_Status__c: 'completed' }],
+      });
+    }
+
+    if (String(url).includes('/composite/graph')) {
+      return respondToGraph(options, (node) => {
+        updatedBody = node.body;
+        return { httpStatusCode: 204, body: null };
+      });
+    }
+
+    throw new Error(`Unexpected fetch call: ${url}`);
+  };
+
+  try {
+    const request = new Request('https://example.com', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ id: 'nocall-1', callStatus: 'ringing', to: '+819012345678', detailsUrl: 'https://x' }),
+    });
+
+    const response = await handleRequest(request, allowUnsigned());
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.operation, 'update');
+    assert.equal(body.statusHeld, true);
+    assert.ok(!('Call_Status__c' in updatedBody), 'A backwards status must not be written');
+    assert.equal(updatedBody.Recording_Url__c, 'https://x');
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testInvalidStatusOrderIsRejectedBeforeWriting() {
+  const originalFetch = global.fetch;
+  const originalError = console.error;
+  console.error = () => {};
+  global.fetch = async () => {
+    throw new Error('Salesforce should not be called with an invalid status order');
+  };
+
+  const send = async (order) => {
+    const response = await handleRequest(
+      new Request('https://example.com', {
+        method: 'POST',
+        body: JSON.stringify({ id: 'nocall-1', callStatus: 'ringing', to: '+819012345678' }),
+      }),
+      allowUnsigned({ NOCALL_STATUS_ORDER: order })
+    );
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    const notArray = await send('{"ringing": 1}');
+    assert.equal(notArray.status, 500);
+    assert.equal(notArray.body.error, 'Invalid status order configuration');
+    assert.deepEqual(notArray.body.detail, [
+      'NOCALL_STATUS_ORDER must be a JSON array of statuses from earliest to latest',
+    ]);
+
+    const badEntries = await send('["ringing", 3, []]');
+    assert.deepEqual(badEntries.body.detail, [
+      'NOCALL_STATUS_ORDER[1] must be a status or an array of statuses',
+      'NOCALL_STATUS_ORDER[2] must be a status or an array of statuses',
+    ]);
+
+    assert.match((await send('[ringing]')).body.detail[0], /^NOCALL_STATUS_ORDER is not JSON: /);
+  } finally {
+    console.error = originalError;
+    global.fetch = originalFetch;
+  }
+}
+
+async function testUnknownMatchStrategyIsAConfigError() {
+  const originalFetch = global.fetch;
+  const originalError = console.error;
+  console.error = () => {};
+  global.fetch = async () => {
+    throw new Error('Salesforce should not be called with an unknown match strategy');
+  };
+
+  const send = async (path, body) => {
+    const response = await handleRequest(
+      new Request(`https://example.com${path}`, { method: 'POST', body: JSON.stringify(body) }),
+      allowUnsigned({ NOCALL_MATCH_STRATEGY: 'email' })
+    );
+    return { status: response.status, body: await response.json() };
+  };
+  const call = { id: 'nocall-1', callStatus: 'completed', to: '+819012345678' };
+
+  try {
+    const single = await send('/', call);
+    assert.equal(single.status, 500);
+    assert.equal(single.body.error, 'Invalid match strategy configuration');
+    assert.deepEqual(single.body.detail, [
+      'Unknown NOCALL_MATCH_STRATEGY "email"; expected one of phone, callRecordId, phone+latest',
+    ]);
+
+    const batch = await send('/batch', [call]);
+    assert.equal(batch.status, 500);
+    assert.equal(batch.body.operation, 'batch');
+    assert.equal(batch.body.detail.length, 1);
+  } finally {
+    console.error = originalError;
+    global.fetch = originalFetch;
+  }
+}
+
+async function testUnsignedRequestIsRejectedWhenSecretConfigured() {
+  const originalFetch = global.fetch;
+  let fetchCalled = false;
+
+  global.fetch = async () => {
+    fetchCalled = true;
+    throw new Error('Salesforce should not be called for unsigned webhooks');
+  };
+
+  const request = new Request('https://example.com', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ id: 'call-1', to: '+19999999999' }),
+  });
+
+  try {
+    const response = await handleRequest(request, { NOCALL_WEBHOOK_SECRET: 'secret' });
+    const body = await response.json();
+
+    assert.equal(response.status, 401);
+    assert.equal(body.error, 'Unauthorized');
+    assert.match(body.detail, /x-nocall-signature/);
+    assert.equal(fetchCalled, false);
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testUnsignedRequestIsRejectedWhenSecretMissing() {
+  const originalFetch = global.fetch;
+  let fetchCalled = false;
+
+  global.fetch = async () => {
+    fetchCalled = true;
+    throw new Error('Salesforce should not be called without a webhook secret');
+  };
+
+  const request = () =>
+    new Request('https://example.com', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ id: 'call-1', to: '+19999999999' }),
+    });
+
+  try {
+    const response = await handleRequest(request(), {});
+    const body = await response.json();
+
+    assert.equal(response.status, 401);
+    assert.equal(body.error, 'Unauthorized');
+    assert.equal(body.detail, 'NOCALL_WEBHOOK_SECRET is not set');
+    assert.equal(fetchCalled, false);
+
+    const optedOut = await handleRequest(request(), { NOCALL_ALLOW_UNSIGNED: 'false' });
+    assert.equal(optedOut.status, 401, 'Only an explicit "true" allows unsigned webhooks');
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testDryRunLooksUpWithoutWriting() {
+  const originalFetch = global.fetch;
+  const mockCalls = [];
+
+  global.fetch = async (url, options = {}) => {
+    mockCalls.push(`${options.method || 'GET'} ${url}`);
+
+    if (String(url).includes('/services/oauth2/token')) {
+      return createMockResponse({ access_token: 'token', instance_url: 'https://example.salesforce.com' });
+    }
+
+    if (String(url).includes('/query')) {
+      return createMockResponse({ records: [{ Id: 'a01', CallRecord_Id__c: 'call-1', Call_Status__c: 'ringing' }] });
+    }
+
+    throw new Error(`Unexpected fetch call: ${options.method || 'GET'} ${url}`);
+  };
+
+  const payload = {
+    id: 'call-1',
+    callStatus: 'completed',
+    to: '+819012345678',
+    endUser: { attributions: { 姓: '山田' } },
+  };
+
+  try {
+    const response = await handleRequest(
+      new Request('https://example.com/?dryRun=1', { method: 'POST', body: JSON.stringify(payload) }),
+      allowUnsigned({ SALESFORCE_CLIENT_ID: 'client' })
+    );
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.dryRun, true);
+    assert.equal(body.operation, 'update');
+    assert.equal(body.lookupPerformed, true);
+    assert.deepEqual(body.matchKey, { field: 'Normalized_Phone__c', value: '+819012345678' });
+    assert.equal(body.existingCallId, 'a01');
+    assert.equal(body.call.Call_Status__c, 'completed');
+    assert.deepEqual(body.attributions, [
+      { NoCall_Call__c: 'a01', Label__c: '姓', Value__c: '山田', External_Id__c: null },
+    ]);
+    assert.ok(mockCalls.every((call) => call.startsWith('GET') || call.includes('oauth2')));
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testDryRunRouteWorksWithoutCredentials() {
+  const originalFetch = global.fetch;
+  let fetchCalled = false;
+
+  global.fetch = async () => {
+    fetchCalled = true;
+    throw new Error('Salesforce should not be contacted');
+  };
+
+  try {
+    const response = await handleRequest(
+      new Request('https://example.com/dry-run', {
+        method: 'POST',
+        body: JSON.stringify({
+          call: { Normalized_Phone__c: '090-1234-5678' },
+          attributions: [{ label: 'a', value: 'b' }],
+        }),
+      }),
+      allowUnsigned({ NOCALL_PROCESSING_MODE: 'queue' })
+    );
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.operation, 'unknown');
+    assert.equal(body.lookupPerformed, false);
+    assert.equal(body.call.Normalized_Phone__c, '+819012345678');
+    assert.equal(body.attributions[0].NoCall_Call__c, '@{call.id}');
+    assert.equal(fetchCalled, false);
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
 async function run() {
   await testSalesforceValidationErrorReturnsOriginalStatus();
   await testMatchesByNormalizedPhoneBeforeCallRecordId();
   await testMissingNormalizedPhoneIsRejectedWhenNoFallback();
   await testFallbacksToCallRecordIdWhenToMissing();
   await testSystemMessagesAreOmittedFromConversation();
+  await testCallAndAttributionsAreWrittenInOneGraph();
+  await testAttributionsReferenceNewCallAndFailureIsAtomic();
+  await testCallRecordIdStrategyKeepsOneRecordPerCall();
+  await testPhoneLatestStrategyMaintainsRollup();
+  await testDuplicateDeliveryReturnsPreviousResult();
+  await testOlderDeliveryIsSkippedAsStale();
+  await testWebhookTimestampIsOnlyReadWhenMapped();
+  await testCallStatusOnlyMovesForward();
+  await testInvalidStatusOrderIsRejectedBeforeWriting();
+  await testUnknownMatchStrategyIsAConfigError();
+  await testUnsignedRequestIsRejectedWhenSecretConfigured();
+  await testUnsignedRequestIsRejectedWhenSecretMissing();
+  await testDryRunLooksUpWithoutWriting();
+  await testDryRunRouteWorksWithoutCredentials();
   console.log('All tests passed');
 }
 
@@ -0,0 +1,253 @@
+// Links a saved call to the Contact, Lead or Person Account with the same phone and logs it as a Task
+import { ConfigError } from './errors.js';
+import { nationalNumber } from './phone.js';
+import {
+  compositeGraph,
+  escapeSoql,
+  escapeSosl,
+  queryRecords,
+  searchRecords,
+  subrequestUrl,
+} from './salesforce.js';
+import { isEnabled, parseList } from './values.js';
+
+const DEFAULT_PRIORITY = ['Contact', 'Lead'];
+const DEFAULT_TIE_BREAK = 'lastModified';
+const TIE_BREAKS = new Set(['lastModified', 'oldest', 'none']);
+const DEFAULT_TASK_SUBJECT = 'NoCall call';
+const DEFAULT_LEAD_COMPANY = '[not provided]';
+const DEFAULT_LEAD_FIELDS = { 姓: 'LastName', 名: 'FirstName', 会社名: 'Company', メールアドレス: 'Email' };
+
+// How each linkable record type is searched, and which call field points at it
+const TARGETS = {
+  Contact: {
+    returning: 'Contact(Id, LastModifiedDate, CreatedDate)',
+    sobject: 'Contact',
+    lookupField: 'Contact__c',
+    taskField: 'WhoId',
+  },
+  Lead: {
+    returning: 'Lead(Id, LastModifiedDate, CreatedDate WHERE IsConverted = false)',
+    sobject: 'Lead',
+    lookupField: 'Lead__c',
+    taskField: 'WhoId',
+  },
+  // Needs Person Accounts enabled in the org; the field does not exist otherwise
+  PersonAccount: {
+    returning: 'Account(Id, LastModifiedDate, CreatedDate WHERE IsPersonAccount = true)',
+    sobject: 'Account',
+    lookupField: 'Account__c',
+    taskField: 'WhatId',
+  },
+};
+
+function parseLeadFields(env) {
+  if (!env.NOCALL_LEAD_FIELDS) return DEFAULT_LEAD_FIELDS;
+
+  try {
+    return JSON.parse(env.NOCALL_LEAD_FIELDS);
+  } catch (error) {
+    throw new ConfigError('Invalid record linking configuration', [
+      `NOCALL_LEAD_FIELDS is not JSON: ${error}`,
+    ]);
+  }
+}
+
+function linkSettings(env) {
+  if (!isEnabled(env.NOCALL_LINK_RECORDS)) return null;
+
+  const priority = env.NOCALL_LINK_PRIORITY
+    ? parseList(env.NOCALL_LINK_PRIORITY)
+    : DEFAULT_PRIORITY;
+  const tieBreak = env.NOCALL_LINK_TIE_BREAK || DEFAULT_TIE_BREAK;
+  const problems = [];
+
+  for (const type of priority) {
+    if (!TARGETS[type]) problems.push(`NOCALL_LINK_PRIORITY: unknown record type "${type}"`);
+  }
+  if (!TIE_BREAKS.has(tieBreak)) problems.push('NOCALL_LINK_TIE_BREAK must be lastModified, oldest or none');
+
+  if (problems.length > 0) {
+    throw new ConfigError('Invalid record linking configuration', problems);
+  }
+
+  // Only the types in use get a lookup field: the others may not exist in the org (Account__c
+  // is PersonAccount-only), and reading them would fail every call query
+  const createLead = isEnabled(env.NOCALL_LINK_CREATE_LEAD);
+  const linkedTypes = createLead ? [...new Set([...priority, 'Lead'])] : priority;
+
+  return {
+    priority,
+    tieBreak,
+    lookupFields: Object.fromEntries(
+      linkedTypes.map((type) => [type, env[`NOCALL_LINK_${type.toUpperCase()}_FIELD`] || TARGETS[type].lookupField])
+    ),
+    createTask: isEnabled(env.NOCALL_LINK_CREATE_TASK),
+    taskSubject: env.NOCALL_TASK_SUBJECT || DEFAULT_TASK_SUBJECT,
+    createLead,
+    leadCompany: env.NOCALL_LEAD_COMPANY || DEFAULT_LEAD_COMPANY,
+    leadFields: parseLeadFields(env),
+    defaultCountry: env.NOCALL_DEFAULT_COUNTRY,
+  };
+}
+
+// SOSL phone search ignores formatting, so both the E.164 and domestic forms are tried
+function buildSearch(phone, settings) {
+  const terms = [phone, nationalNumber(phone, { defaultCountry: settings.defaultCountry })]
+    .filter(Boolean)
+    .map((term) => `"${escapeSosl(term)}"`);
+  const returning = settings.priority.map((type) => TARGETS[type].returning).join(', ');
+
+  return `FIND {${terms.join(' OR ')}} IN PHONE FIELDS RETURNING ${returning}`;
+}
+
+function sortCandidates(records, tieBreak) {
+  const sorted = [...records];
+  if (tieBreak === 'oldest') {
+    sorted.sort((a, b) => String(a.CreatedDate).localeCompare(String(b.CreatedDate)));
+  } else {
+    sorted.sort((a, b) => String(b.LastModifiedDate).localeCompare(String(a.LastModifiedDate)));
+  }
+  return sorted;
+}
+
+// First record type in priority order that has matches; `none` refuses to guess between several
+function pickMatch(records, settings) {
+  for (const type of settings.priority) {
+    const candidates = records.filter((record) => record.attributes?.type === TARGETS[type].sobject);
+    if (candidates.length === 0) continue;
+
+    if (candidates.length > 1 && settings.tieBreak === 'none') {
+      return { type, ambiguous: candidates.length };
+    }
+
+    return { type, id: sortCandidates(candidates, settings.tieBreak)[0].Id, candidates: candidates.length };
+  }
+
+  return null;
+}
+
+function buildLead(phone, attributions, settings) {
+  const lead = { Phone: phone, LeadSource: 'NoCall', Company: settings.leadCompany };
+
+  for (const { label, value } of attributions || []) {
+    const field = settings.leadFields[label];
+    if (field && value !== undefined && value !== null && value !== '') lead[field] = String(value);
+  }
+
+  // LastName is required on Lead
+  lead.LastName ||= phone;
+  return lead;
+}
+
+function buildTask(callBody, settings) {
+  const duration = Number(callBody.Duration_Sec__c);
+  const calledAt = callBody.Dialed_At__c || callBody.Ended_At__c;
+
+  return Object.fromEntries(
+    Object.entries({
+      Subject: `${settings.taskSubject} ${callBody.CallRecord_Id__c ?? ''}`.trim(),
+      Status: 'Completed',
+      TaskSubtype: 'Call',
+      ActivityDate: typeof calledAt === 'string' ? calledAt.slice(0, 10) : undefined,
+      CallDurationInSeconds: Number.isFinite(duration) ? Math.round(duration) : undefined,
+      CallDisposition: callBody.Goal_Status__c,
+      Description: callBody.Goal_Result__c,
+    }).filter(([, value]) => value !== undefined && value !== null)
+  );
+}
+
+// A redelivered call updates the Task it already logged instead of adding another one
+async function findExistingTask(session, match, subject) {
+  const field = TARGETS[match.type].taskField;
+  const soql =
+    `SELECT Id FROM Task WHERE ${field} = '${escapeSoql(match.id)}' ` +
+    `AND Subject = '${escapeSoql(subject)}' LIMIT 1`;
+  const result = await queryRecords(session, soql);
+
+  return result?.records?.[0]?.Id || null;
+}
+
+// Call fields to read with the existing call so a redelivery keeps the link it already has
+function linkLookupFields(settings) {
+  return settings ? [...new Set(Object.values(settings.lookupFields))] : [];
+}
+
+function currentLink(existing, settings) {
+  if (!existing) return null;
+
+  const type = Object.keys(settings.lookupFields).find((candidate) => existing[settings.lookupFields[candidate]]);
+  return type ? { type, id: existing[settings.lookupFields[type]] } : null;
+}
+
+// `settings` comes from linkSettings; null means linking is turned off
+async function linkCall(session, settings, { callId, callBody, attributions, existing }) {
+  if (!settings) return null;
+
+  const phone = callBody.EndUser_Phone__c || callBody.Normalized_Phone__c;
+  const linked = currentLink(existing, settings);
+  if (!phone && !linked) return { linked: false, reason: 'no_phone' };
+
+  const match = linked || pickMatch(await searchRecords(session, buildSearch(phone, settings)), settings);
+
+  if (match?.ambiguous) {
+    return { linked: false, reason: 'ambiguous', type: match.type, candidates: match.ambiguous };
+  }
+
+  if (!match && !settings.createLead) return { linked: false, reason: 'no_match' };
+
+  const nodes = [];
+  let target = match;
+  let existingTaskId = null;
+
+  if (!target) {
+    nodes.push({
+      method: 'POST',
+      url: subrequestUrl('/sobjects/Lead/'),
+      referenceId: 'lead',
+      body: buildLead(phone, attributions, settings),
+    });
+    target = { type: 'Lead', id: '@{lead.id}', created: true };
+  }
+
+  const lookupField = settings.lookupFields[target.type];
+
+  // A call that already points at its record needs no lookup write
+  if (target !== linked) {
+    nodes.push({
+      method: 'PATCH',
+      url: subrequestUrl(`/sobjects/NoCall_Call__c/${callId}`),
+      referenceId: 'link',
+      body: { [lookupField]: target.id },
+    });
+  }
+
+  if (settings.createTask) {
+    const task = buildTask(callBody, settings);
+    existingTaskId = target.created ? null : await findExistingTask(session, target, task.Subject);
+
+    nodes.push({
+      method: existingTaskId ? 'PATCH' : 'POST',
+      url: subrequestUrl(existingTaskId ? `/sobjects/Task/${existingTaskId}` : '/sobjects/Task/'),
+      referenceId: 'task',
+      body: existingTaskId ? task : { ...task, [TARGETS[target.type].taskField]: target.id },
+    });
+  }
+
+  const results = nodes.length > 0 ? await compositeGraph(session, 'callLink', nodes) : {};
+  const recordId = target.created ? results.lead?.body?.id : target.id;
+
+  return Object.fromEntries(
+    Object.entries({
+      linked: true,
+      type: target.type,
+      id: recordId,
+      field: lookupField,
+      created: target.created || undefined,
+      candidates: match?.candidates > 1 ? match.candidates : undefined,
+      taskId: settings.createTask ? existingTaskId || results.task?.body?.id : undefined,
+    }).filter(([, value]) => value !== undefined)
+  );
+}
+
+export { buildSearch, linkCall, linkLookupFields, linkSettings, pickMatch };
@@ -0,0 +1,219 @@
+import assert from 'node:assert/strict';
+import { buildSearch, linkSettings, pickMatch } from './linking.js';
+import { acceptGraph, createMockResponse, sendWebhook, withSalesforce } from './test-helpers.js';
+
+const payload = {
+  id: 'call-1',
+  callStatus: 'completed',
+  to: '+819012345678',
+  endUser: { id: 'u1', phoneNumber: '090-1234-5678', attributions: { 姓: '山田', 名: '太郎' } },
+  conversation: {
+    startTime: '2025-03-28T15:40:05.240+09:00',
+    duration: 300,
+    goalStatus: 'achieved',
+    goalResult: '予約完了',
+  },
+};
+
+const linkEnv = { NOCALL_LINK_RECORDS: 'true', NOCALL_LINK_CREATE_TASK: 'true' };
+
+function mockSalesforce({ existingCall = null, searchRecords = [], existingTask = null, searchStatus = 200 }) {
+  const requests = { searches: [], graphs: [] };
+
+  const fetch = async (url, options = {}) => {
+    const target = decodeURIComponent(String(url));
+
+    if (target.includes('/search?q=')) {
+      requests.searches.push(target);
+      const body = searchStatus === 200 ? { searchRecords } : [{ errorCode: 'INVALID_TYPE' }];
+      return createMockResponse(body, searchStatus);
+    }
+
+    if (target.includes('FROM NoCall_Call__c')) {
+      requests.callQuery = target;
+      return createMockResponse({ records: existingCall ? [existingCall] : [] });
+    }
+
+    if (target.includes('FROM Task')) {
+      return createMockResponse({ records: existingTask ? [{ Id: existingTask }] : [] });
+    }
+
+    if (target.includes('/query')) {
+      return createMockResponse({ records: [] });
+    }
+
+    if (target.includes('/composite/graph')) {
+      const [{ graphId, compositeRequest }] = JSON.parse(options.body).graphs;
+      requests.graphs.push({ graphId, nodes: compositeRequest });
+      return acceptGraph(options);
+    }
+
+    throw new Error(`Unexpected fetch call: ${url}`);
+  };
+
+  return { fetch, requests };
+}
+
+function send(env, body = payload) {
+  return sendWebhook(env, body);
+}
+
+async function testSearchUsesBothPhoneForms() {
+  const settings = linkSettings({ NOCALL_LINK_RECORDS: 'true', NOCALL_LINK_PRIORITY: 'Lead, PersonAccount' });
+
+  assert.equal(
+    buildSearch('+819012345678', settings),
+    'FIND {"\\+819012345678" OR "09012345678"} IN PHONE FIELDS RETURNING ' +
+      'Lead(Id, LastModifiedDate, CreatedDate WHERE IsConverted = false), ' +
+      'Account(Id, LastModifiedDate, CreatedDate WHERE IsPersonAccount = true)'
+  );
+  assert.equal(linkSettings({}), null);
+  assert.throws(
+    () => linkSettings({ NOCALL_LINK_RECORDS: 'true', NOCALL_LINK_PRIORITY: 'Contact,Opportunity' }),
+    (error) => error.name === 'ConfigError' && error.problems[0].includes('"Opportunity"')
+  );
+}
+
+async function testPriorityAndTieBreaks() {
+  const records = [
+    { attributes: { type: 'Lead' }, Id: 'lead-1', LastModifiedDate: '2025-03-01', CreatedDate: '2024-01-01' },
+    { attributes: { type: 'Contact' }, Id: 'contact-old', LastModifiedDate: '2025-01-01', CreatedDate: '2020-01-01' },
+    { attributes: { type: 'Contact' }, Id: 'contact-new', LastModifiedDate: '2025-02-01', CreatedDate: '2023-01-01' },
+  ];
+  const settings = (env) => linkSettings({ NOCALL_LINK_RECORDS: 'true', ...env });
+
+  assert.deepEqual(pickMatch(records, settings({})), { type: 'Contact', id: 'contact-new', candidates: 2 });
+  assert.equal(pickMatch(records, settings({ NOCALL_LINK_TIE_BREAK: 'oldest' })).id, 'contact-old');
+  assert.equal(pickMatch(records, settings({ NOCALL_LINK_PRIORITY: 'Lead,Contact' })).id, 'lead-1');
+  assert.deepEqual(pickMatch(records, settings({ NOCALL_LINK_TIE_BREAK: 'none' })), {
+    type: 'Contact',
+    ambiguous: 2,
+  });
+  assert.equal(pickMatch([], settings({})), null);
+}
+
+async function testMatchedContactIsLinkedWithTask() {
+  const salesforce = mockSalesforce({
+    searchRecords: [
+      { attributes: { type: 'Lead' }, Id: '00Q1' },
+      { attributes: { type: 'Contact' }, Id: '0031', LastModifiedDate: '2025-01-01' },
+    ],
+  });
+
+  await withSalesforce(salesforce.fetch, async () => {
+    const { status, body } = await send(linkEnv);
+
+    assert.equal(status, 201);
+    assert.deepEqual(body.linkedRecord, {
+      linked: true,
+      type: 'Contact',
+      id: '0031',
+      field: 'Contact__c',
+      taskId: 'id-task',
+    });
+    assert.equal(salesforce.requests.searches.length, 1);
+
+    const link = salesforce.requests.graphs.find((graph) => graph.graphId === 'callLink');
+    assert.deepEqual(link.nodes[0].body, { Contact__c: '0031' });
+    assert.match(link.nodes[0].url, /NoCall_Call__c\/id-call$/);
+    assert.deepEqual(link.nodes[1].body, {
+      Subject: 'NoCall call call-1',
+      Status: 'Completed',
+      TaskSubtype: 'Call',
+      ActivityDate: '2025-03-28',
+      CallDurationInSeconds: 300,
+      CallDisposition: 'achieved',
+      Description: '予約完了',
+      WhoId: '0031',
+    });
+  });
+}
+
+async function testLeadIsCreatedWhenNothingMatches() {
+  const salesforce = mockSalesforce({ searchRecords: [] });
+
+  await withSalesforce(salesforce.fetch, async () => {
+    const { body } = await send({ NOCALL_LINK_RECORDS: 'true', NOCALL_LINK_CREATE_LEAD: 'true' });
+
+    assert.deepEqual(body.linkedRecord, {
+      linked: true,
+      type: 'Lead',
+      id: 'id-lead',
+      field: 'Lead__c',
+      created: true,
+    });
+
+    const [lead, link] = salesforce.requests.graphs.find((graph) => graph.graphId === 'callLink').nodes;
+    assert.deepEqual(lead.body, {
+      Phone: '+819012345678',
+      LeadSource: 'NoCall',
+      Company: '[not provided]',
+      LastName: '山田',
+      FirstName: '太郎',
+    });
+    assert.deepEqual(link.body, { Lead__c: '@{lead.id}' });
+  });
+}
+
+async function testRedeliveryReusesLinkAndTask() {
+  const salesforce = mockSalesforce({
+    existingCall: { Id: 'a01', CallRecord_Id__c: 'call-1', Contact__c: '0031' },
+    existingTask: '00T1',
+  });
+
+  await withSalesforce(salesforce.fetch, async () => {
+    const { status, body } = await send(linkEnv);
+
+    assert.equal(status, 200);
+    assert.equal(body.linkedRecord.taskId, '00T1');
+    assert.equal(salesforce.requests.searches.length, 0);
+    assert.match(salesforce.requests.callQuery, /Contact__c, Lead__c FROM/);
+
+    const { nodes } = salesforce.requests.graphs.find((graph) => graph.graphId === 'callLink');
+    assert.equal(nodes.length, 1);
+    assert.equal(nodes[0].method, 'PATCH');
+    assert.match(nodes[0].url, /Task\/00T1$/);
+    assert.equal(nodes[0].body.WhoId, undefined);
+  });
+}
+
+async function testOnlyConfiguredLookupFieldsAreRead() {
+  const salesforce = mockSalesforce({ searchRecords: [] });
+
+  await withSalesforce(salesforce.fetch, async () => {
+    await send({ NOCALL_LINK_RECORDS: 'true', NOCALL_LINK_PRIORITY: 'PersonAccount' });
+    assert.match(salesforce.requests.callQuery, /, Account__c FROM/);
+    assert.doesNotMatch(salesforce.requests.callQuery, /Contact__c|Lead__c/);
+
+    await send({ NOCALL_LINK_RECORDS: 'true', NOCALL_LINK_PRIORITY: 'Contact', NOCALL_LINK_CREATE_LEAD: 'true' });
+    assert.match(salesforce.requests.callQuery, /, Contact__c, Lead__c FROM/);
+    assert.doesNotMatch(salesforce.requests.callQuery, /Account__c/);
+  });
+}
+
+async function testLinkFailureDoesNotFailTheWebhook() {
+  await withSalesforce(mockSalesforce({ searchStatus: 400 }).fetch, async () => {
+    const { status, body } = await send(linkEnv);
+
+    assert.equal(status, 201);
+    assert.equal(body.callId, 'id-call');
+    assert.equal(body.linkedRecord.linked, false);
+    assert.match(body.linkedRecord.error, /Salesforce search failed \(400\)/);
+  });
+}
+
+async function run() {
+  await testSearchUsesBothPhoneForms();
+  await testPriorityAndTieBreaks();
+  await testMatchedContactIsLinkedWithTask();
+  await testLeadIsCreatedWhenNothingMatches();
+  await testRedeliveryReusesLinkAndTask();
+  await testOnlyConfiguredLookupFieldsAreRead();
+  await testLinkFailureDoesNotFailTheWebhook();
+  console.log('All linking tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
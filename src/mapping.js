@@ -0,0 +1,256 @@
+// Declarative mapping from the NoCall console payload to Salesforce fields
+import { formatConversation } from './conversation.js';
+import { ConfigError } from './errors.js';
+
+const MAPPING_KV_KEY = 'config:field-mapping';
+const CONFIG_CACHE_MS = 60 * 1000;
+
+// Reproduces the worker's original hard-coded mapping
+const DEFAULT_MAPPING = {
+  call: [
+    { source: 'id', target: 'CallRecord_Id__c' },
+    { source: 'callStatus', target: 'Call_Status__c' },
+    { source: 'from', target: 'From_Phone__c' },
+    { source: 'to', target: 'To_Phone__c' },
+    { source: 'Normalized_Phone__c', target: 'Normalized_Phone__c' },
+    { source: 'detailsUrl', target: 'Recording_Url__c' },
+    { source: 'endUser.id', target: 'EndUser_Id__c' },
+    { source: 'endUser.phoneNumber', target: 'EndUser_Phone__c' },
+    { source: 'conversation.startTime', target: 'Dialed_At__c' },
+    { source: 'conversation.endTime', target: 'Ended_At__c' },
+    { source: 'conversation.duration', target: 'Duration_Sec__c', transforms: ['stringify'] },
+    { source: 'conversation.goalStatus', target: 'Goal_Status__c' },
+    { source: 'conversation.goalResult', target: 'Goal_Result__c' },
+    {
+      sources: ['conversation.message', 'conversation.messages'],
+      target: 'Conversation__c',
+      transforms: ['coalesce', 'conversation'],
+      whenMissing: 'omit',
+    },
+    {
+      sources: ['agent.name', 'agent.id'],
+      target: 'Triggered_By_Label__c',
+      transforms: [{ type: 'join', separator: ' / ' }],
+      whenMissing: 'omit',
+    },
+  ],
+  attributions: { source: 'endUser.attributions' },
+};
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function toDate(value, options) {
+  if (isMissing(value)) return value;
+
+  const parsed = new Date(typeof value === 'number' && value < 1e12 ? value * 1000 : value);
+  if (Number.isNaN(parsed.getTime())) return null;
+
+  if (options.format === 'date') {
+    // Keep the calendar date as written rather than shifting it into UTC
+    const written = typeof value === 'string' && value.match(/^(\d{4}-\d{2}-\d{2})/);
+    return written ? written[1] : parsed.toISOString().slice(0, 10);
+  }
+
+  return parsed.toISOString();
+}
+
+const TRANSFORMS = {
+  stringify: (value) => {
+    if (isMissing(value)) return value;
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  },
+  date: toDate,
+  join: (value, options) => {
+    const parts = (Array.isArray(value) ? value : [value]).filter((part) => !isMissing(part));
+    return parts.length > 0 ? parts.join(options.separator ?? ', ') : undefined;
+  },
+  default: (value, options) => (isMissing(value) ? options.value : value),
+  lookup: (value, options) => {
+    if (isMissing(value)) return value;
+    if (Object.prototype.hasOwnProperty.call(options.table, value)) return options.table[value];
+    return 'fallback' in options ? options.fallback : value;
+  },
+  coalesce: (value) => (Array.isArray(value) ? value.find((item) => !isMissing(item)) : value),
+  conversation: (value) => (isMissing(value) ? value : formatConversation(value)),
+};
+
+function normalizeTransform(transform) {
+  return typeof transform === 'string' ? { type: transform } : transform;
+}
+
+function validateTransform(transform, where, problems) {
+  const spec = normalizeTransform(transform);
+
+  if (!spec || typeof spec !== 'object' || typeof spec.type !== 'string') {
+    problems.push(`${where}: transform must be a name or an object with a "type"`);
+    return;
+  }
+
+  if (!TRANSFORMS[spec.type]) {
+    problems.push(`${where}: unknown transform "${spec.type}"`);
+    return;
+  }
+
+  if (spec.type === 'lookup' && (!spec.table || typeof spec.table !== 'object')) {
+    problems.push(`${where}: lookup transform needs a "table" object`);
+  }
+
+  if (spec.type === 'default' && !('value' in spec)) {
+    problems.push(`${where}: default transform needs a "value"`);
+  }
+
+  if (spec.type === 'join' && spec.separator !== undefined && typeof spec.separator !== 'string') {
+    problems.push(`${where}: join separator must be a string`);
+  }
+}
+
+function validateMapping(config) {
+  const problems = [];
+
+  if (!config || typeof config !== 'object' || !Array.isArray(config.call)) {
+    throw new ConfigError('Invalid field mapping configuration', ['"call" must be an array of field mappings']);
+  }
+
+  config.call.forEach((entry, index) => {
+    const where = `call[${index}]`;
+
+    if (!entry || typeof entry !== 'object') {
+      problems.push(`${where}: must be an object`);
+      return;
+    }
+
+    if (typeof entry.target !== 'string' || !entry.target) {
+      problems.push(`${where}: "target" must be a Salesforce field name`);
+    }
+
+    const hasSource = typeof entry.source === 'string' && entry.source.length > 0;
+    const hasSources =
+      Array.isArray(entry.sources) &&
+      entry.sources.length > 0 &&
+      entry.sources.every((path) => typeof path === 'string');
+
+    if (hasSource === hasSources) {
+      problems.push(`${where}: set exactly one of "source" (a path) or "sources" (an array of paths)`);
+    }
+
+    if (entry.transforms !== undefined && !Array.isArray(entry.transforms)) {
+      problems.push(`${where}: "transforms" must be an array`);
+    } else {
+      (entry.transforms || []).forEach((transform, position) =>
+        validateTransform(transform, `${where}.transforms[${position}]`, problems)
+      );
+    }
+
+    if (entry.whenMissing !== undefined && !['null', 'omit'].includes(entry.whenMissing)) {
+      problems.push(`${where}: "whenMissing" must be "null" or "omit"`);
+    }
+  });
+
+  if (config.attributions !== undefined && config.attributions !== null) {
+    const { source, exclude } = config.attributions;
+
+    if (typeof source !== 'string' || !source) {
+      problems.push('attributions: "source" must be a path to an object of label/value pairs');
+    }
+
+    if (exclude !== undefined && !Array.isArray(exclude)) {
+      problems.push('attributions: "exclude" must be an array of labels');
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError('Invalid field mapping configuration', problems);
+  }
+
+  return config;
+}
+
+// Dot-separated path; numeric segments index into arrays
+function readPath(payload, path) {
+  return path
+    .split('.')
+    .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), payload);
+}
+
+function applyEntry(payload, entry) {
+  let value = entry.sources
+    ? entry.sources.map((path) => readPath(payload, path))
+    : readPath(payload, entry.source);
+
+  for (const transform of entry.transforms || []) {
+    const spec = normalizeTransform(transform);
+    value = TRANSFORMS[spec.type](value, spec);
+  }
+
+  if (Array.isArray(value) && entry.sources && value.every(isMissing)) value = undefined;
+  if (value === undefined || value === null) {
+    return entry.whenMissing === 'omit' ? undefined : null;
+  }
+
+  return value;
+}
+
+function mapCallFields(payload, mapping) {
+  const call = {};
+
+  for (const entry of mapping.call) {
+    const value = applyEntry(payload, entry);
+    if (value !== undefined) call[entry.target] = value;
+  }
+
+  return call;
+}
+
+function mapAttributions(payload, mapping) {
+  if (!mapping.attributions) return [];
+
+  const attrs = readPath(payload, mapping.attributions.source);
+  if (!attrs || typeof attrs !== 'object') return [];
+
+  const excluded = new Set(mapping.attributions.exclude || []);
+  return Object.entries(attrs)
+    .filter(([label]) => !excluded.has(label))
+    .map(([label, value]) => ({ label, value }));
+}
+
+let cachedKvMapping = null;
+
+async function loadMapping(env) {
+  if (env.NOCALL_FIELD_MAPPING) {
+    let parsed;
+    try {
+      parsed = JSON.parse(env.NOCALL_FIELD_MAPPING);
+    } catch (error) {
+      throw new ConfigError('Invalid field mapping configuration', [`NOCALL_FIELD_MAPPING is not JSON: ${error}`]);
+    }
+    return validateMapping(parsed);
+  }
+
+  if (!env.NOCALL_KV) return DEFAULT_MAPPING;
+
+  if (cachedKvMapping && cachedKvMapping.expiresAt > Date.now()) return cachedKvMapping.mapping;
+
+  let stored;
+  try {
+    stored = await env.NOCALL_KV.get(MAPPING_KV_KEY, 'json');
+  } catch (error) {
+    throw new ConfigError('Invalid field mapping configuration', [`${MAPPING_KV_KEY} is not JSON: ${error}`]);
+  }
+  const mapping = stored ? validateMapping(stored) : DEFAULT_MAPPING;
+  cachedKvMapping = { mapping, expiresAt: Date.now() + CONFIG_CACHE_MS };
+
+  return mapping;
+}
+
+export {
+  DEFAULT_MAPPING,
+  MAPPING_KV_KEY,
+  isMissing,
+  readPath,
+  validateMapping,
+  loadMapping,
+  mapCallFields,
+  mapAttributions,
+};
@@ -0,0 +1,166 @@
+import assert from 'node:assert/strict';
+import { DEFAULT_MAPPING, mapAttributions, mapCallFields, validateMapping } from './mapping.js';
+import { createMockResponse, respondToGraph, sendWebhook, withSalesforce } from './test-helpers.js';
+
+const payload = {
+  id: '1',
+  timestamp: '2025-03-28T15:45:05.240+09:00',
+  callStatus: 'completed',
+  from: '+815012345678',
+  to: '+819098765432',
+  detailsUrl: 'https://example.com/console/call-history/1',
+  endUser: {
+    id: '1',
+    phoneNumber: '+819012345678',
+    attributions: { 姓: '山田', 名: '太郎' },
+  },
+  conversation: {
+    startTime: '2025-03-28T15:40:05.240+09:00',
+    endTime: '2025-03-28T15:45:05.240+09:00',
+    duration: 300,
+    message: [
+      { role: 'system', content: 'system message' },
+      { role: 'user', content: 'user message' },
+    ],
+    goalStatus: 'achieved',
+    goalResult: '成功しました。',
+  },
+  agent: { id: 1, name: 'agent1' },
+};
+
+async function testDefaultMappingMatchesDocumentedFields() {
+  const call = mapCallFields(payload, DEFAULT_MAPPING);
+
+  assert.deepEqual(call, {
+    CallRecord_Id__c: '1',
+    Call_Status__c: 'completed',
+    From_Phone__c: '+815012345678',
+    To_Phone__c: '+819098765432',
+    Normalized_Phone__c: null,
+    Recording_Url__c: 'https://example.com/console/call-history/1',
+    EndUser_Id__c: '1',
+    EndUser_Phone__c: '+819012345678',
+    Dialed_At__c: '2025-03-28T15:40:05.240+09:00',
+    Ended_At__c: '2025-03-28T15:45:05.240+09:00',
+    Duration_Sec__c: '300',
+    Goal_Status__c: 'achieved',
+    Goal_Result__c: '成功しました。',
+    Conversation__c: 'user: user message',
+    Triggered_By_Label__c: 'agent1 / 1',
+  });
+  assert.deepEqual(mapAttributions(payload, DEFAULT_MAPPING), [
+    { label: '姓', value: '山田' },
+    { label: '名', value: '太郎' },
+  ]);
+}
+
+async function testTransformsApplyInOrder() {
+  const mapping = validateMapping({
+    call: [
+      { source: 'endUser.attributions.姓', target: 'LastName__c' },
+      {
+        source: 'conversation.goalStatus',
+        target: 'Goal_Status__c',
+        transforms: [{ type: 'lookup', table: { achieved: '達成', failed: '未達成' } }],
+      },
+      { source: 'conversation.startTime', target: 'Dialed_At__c', transforms: ['date'] },
+      { source: 'conversation.endTime', target: 'Call_Date__c', transforms: [{ type: 'date', format: 'date' }] },
+      { source: 'missing.path', target: 'Channel__c', transforms: [{ type: 'default', value: 'phone' }] },
+      {
+        sources: ['endUser.attributions.姓', 'endUser.attributions.名'],
+        target: 'Full_Name__c',
+        transforms: [{ type: 'join', separator: ' ' }],
+      },
+      { source: 'missing.path', target: 'Omitted__c', whenMissing: 'omit' },
+    ],
+    attributions: { source: 'endUser.attributions', exclude: ['名'] },
+  });
+
+  const call = mapCallFields(payload, mapping);
+
+  assert.deepEqual(call, {
+    LastName__c: '山田',
+    Goal_Status__c: '達成',
+    Dialed_At__c: '2025-03-28T06:40:05.240Z',
+    Call_Date__c: '2025-03-28',
+    Channel__c: 'phone',
+    Full_Name__c: '山田 太郎',
+  });
+  assert.deepEqual(mapAttributions(payload, mapping), [{ label: '姓', value: '山田' }]);
+}
+
+async function testUnknownTransformsAreRejected() {
+  assert.throws(
+    () =>
+      validateMapping({
+        call: [
+          { source: 'id', target: 'CallRecord_Id__c', transforms: ['uppercase'] },
+          { source: 'to', target: 'To_Phone__c', transforms: [{ type: 'lookup' }] },
+          { target: 'Missing_Source__c' },
+        ],
+      }),
+    (error) =>
+      error.name === 'ConfigError' &&
+      error.problems.length === 3 &&
+      error.problems[0].includes('unknown transform "uppercase"')
+  );
+}
+
+async function testHandlerUsesConfiguredMapping() {
+  let insertedBody;
+
+  const handler = async (url, options = {}) => {
+    if (String(url).includes('/query')) {
+      return createMockResponse({ records: [] });
+    }
+
+    if (String(url).includes('/composite/graph')) {
+      insertedBody = JSON.parse(options.body).graphs[0].compositeRequest[0].body;
+      return respondToGraph(options, () => ({ httpStatusCode: 201, body: { id: 'c1' } }));
+    }
+
+    throw new Error(`Unexpected fetch call: ${url}`);
+  };
+
+  const env = {
+    NOCALL_FIELD_MAPPING: JSON.stringify({
+      call: [
+        { source: 'id', target: 'CallRecord_Id__c' },
+        { source: 'to', target: 'Normalized_Phone__c' },
+        { source: 'endUser.attributions.姓', target: 'LastName__c' },
+      ],
+    }),
+  };
+
+  await withSalesforce(handler, async () => {
+    const response = await sendWebhook(env, payload, { headers: { 'content-type': 'application/json' } });
+
+    assert.equal(response.status, 201);
+    assert.deepEqual(insertedBody, {
+      CallRecord_Id__c: '1',
+      Normalized_Phone__c: '+819098765432',
+      LastName__c: '山田',
+    });
+
+    const bad = await sendWebhook(
+      { NOCALL_FIELD_MAPPING: JSON.stringify({ call: [{ source: 'id', target: 'X__c', transforms: ['nope'] }] }) },
+      payload
+    );
+
+    assert.equal(bad.status, 500);
+    assert.equal(bad.body.error, 'Invalid field mapping configuration');
+  });
+}
+
+async function run() {
+  await testDefaultMappingMatchesDocumentedFields();
+  await testTransformsApplyInOrder();
+  await testUnknownTransformsAreRejected();
+  await testHandlerUsesConfiguredMapping();
+  console.log('All mapping tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+// How an incoming call is matched to an existing NoCall_Call__c record
+import { ConfigError, ValidationError } from './errors.js';
+
+const DEFAULT_STRATEGY = 'phone';
+const STRATEGIES = new Set(['phone', 'callRecordId', 'phone+latest']);
+const DEFAULT_ROLLUP_OBJECT = 'NoCall_Phone__c';
+const DEFAULT_ROLLUP_LOOKUP_FIELD = 'NoCall_Phone__c';
+
+function resolveMatchStrategy(env) {
+  const strategy = env.NOCALL_MATCH_STRATEGY || DEFAULT_STRATEGY;
+
+  if (!STRATEGIES.has(strategy)) {
+    throw new ConfigError('Invalid match strategy configuration', [
+      `Unknown NOCALL_MATCH_STRATEGY "${strategy}"; expected one of ${[...STRATEGIES].join(', ')}`,
+    ]);
+  }
+
+  return strategy;
+}
+
+// `phone` keeps one record per number (falling back to the call id); the other
+// strategies keep one record per NoCall call.
+function selectMatchKey(callBody, strategy) {
+  if (strategy === 'phone') {
+    if (callBody.Normalized_Phone__c) {
+      return { field: 'Normalized_Phone__c', value: callBody.Normalized_Phone__c };
+    }
+
+    if (callBody.CallRecord_Id__c) {
+      return { field: 'CallRecord_Id__c', value: callBody.CallRecord_Id__c };
+    }
+
+    throw new ValidationError('Missing required normalized phone for call matching');
+  }
+
+  if (!callBody.CallRecord_Id__c) {
+    throw new ValidationError('Missing required CallRecord_Id__c for call matching');
+  }
+
+  return { field: 'CallRecord_Id__c', value: String(callBody.CallRecord_Id__c) };
+}
+
+// Parent record per phone number that summarizes the most recent call
+function buildRollup(callBody, strategy, env) {
+  if (strategy !== 'phone+latest' || !callBody.Normalized_Phone__c) return null;
+
+  const body = Object.fromEntries(
+    Object.entries({
+      Last_CallRecord_Id__c: callBody.CallRecord_Id__c,
+      Last_Call_Status__c: callBody.Call_Status__c,
+      Last_Goal_Status__c: callBody.Goal_Status__c,
+      Last_Called_At__c: callBody.Dialed_At__c,
+    }).filter(([, value]) => value !== undefined && value !== null)
+  );
+
+  return {
+    objectName: env.NOCALL_ROLLUP_OBJECT || DEFAULT_ROLLUP_OBJECT,
+    lookupField: env.NOCALL_ROLLUP_LOOKUP_FIELD || DEFAULT_ROLLUP_LOOKUP_FIELD,
+    keyField: 'Normalized_Phone__c',
+    keyValue: callBody.Normalized_Phone__c,
+    body,
+  };
+}
+
+export { resolveMatchStrategy, selectMatchKey, buildRollup };
@@ -0,0 +1,82 @@
+// Structured NoCall_Message__c / NoCall_Tool_Call__c rows for each conversation turn and tool call
+import { isEnabled } from './values.js';
+
+const MESSAGE_OBJECT = 'NoCall_Message__c';
+const TOOL_CALL_OBJECT = 'NoCall_Tool_Call__c';
+const PARENT_FIELD = 'NoCall_Call__c';
+
+function isStructuredMessagesEnabled(env) {
+  return isEnabled(env.NOCALL_STRUCTURED_MESSAGES);
+}
+
+function asText(value) {
+  if (value === undefined || value === null) return null;
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Sequence__c is the position in the original log so turns and tool calls sort together
+function buildMessageRecords(messages) {
+  if (!Array.isArray(messages)) return { messages: [], toolCalls: [] };
+
+  const messageRecords = [];
+  const toolCalls = [];
+  const toolCallsById = new Map();
+
+  messages.forEach((entry, sequence) => {
+    if (!entry || typeof entry !== 'object' || entry.role === 'system') return;
+
+    messageRecords.push({
+      Role__c: entry.role ?? null,
+      Sequence__c: sequence,
+      Content__c: asText(entry.content),
+      Tool_Name__c: entry.name ?? null,
+      Tool_Call_Id__c: entry.tool_call_id ?? null,
+    });
+
+    if (entry.role === 'assistant_tool_call') {
+      (entry.tool_calls || []).forEach((toolCall) => {
+        const record = {
+          Sequence__c: sequence,
+          Tool_Call_Id__c: toolCall?.id ?? null,
+          Tool_Name__c: toolCall?.name ?? null,
+          Arguments__c: asText(toolCall?.args ?? toolCall?.arguments),
+          Result__c: null,
+        };
+        toolCalls.push(record);
+        if (record.Tool_Call_Id__c) toolCallsById.set(record.Tool_Call_Id__c, record);
+      });
+    }
+
+    if (entry.role === 'tool') {
+      const call = entry.tool_call_id ? toolCallsById.get(entry.tool_call_id) : null;
+
+      if (call) {
+        call.Result__c = asText(entry.content);
+        call.Tool_Name__c = call.Tool_Name__c ?? entry.name ?? null;
+      } else {
+        // A result whose call was never announced is still worth keeping
+        toolCalls.push({
+          Sequence__c: sequence,
+          Tool_Call_Id__c: entry.tool_call_id ?? null,
+          Tool_Name__c: entry.name ?? null,
+          Arguments__c: null,
+          Result__c: asText(entry.content),
+        });
+      }
+    }
+  });
+
+  return { messages: messageRecords, toolCalls };
+}
+
+// Child sets for writeCall; each set replaces whatever the call had before
+function messageChildren(messages) {
+  const records = buildMessageRecords(messages);
+
+  return [
+    { objectName: MESSAGE_OBJECT, parentField: PARENT_FIELD, records: records.messages },
+    { objectName: TOOL_CALL_OBJECT, parentField: PARENT_FIELD, records: records.toolCalls },
+  ];
+}
+
+export { isStructuredMessagesEnabled, buildMessageRecords, messageChildren };
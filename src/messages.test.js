@@ -0,0 +1,184 @@
+import assert from 'node:assert/strict';
+import { handleRequest } from './index.js';
+import { buildMessageRecords } from './messages.js';
+import { acceptGraph, allowUnsigned, createMockResponse, withSalesforce } from './test-helpers.js';
+
+const messages = [
+  { role: 'system', content: 'system prompt' },
+  { role: 'assistant', content: 'お電話ありがとうございます。' },
+  { role: 'user', content: '予約したいです' },
+  {
+    role: 'assistant_tool_call',
+    tool_calls: [
+      { id: 'tc-1', name: 'check_availability', args: { date: '2025-04-01' } },
+      { id: 'tc-2', name: 'lookup_customer', args: { phone: '+819012345678' } },
+    ],
+  },
+  { role: 'tool', content: { available: true }, name: 'check_availability', tool_call_id: 'tc-1' },
+  { role: 'tool', content: 'not found', name: 'lookup_customer', tool_call_id: 'tc-2' },
+  { role: 'tool', content: 'orphan', name: 'transfer', tool_call_id: 'tc-9' },
+];
+
+async function testToolCallsArePairedWithResults() {
+  const records = buildMessageRecords(messages);
+
+  assert.deepEqual(
+    records.messages.map((record) => [record.Sequence__c, record.Role__c]),
+    [
+      [1, 'assistant'],
+      [2, 'user'],
+      [3, 'assistant_tool_call'],
+      [4, 'tool'],
+      [5, 'tool'],
+      [6, 'tool'],
+    ]
+  );
+  assert.equal(records.messages[3].Tool_Call_Id__c, 'tc-1');
+  assert.deepEqual(records.toolCalls, [
+    {
+      Sequence__c: 3,
+      Tool_Call_Id__c: 'tc-1',
+      Tool_Name__c: 'check_availability',
+      Arguments__c: '{"date":"2025-04-01"}',
+      Result__c: '{"available":true}',
+    },
+    {
+      Sequence__c: 3,
+      Tool_Call_Id__c: 'tc-2',
+      Tool_Name__c: 'lookup_customer',
+      Arguments__c: '{"phone":"+819012345678"}',
+      Result__c: 'not found',
+    },
+    {
+      Sequence__c: 6,
+      Tool_Call_Id__c: 'tc-9',
+      Tool_Name__c: 'transfer',
+      Arguments__c: null,
+      Result__c: 'orphan',
+    },
+  ]);
+  assert.deepEqual(buildMessageRecords(undefined), { messages: [], toolCalls: [] });
+}
+
+function mockSalesforce(existingChildren, graphs) {
+  return async (url, options = {}) => {
+    const target = decodeURIComponent(String(url));
+
+    if (target.includes('FROM NoCall_Message__c')) {
+      return createMockResponse({ records: existingChildren.messages, done: true });
+    }
+
+    if (target.includes('FROM NoCall_Tool_Call__c')) {
+      return createMockResponse({ records: existingChildren.toolCalls, done: true });
+    }
+
+    if (target.includes('FROM NoCall_Call__c')) {
+      return createMockResponse({ records: existingChildren.call });
+    }
+
+    if (target.includes('/query')) {
+      return createMockResponse({ records: [] });
+    }
+
+    if (target.includes('/composite/graph')) {
+      graphs.push(JSON.parse(options.body).graphs[0].compositeRequest);
+      return acceptGraph(options);
+    }
+
+    throw new Error(`Unexpected fetch call: ${url}`);
+  };
+}
+
+function webhook(body) {
+  return new Request('https://example.com', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+async function testRedeliveryReplacesChildRecords() {
+  const graphs = [];
+  const existing = {
+    call: [{ Id: 'a01', CallRecord_Id__c: 'call-1' }],
+    messages: [{ Id: 'm1' }, { Id: 'm2' }],
+    toolCalls: [{ Id: 't1' }],
+  };
+
+  await withSalesforce(mockSalesforce(existing, graphs), async () => {
+    const response = await handleRequest(
+      webhook({ id: 'call-1', to: '+819012345678', conversation: { message: messages } }),
+      allowUnsigned({ NOCALL_STRUCTURED_MESSAGES: 'true' })
+    );
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.childRecords, {
+      NoCall_Message__c: { deleted: 2, inserted: 6 },
+      NoCall_Tool_Call__c: { deleted: 1, inserted: 3 },
+    });
+    assert.equal(graphs.length, 1, 'Children should share the call transaction');
+
+    const [nodes] = graphs;
+    assert.deepEqual(
+      nodes.filter((node) => node.method === 'DELETE').map((node) => node.url.split('/').slice(-2).join('/')),
+      ['NoCall_Message__c/m1', 'NoCall_Message__c/m2', 'NoCall_Tool_Call__c/t1']
+    );
+
+    const inserted = nodes.filter((node) => node.referenceId.startsWith('child'));
+    assert.equal(inserted.length, 9);
+    assert.ok(inserted.every((node) => node.body.NoCall_Call__c === 'a01'));
+  });
+}
+
+async function testOverflowChildrenAreWrittenInFollowUpGraphs() {
+  const graphs = [];
+  const longConversation = Array.from({ length: 620 }, (_, index) => ({
+    role: index % 2 === 0 ? 'user' : 'assistant',
+    content: `turn ${index}`,
+  }));
+
+  await withSalesforce(mockSalesforce({ call: [], messages: [], toolCalls: [] }, graphs), async () => {
+    const response = await handleRequest(
+      webhook({ id: 'call-2', to: '+819012345678', conversation: { message: longConversation } }),
+      allowUnsigned({ NOCALL_STRUCTURED_MESSAGES: 'true' })
+    );
+    const body = await response.json();
+
+    assert.equal(response.status, 201);
+    assert.deepEqual(body.childRecords.NoCall_Message__c, { deleted: 0, inserted: 620 });
+    assert.equal(graphs.length, 3);
+    assert.ok(graphs[0].every((node) => !node.referenceId.startsWith('child')));
+    assert.equal(graphs[1].length + graphs[2].length, 620);
+    assert.ok(graphs[1].every((node) => node.body.NoCall_Call__c === 'id-call'));
+  });
+}
+
+async function testChildRecordsAreOffByDefault() {
+  const graphs = [];
+
+  await withSalesforce(mockSalesforce({ call: [], messages: [], toolCalls: [] }, graphs), async () => {
+    const response = await handleRequest(
+      webhook({ id: 'call-3', to: '+819012345678', conversation: { message: messages } }),
+      allowUnsigned()
+    );
+    const body = await response.json();
+
+    assert.equal(response.status, 201);
+    assert.equal(body.childRecords, undefined);
+    assert.ok(graphs[0].every((node) => !node.referenceId.startsWith('child')));
+  });
+}
+
+async function run() {
+  await testToolCallsArePairedWithResults();
+  await testRedeliveryReplacesChildRecords();
+  await testOverflowChildrenAreWrittenInFollowUpGraphs();
+  await testChildRecordsAreOffByDefault();
+  console.log('All message tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
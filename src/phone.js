@@ -0,0 +1,127 @@
+// E.164 normalization for the phone numbers used as call matching keys
+import { ConfigError } from './errors.js';
+
+const DEFAULT_COUNTRY = 'JP';
+
+// Calling code, trunk prefix dialled before domestic numbers, and international access prefixes
+const COUNTRIES = {
+  JP: { code: '81', trunk: '0', international: ['010', '00'] },
+  US: { code: '1', trunk: '1', international: ['011'] },
+  CA: { code: '1', trunk: '1', international: ['011'] },
+  GB: { code: '44', trunk: '0', international: ['00'] },
+  KR: { code: '82', trunk: '0', international: ['001', '002', '00700', '00'] },
+  CN: { code: '86', trunk: '0', international: ['00'] },
+  TW: { code: '886', trunk: '0', international: ['002', '00'] },
+  HK: { code: '852', trunk: null, international: ['001', '00'] },
+  SG: { code: '65', trunk: null, international: ['001', '000'] },
+  AU: { code: '61', trunk: '0', international: ['0011'] },
+  DE: { code: '49', trunk: '0', international: ['00'] },
+  FR: { code: '33', trunk: '0', international: ['00'] },
+};
+
+const MIN_DIGITS = 8;
+const MAX_DIGITS = 15;
+
+class PhoneNumberError extends Error {
+  constructor(message, input) {
+    super(message);
+    this.name = 'PhoneNumberError';
+    this.input = input;
+  }
+}
+
+function toHalfWidth(value) {
+  return value
+    .replace(/[０-９＋（）]/g, (char) => String.fromCharCode(char.charCodeAt(0) - 0xfee0))
+    .replace(/\u3000/g, ' ');
+}
+
+function resolveCountry(country) {
+  const key = String(country || DEFAULT_COUNTRY).toUpperCase();
+  const entry = COUNTRIES[key];
+
+  if (!entry) {
+    throw new ConfigError(`Unsupported default country "${country}"`, [
+      `NOCALL_DEFAULT_COUNTRY must be one of ${Object.keys(COUNTRIES).join(', ')}`,
+    ]);
+  }
+
+  return entry;
+}
+
+// Returns the number as +<country code><national number>, or throws PhoneNumberError
+function normalizePhone(input, { defaultCountry = DEFAULT_COUNTRY } = {}) {
+  if (input === undefined || input === null || input === '') return input;
+
+  const country = resolveCountry(defaultCountry);
+  const raw = toHalfWidth(String(input)).trim();
+
+  // Anything besides digits, a leading plus and common separators is not a phone number
+  if (!/^\+?[\d\s\-‐－ー−().\/]+$/.test(raw)) {
+    throw new PhoneNumberError(`Cannot parse phone number "${input}"`, input);
+  }
+
+  const hasPlus = raw.startsWith('+');
+  // "+81 (0)90..." repeats the trunk prefix after the country code
+  const digits = raw.replace(/\(0\)/g, '').replace(/\D/g, '');
+  let international;
+
+  if (hasPlus) {
+    international = digits;
+  } else {
+    const prefix = country.international.find((candidate) => digits.startsWith(candidate));
+
+    if (prefix) {
+      international = digits.slice(prefix.length);
+    } else if (country.trunk && digits.startsWith(country.trunk) && country.trunk !== country.code) {
+      international = `${country.code}${digits.slice(country.trunk.length)}`;
+    } else if (digits.startsWith(country.code) && digits.length > MIN_DIGITS + 1) {
+      // Already carries the country code, e.g. 819012345678
+      international = digits;
+    } else {
+      international = `${country.code}${digits}`;
+    }
+  }
+
+  if (
+    international.length < MIN_DIGITS ||
+    international.length > MAX_DIGITS ||
+    international.startsWith('0')
+  ) {
+    throw new PhoneNumberError(`Cannot parse phone number "${input}"`, input);
+  }
+
+  return `+${international}`;
+}
+
+// Domestic dialling form of an E.164 number in the default country, e.g. +819012345678 → 09012345678
+function nationalNumber(e164, { defaultCountry = DEFAULT_COUNTRY } = {}) {
+  const country = resolveCountry(defaultCountry);
+  const prefix = `+${country.code}`;
+
+  if (typeof e164 !== 'string' || !e164.startsWith(prefix)) return null;
+  return `${country.trunk && country.trunk !== country.code ? country.trunk : ''}${e164.slice(prefix.length)}`;
+}
+
+const PHONE_FIELDS = ['From_Phone__c', 'To_Phone__c', 'EndUser_Phone__c', 'Normalized_Phone__c'];
+
+// Normalizes every phone field present on a call body; returns the body and any fields that failed
+function normalizePhoneFields(callBody, env) {
+  const normalized = { ...callBody };
+  const invalid = [];
+
+  for (const field of PHONE_FIELDS) {
+    if (normalized[field] === undefined || normalized[field] === null || normalized[field] === '') continue;
+
+    try {
+      normalized[field] = normalizePhone(normalized[field], { defaultCountry: env.NOCALL_DEFAULT_COUNTRY });
+    } catch (error) {
+      if (!(error instanceof PhoneNumberError)) throw error;
+      invalid.push({ field, value: callBody[field] });
+    }
+  }
+
+  return { callBody: normalized, invalid };
+}
+
+export { COUNTRIES, PHONE_FIELDS, PhoneNumberError, nationalNumber, normalizePhone, normalizePhoneFields };
@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { handleRequest } from './index.js';
+import { normalizePhone, normalizePhoneFields, PhoneNumberError } from './phone.js';
+import { allowUnsigned } from './test-helpers.js';
+
+async function testJapaneseFormatsShareOneKey() {
+  const variants = [
+    '090-1234-5678',
+    '09012345678',
+    '+81 90 1234 5678',
+    '+81 (0)90-1234-5678',
+    '819012345678',
+    '０９０－１２３４－５６７８',
+    '＋８１ ９０ １２３４ ５６７８',
+    '(090) 1234-5678',
+    '010-81-90-1234-5678',
+  ];
+
+  for (const variant of variants) {
+    assert.equal(normalizePhone(variant), '+819012345678', `${variant} should normalize`);
+  }
+
+  assert.equal(normalizePhone('03-1234-5678'), '+81312345678');
+  assert.equal(normalizePhone('0120-123-456'), '+81120123456');
+}
+
+async function testDefaultCountryIsConfigurable() {
+  assert.equal(normalizePhone('(212) 555-1234', { defaultCountry: 'US' }), '+12125551234');
+  assert.equal(normalizePhone('1-212-555-1234', { defaultCountry: 'US' }), '+12125551234');
+  assert.equal(normalizePhone('020 7946 0958', { defaultCountry: 'GB' }), '+442079460958');
+  assert.equal(normalizePhone('+819012345678', { defaultCountry: 'US' }), '+819012345678');
+}
+
+async function testUnparseableNumbersAreRejected() {
+  for (const value of ['anonymous', '12345', '+0123456789', '090-1234-5678 ext 9', '+1234567890123456']) {
+    assert.throws(() => normalizePhone(value), PhoneNumberError, `${value} should be rejected`);
+  }
+}
+
+async function testPhoneFieldsAreNormalizedTogether() {
+  const { callBody, invalid } = normalizePhoneFields(
+    { From_Phone__c: '050-1234-5678', To_Phone__c: '090 1234 5678', EndUser_Phone__c: 'unknown', Notes__c: '03' },
+    {}
+  );
+
+  assert.equal(callBody.From_Phone__c, '+815012345678');
+  assert.equal(callBody.To_Phone__c, '+819012345678');
+  assert.equal(callBody.Notes__c, '03');
+  assert.deepEqual(invalid, [{ field: 'EndUser_Phone__c', value: 'unknown' }]);
+}
+
+async function testInvalidPhoneIsValidationError() {
+  const request = new Request('https://example.com', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ id: 'call-1', to: 'not-a-number' }),
+  });
+
+  const response = await handleRequest(request, allowUnsigned());
+  const body = await response.json();
+
+  assert.equal(response.status, 400);
+  assert.match(body.error, /Invalid phone number in To_Phone__c/);
+}
+
+async function run() {
+  await testJapaneseFormatsShareOneKey();
+  await testDefaultCountryIsConfigurable();
+  await testUnparseableNumbersAreRejected();
+  await testPhoneFieldsAreNormalizedTogether();
+  await testInvalidPhoneIsValidationError();
+  console.log('All phone tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
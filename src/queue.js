@@ -0,0 +1,134 @@
+// Asynchronous webhook processing on Cloudflare Queues with a KV dead-letter store
+import { ConfigError, ValidationError } from './errors.js';
+import { SalesforceError, isRetryableError } from './salesforce.js';
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_SEC = 30;
+const MAX_RETRY_DELAY_SEC = 900;
+const DEAD_LETTER_PREFIX = 'dead-letter:';
+
+function isQueueMode(env) {
+  return String(env.NOCALL_PROCESSING_MODE || 'sync').toLowerCase() === 'queue';
+}
+
+function positiveNumber(value, fallback) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : fallback;
+}
+
+function retryDelaySeconds(attempts, env) {
+  const base = positiveNumber(env.NOCALL_QUEUE_RETRY_BASE_SEC, DEFAULT_RETRY_BASE_SEC);
+  const delay = Math.min(base * 2 ** (attempts - 1), MAX_RETRY_DELAY_SEC);
+  // Jitter so a batch that failed together does not retry together
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+function shouldRetry(error) {
+  if (error instanceof ValidationError) return false;
+  // Nothing changes between attempts until the configuration is fixed
+  if (error instanceof ConfigError) return false;
+  if (error instanceof SalesforceError) return isRetryableError(error);
+  // Network failures and other unexpected errors are worth another attempt
+  return true;
+}
+
+// `env.NOCALL_TENANT` travels with the message so the consumer writes to the same org
+async function enqueueWebhook(env, payload) {
+  if (!env.NOCALL_QUEUE) {
+    throw new Error('NOCALL_PROCESSING_MODE is "queue" but no NOCALL_QUEUE binding is configured');
+  }
+
+  const message = { payload, receivedAt: new Date().toISOString() };
+  if (env.NOCALL_TENANT) message.tenant = env.NOCALL_TENANT;
+  await env.NOCALL_QUEUE.send(message);
+}
+
+function describeError(error) {
+  const described = {
+    name: error?.name ?? 'Error',
+    message: error?.message ?? String(error),
+    status: error?.status ?? null,
+    body: error?.body ?? null,
+  };
+  // A ConfigError's message alone does not say which setting is wrong
+  if (error?.problems) described.problems = error.problems;
+  return described;
+}
+
+async function storeDeadLetter(env, message, error) {
+  if (!env.NOCALL_KV) return false;
+
+  const failedAt = new Date().toISOString();
+  const key = `${DEAD_LETTER_PREFIX}${failedAt}:${message.id}`;
+  await env.NOCALL_KV.put(
+    key,
+    JSON.stringify({
+      messageId: message.id,
+      attempts: message.attempts,
+      receivedAt: message.body?.receivedAt ?? null,
+      tenant: message.body?.tenant ?? undefined,
+      failedAt,
+      error: describeError(error),
+      payload: message.body?.payload,
+    })
+  );
+
+  return key;
+}
+
+async function handleMessage(message, env, processWebhook) {
+  try {
+    const result = await processWebhook(message.body?.payload, env, message.body?.tenant);
+    console.info('Queued webhook processed', { messageId: message.id, attempts: message.attempts, ...result });
+    message.ack();
+    return;
+  } catch (error) {
+    const attempts = message.attempts ?? 1;
+    const maxAttempts = positiveNumber(env.NOCALL_QUEUE_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS);
+
+    if (shouldRetry(error) && attempts < maxAttempts) {
+      const delaySeconds = retryDelaySeconds(attempts, env);
+      console.warn('Queued webhook failed, retrying', {
+        messageId: message.id,
+        attempts,
+        delaySeconds,
+        error: describeError(error),
+      });
+      message.retry({ delaySeconds });
+      return;
+    }
+
+    try {
+      const key = await storeDeadLetter(env, message, error);
+      if (key) {
+        console.error('Queued webhook moved to dead-letter store', {
+          messageId: message.id,
+          attempts,
+          key,
+          error: describeError(error),
+        });
+        message.ack();
+        return;
+      }
+    } catch (storeError) {
+      console.error('Failed to write dead letter', { messageId: message.id, error: String(storeError) });
+    }
+
+    // Without a dead-letter store, leave the message to the queue's own retry and DLQ settings
+    console.error('Queued webhook failed permanently', {
+      messageId: message.id,
+      attempts,
+      error: describeError(error),
+    });
+    message.retry();
+  }
+}
+
+// `processWebhook(payload, env, tenant)` performs the Salesforce write and throws on failure
+async function consumeQueueBatch(batch, env, processWebhook) {
+  for (const message of batch.messages) {
+    await handleMessage(message, env, processWebhook);
+  }
+}
+
+export { DEAD_LETTER_PREFIX, isQueueMode, enqueueWebhook, retryDelaySeconds, consumeQueueBatch };
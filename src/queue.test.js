@@ -0,0 +1,204 @@
+import assert from 'node:assert/strict';
+import worker, { handleRequest } from './index.js';
+import { allowUnsigned, createMemoryKv, createMockResponse, respondToGraph, withSalesforce } from './test-helpers.js';
+
+function deadLetters(kv) {
+  return [...kv.store.entries()].filter(([key]) => key.startsWith('dead-letter:'));
+}
+
+function createMessage(payload, attempts = 1) {
+  const message = {
+    id: `msg-${attempts}`,
+    attempts,
+    body: { payload, receivedAt: '2025-03-28T06:45:05.240Z' },
+    acked: false,
+    retried: null,
+    ack() {
+      message.acked = true;
+    },
+    retry(options = {}) {
+      message.retried = options;
+    },
+  };
+  return message;
+}
+
+// Every call is new and its write gets `graphResponse`
+function withCallWrite(graphResponse, fn) {
+  const handler = async (url, options = {}) => {
+    if (String(url).includes('/query')) {
+      return createMockResponse({ records: [] });
+    }
+
+    if (String(url).includes('/composite/graph')) {
+      return respondToGraph(options, () => graphResponse);
+    }
+
+    throw new Error(`Unexpected fetch call: ${url}`);
+  };
+
+  return withSalesforce(handler, fn);
+}
+
+const payload = { id: 'call-1', to: '+819012345678', callStatus: 'completed' };
+
+async function testQueueModeEnqueuesAndReturns202() {
+  const sent = [];
+  const env = {
+    NOCALL_PROCESSING_MODE: 'queue',
+    NOCALL_QUEUE: {
+      async send(body) {
+        sent.push(body);
+      },
+    },
+  };
+  const request = new Request('https://example.com', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+
+  const response = await handleRequest(request, allowUnsigned(env));
+  const body = await response.json();
+
+  assert.equal(response.status, 202);
+  assert.equal(body.operation, 'queued');
+  assert.equal(sent.length, 1);
+  assert.deepEqual(sent[0].payload, payload);
+}
+
+async function testQueueModeStillValidatesBeforeEnqueueing() {
+  const env = {
+    NOCALL_PROCESSING_MODE: 'queue',
+    NOCALL_QUEUE: {
+      async send() {
+        throw new Error('Invalid payloads should not be queued');
+      },
+    },
+  };
+  const request = new Request('https://example.com', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ from: '+10000000000' }),
+  });
+
+  const response = await handleRequest(request, allowUnsigned(env));
+
+  assert.equal(response.status, 400);
+}
+
+async function testConsumerAcksSuccessfulWrites() {
+  await withCallWrite({ httpStatusCode: 201, body: { id: 'call-123' } }, async () => {
+    const message = createMessage(payload);
+
+    await worker.queue({ messages: [message] }, {});
+
+    assert.equal(message.acked, true);
+    assert.equal(message.retried, null);
+  });
+}
+
+async function testConsumerRetriesLockErrorsWithBackoff() {
+  await withCallWrite(
+    { httpStatusCode: 400, body: [{ errorCode: 'UNABLE_TO_LOCK_ROW', message: 'unable to obtain exclusive access' }] },
+    async () => {
+      const first = createMessage(payload, 1);
+      const third = createMessage(payload, 3);
+
+      await worker.queue({ messages: [first, third] }, { NOCALL_QUEUE_RETRY_BASE_SEC: '10' });
+
+      assert.equal(first.acked, false);
+      assert.ok(first.retried.delaySeconds >= 5 && first.retried.delaySeconds <= 10);
+      assert.ok(third.retried.delaySeconds >= 20 && third.retried.delaySeconds <= 40);
+    }
+  );
+}
+
+async function testExhaustedMessagesGoToDeadLetterStore() {
+  await withCallWrite({ httpStatusCode: 503, body: [{ errorCode: 'SERVER_UNAVAILABLE' }] }, async () => {
+    const kv = createMemoryKv();
+    const message = createMessage(payload, 5);
+
+    await worker.queue({ messages: [message] }, { NOCALL_KV: kv });
+
+    assert.equal(message.acked, true);
+    assert.equal(deadLetters(kv).length, 1);
+
+    const [[key, value]] = deadLetters(kv);
+    const entry = JSON.parse(value);
+    assert.ok(key.startsWith('dead-letter:'));
+    assert.equal(entry.attempts, 5);
+    assert.equal(entry.error.status, 503);
+    assert.deepEqual(entry.payload, payload);
+  });
+}
+
+async function testNonRetryableErrorsSkipRetries() {
+  await withCallWrite(
+    { httpStatusCode: 400, body: [{ errorCode: 'INVALID_FIELD', message: 'No such column' }] },
+    async () => {
+      const kv = createMemoryKv();
+      const message = createMessage(payload, 1);
+
+      await worker.queue({ messages: [message] }, { NOCALL_KV: kv });
+
+      assert.equal(message.acked, true);
+      assert.equal(message.retried, null);
+      assert.equal(deadLetters(kv).length, 1);
+    }
+  );
+}
+
+async function testOversizedWritesSkipRetries() {
+  const attributions = Object.fromEntries(Array.from({ length: 500 }, (_, index) => [`label${index}`, 'value']));
+  const oversized = { ...payload, endUser: { id: 'u1', attributions } };
+
+  await withCallWrite({ httpStatusCode: 201, body: { id: 'call-123' } }, async () => {
+    const kv = createMemoryKv();
+    const message = createMessage(oversized, 1);
+
+    await worker.queue({ messages: [message] }, { NOCALL_KV: kv });
+
+    assert.equal(message.acked, true);
+    assert.equal(message.retried, null);
+    const { error } = JSON.parse(deadLetters(kv)[0][1]);
+    assert.equal(error.name, 'ValidationError');
+    assert.match(error.message, /^Call write needs 501 composite nodes/);
+  });
+}
+
+async function testConfigErrorsSkipRetries() {
+  const originalError = console.error;
+  console.error = () => {};
+  const kv = createMemoryKv();
+  const message = createMessage(payload, 1);
+
+  try {
+    await worker.queue({ messages: [message] }, { NOCALL_KV: kv, NOCALL_MATCH_STRATEGY: 'email' });
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.equal(message.acked, true);
+  assert.equal(message.retried, null);
+  const { error } = JSON.parse(deadLetters(kv)[0][1]);
+  assert.equal(error.name, 'ConfigError');
+  assert.match(error.problems[0], /^Unknown NOCALL_MATCH_STRATEGY "email"/);
+}
+
+async function run() {
+  await testQueueModeEnqueuesAndReturns202();
+  await testQueueModeStillValidatesBeforeEnqueueing();
+  await testConsumerAcksSuccessfulWrites();
+  await testConsumerRetriesLockErrorsWithBackoff();
+  await testExhaustedMessagesGoToDeadLetterStore();
+  await testNonRetryableErrorsSkipRetries();
+  await testConfigErrorsSkipRetries();
+  await testOversizedWritesSkipRetries();
+  console.log('All queue tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
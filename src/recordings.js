@@ -0,0 +1,300 @@
+// Downloads a finished call's recording and files it on the NoCall call as a ContentVersion
+import { createSession } from './auth.js';
+import { ConfigError } from './errors.js';
+import { createRecord, findLinkedDocuments, updateRecord } from './salesforce.js';
+import { toBase64 } from './transcript.js';
+import { isEnabled, parseList } from './values.js';
+
+const DEFAULT_URL_PATTERN = '{detailsUrl}';
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+// ContentVersion bodies travel base64-encoded in JSON, which the REST API caps at about 37.5 MB
+const MAX_BYTES_LIMIT = 35 * 1024 * 1024;
+const DEFAULT_CONTENT_TYPES = ['audio/*'];
+const DEFAULT_STATUSES = ['completed', 'ended'];
+const DEFAULT_ERROR_FIELD = 'Recording_Error__c';
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const ERROR_FIELD_LENGTH = 255;
+const TITLE_PREFIX = 'NoCall recording';
+const MAX_REDIRECTS = 3;
+
+const EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/webm': 'webm',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/flac': 'flac',
+  'application/json': 'json',
+  'application/zip': 'zip',
+  'application/pdf': 'pdf',
+  'text/csv': 'csv',
+  'text/plain': 'txt',
+};
+
+// Content types, statuses and host names compare case-insensitively
+function parseLowerCaseList(value, fallback) {
+  return parseList(value, fallback).map((entry) => entry.toLowerCase());
+}
+
+function positiveInteger(value, fallback, name, problems) {
+  if (value === undefined || value === null || value === '') return fallback;
+
+  const numeric = Number(value);
+  if (!Number.isInteger(numeric) || numeric <= 0) {
+    problems.push(`${name} must be a positive whole number`);
+    return fallback;
+  }
+  return numeric;
+}
+
+// Header values come from a Worker secret, e.g. {"Authorization": "Bearer ..."}
+function parseHeaders(value, problems) {
+  if (!value) return {};
+
+  let headers;
+  try {
+    headers = JSON.parse(value);
+  } catch (error) {
+    problems.push(`NOCALL_RECORDING_HEADERS is not JSON: ${error}`);
+    return {};
+  }
+
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+    problems.push('NOCALL_RECORDING_HEADERS must be a JSON object of header names to values');
+    return {};
+  }
+  for (const [name, header] of Object.entries(headers)) {
+    if (typeof header !== 'string') problems.push(`NOCALL_RECORDING_HEADERS: "${name}" must be a string`);
+  }
+  return headers;
+}
+
+function recordingSettings(env) {
+  if (!isEnabled(env.NOCALL_RECORDING_INGEST)) return null;
+
+  const problems = [];
+  const urlPattern = env.NOCALL_RECORDING_URL || DEFAULT_URL_PATTERN;
+  const maxBytes = positiveInteger(
+    env.NOCALL_RECORDING_MAX_BYTES,
+    DEFAULT_MAX_BYTES,
+    'NOCALL_RECORDING_MAX_BYTES',
+    problems
+  );
+  const timeoutMs = positiveInteger(
+    env.NOCALL_RECORDING_TIMEOUT_MS,
+    DEFAULT_TIMEOUT_MS,
+    'NOCALL_RECORDING_TIMEOUT_MS',
+    problems
+  );
+  const contentTypes = parseLowerCaseList(env.NOCALL_RECORDING_CONTENT_TYPES, DEFAULT_CONTENT_TYPES);
+  const statuses = parseLowerCaseList(env.NOCALL_RECORDING_STATUSES, DEFAULT_STATUSES);
+  const headers = parseHeaders(env.NOCALL_RECORDING_HEADERS, problems);
+  const hosts = parseHosts(env.NOCALL_RECORDING_HOSTS, urlPattern, problems);
+
+  if (!/\{(detailsUrl|callId)\}/.test(urlPattern)) {
+    problems.push('NOCALL_RECORDING_URL must contain {detailsUrl} or {callId}');
+  }
+  // The URL comes from the payload, so without a list any host could be sent the download headers
+  if (hosts?.length === 0) {
+    problems.push('NOCALL_RECORDING_HOSTS must list the hosts recordings are downloaded from');
+  }
+  if (maxBytes > MAX_BYTES_LIMIT) {
+    problems.push(`NOCALL_RECORDING_MAX_BYTES may be at most ${MAX_BYTES_LIMIT}`);
+  }
+  if (contentTypes.length === 0) {
+    problems.push('NOCALL_RECORDING_CONTENT_TYPES must list at least one content type');
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError('Invalid recording ingestion configuration', problems);
+  }
+
+  return {
+    urlPattern,
+    hosts,
+    headers,
+    maxBytes,
+    timeoutMs,
+    contentTypes,
+    statuses,
+    errorField: env.NOCALL_RECORDING_ERROR_FIELD ?? DEFAULT_ERROR_FIELD,
+  };
+}
+
+// Hosts that may be downloaded from: NOCALL_RECORDING_HOSTS, or the fixed host of NOCALL_RECORDING_URL.
+// `*.example.com` matches any subdomain of example.com.
+function parseHosts(value, urlPattern, problems) {
+  const hosts = parseLowerCaseList(value, []);
+  if (hosts.length > 0 || /^\{/.test(urlPattern)) return hosts;
+
+  try {
+    return [new URL(urlPattern.replace(/\{(detailsUrl|callId)\}/g, 'x')).hostname];
+  } catch {
+    problems.push('NOCALL_RECORDING_URL must be an https URL or start with {detailsUrl}');
+    return null;
+  }
+}
+
+function isAllowedHost(hostname, hosts) {
+  return hosts.some((host) => (host.startsWith('*.') ? hostname.endsWith(host.slice(1)) : hostname === host));
+}
+
+// The download job for a payload, or null when the call is not finished or has nothing to fetch.
+// The Salesforce call id is added once the call is written.
+function planRecording(settings, payload, callBody) {
+  if (!settings) return null;
+
+  const status = String(callBody.Call_Status__c ?? '').toLowerCase();
+  if (!settings.statuses.includes(status)) return null;
+
+  const detailsUrl = payload.detailsUrl ?? payload.call?.Recording_Url__c ?? callBody.Recording_Url__c;
+  const callRecordId = payload.id ?? callBody.CallRecord_Id__c;
+  const values = {
+    detailsUrl: detailsUrl ? String(detailsUrl) : null,
+    callId: callRecordId === undefined || callRecordId === null ? null : encodeURIComponent(String(callRecordId)),
+  };
+
+  let missing = false;
+  const url = settings.urlPattern.replace(/\{(detailsUrl|callId)\}/g, (_, name) => {
+    if (!values[name]) missing = true;
+    return values[name] ?? '';
+  });
+  if (missing) return null;
+
+  return { url, title: `${TITLE_PREFIX} ${callRecordId ?? 'unknown'}`, settings };
+}
+
+function matchesContentType(contentType, patterns) {
+  return patterns.some((pattern) =>
+    pattern.endsWith('/*') ? contentType.startsWith(pattern.slice(0, -1)) : contentType === pattern
+  );
+}
+
+// Stops reading as soon as the cap is passed, so an oversized body never sits in memory whole
+async function readCapped(response, maxBytes) {
+  const declared = Number(response.headers.get('content-length'));
+  if (Number.isFinite(declared) && declared > maxBytes) {
+    throw new Error(`Recording is ${declared} bytes; the limit is ${maxBytes}`);
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let total = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > maxBytes) {
+      await reader.cancel();
+      throw new Error(`Recording is larger than the limit of ${maxBytes} bytes`);
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return bytes;
+}
+
+function checkSource(url, settings) {
+  if (url.protocol !== 'https:') {
+    throw new Error('Recording URL must use https');
+  }
+  if (!isAllowedHost(url.hostname, settings.hosts)) {
+    throw new Error(`Recording host "${url.hostname}" is not in NOCALL_RECORDING_HOSTS`);
+  }
+}
+
+// Redirects are followed by hand so each hop is checked against the host list.
+// Only the first request carries the configured headers, as with a cross-origin redirect in fetch.
+async function fetchRecording(job) {
+  const { settings } = job;
+  const signal = AbortSignal.timeout(settings.timeoutMs);
+  let url = new URL(job.url);
+  let headers = settings.headers;
+
+  for (let hop = 0; ; hop += 1) {
+    checkSource(url, settings);
+    const response = await fetch(url.href, { headers, signal, redirect: 'manual' });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) return response;
+
+    await response.body?.cancel();
+    if (hop === MAX_REDIRECTS) {
+      throw new Error(`Recording download was redirected more than ${MAX_REDIRECTS} times`);
+    }
+    url = new URL(location, url);
+    headers = {};
+  }
+}
+
+async function downloadRecording(job) {
+  const { settings } = job;
+  const response = await fetchRecording(job);
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw new Error(`Recording download failed with HTTP ${response.status}`);
+  }
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (!matchesContentType(contentType, settings.contentTypes)) {
+    await response.body?.cancel();
+    throw new Error(`Recording has content type "${contentType || 'none'}", which is not accepted`);
+  }
+
+  return { bytes: await readCapped(response, settings.maxBytes), contentType };
+}
+
+// The failure is written to the call so it is visible in Salesforce; that write failing is only logged
+async function recordFailure(session, job, error) {
+  const message = `${new Date().toISOString()} ${error?.message ?? String(error)}`.slice(0, ERROR_FIELD_LENGTH);
+  console.warn('Recording ingestion failed', { callId: job.callId, url: job.url, error: String(error) });
+
+  if (!session || !job.settings.errorField) return;
+  try {
+    await updateRecord(session, 'NoCall_Call__c', job.callId, { [job.settings.errorField]: message });
+  } catch (updateError) {
+    console.error('Failed to record recording ingestion error on the call', {
+      callId: job.callId,
+      error: String(updateError),
+    });
+  }
+}
+
+// Runs after the webhook has been answered, so it never throws: the call record is already saved.
+// A call that already has the recording linked is left alone, so redeliveries do not file it twice.
+async function ingestRecording(env, job) {
+  let session = null;
+  try {
+    session = await createSession(env);
+
+    const existing = await findLinkedDocuments(session, job.callId, [job.title]);
+    if (existing[job.title]) return { skipped: true, contentDocumentId: existing[job.title] };
+
+    const { bytes, contentType } = await downloadRecording(job);
+    const created = await createRecord(session, 'ContentVersion', {
+      Title: job.title,
+      PathOnClient: `${job.title}.${EXTENSIONS[contentType] ?? 'bin'}`,
+      VersionData: toBase64(bytes),
+      FirstPublishLocationId: job.callId,
+    });
+
+    console.info('Recording ingested', { callId: job.callId, contentVersionId: created.id, bytes: bytes.byteLength });
+    return { contentVersionId: created.id };
+  } catch (error) {
+    await recordFailure(session, job, error);
+    return { error: error?.message ?? String(error) };
+  }
+}
+
+export { ingestRecording, planRecording, recordingSettings };
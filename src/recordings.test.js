@@ -0,0 +1,246 @@
+import assert from 'node:assert/strict';
+import { processWebhook } from './index.js';
+import { planRecording, recordingSettings } from './recordings.js';
+import { createMockResponse, respondToGraph, sendWebhook, withSalesforce } from './test-helpers.js';
+
+const AUDIO = new Uint8Array([0x49, 0x44, 0x33, 0x04, 0x00, 0xff]);
+
+const ENV = {
+  NOCALL_RECORDING_INGEST: 'true',
+  NOCALL_RECORDING_URL: 'https://api.nocall.example/calls/{callId}/recording',
+  NOCALL_RECORDING_HEADERS: JSON.stringify({ Authorization: 'Bearer nocall-key' }),
+};
+
+// Salesforce plus the recording host; `state.recording` is what the download returns
+function mockFetch(state) {
+  return async (url, options = {}) => {
+    const target = String(url);
+    const method = options.method || 'GET';
+
+    if (new URL(target).hostname.endsWith('.example')) {
+      state.downloads.push({ url: target, headers: options.headers });
+      return state.recording(target);
+    }
+
+    if (target.includes('/query')) {
+      const soql = new URL(target).searchParams.get('q');
+      if (soql.includes('ContentDocumentLink')) {
+        return createMockResponse({ records: state.linked });
+      }
+      return createMockResponse({ records: [] });
+    }
+
+    if (target.includes('/composite/graph')) {
+      return respondToGraph(options, () => ({ httpStatusCode: 201, body: { id: 'a01CALL' } }));
+    }
+
+    if (target.endsWith('/sobjects/ContentVersion/') && method === 'POST') {
+      state.uploads.push(JSON.parse(options.body));
+      return createMockResponse({ id: '068FILE', success: true }, 201);
+    }
+
+    if (target.endsWith('/sobjects/NoCall_Call__c/a01CALL') && method === 'PATCH') {
+      state.updates.push(JSON.parse(options.body));
+      return createMockResponse(null, 204);
+    }
+
+    throw new Error(`Unexpected fetch call: ${method} ${url}`);
+  };
+}
+
+async function withMocks(fn) {
+  const state = {
+    downloads: [],
+    uploads: [],
+    updates: [],
+    linked: [],
+    recording: () => new Response(AUDIO, { headers: { 'content-type': 'audio/mpeg' } }),
+  };
+  await withSalesforce(mockFetch(state), () => fn(state));
+}
+
+const call = (callStatus = 'completed') => ({
+  id: 'call-1',
+  callStatus,
+  to: '+819012345678',
+  detailsUrl: 'https://console.nocall.example/call-history/1',
+});
+
+function send(env, body, ctx) {
+  return sendWebhook(env, body, { ctx });
+}
+
+async function testSettingsAreValidated() {
+  assert.equal(recordingSettings({}), null);
+  assert.deepEqual(recordingSettings(ENV).contentTypes, ['audio/*']);
+  assert.deepEqual(recordingSettings(ENV).hosts, ['api.nocall.example'], 'The host of a fixed URL is allowed');
+  assert.deepEqual(
+    recordingSettings({
+      NOCALL_RECORDING_INGEST: 'true',
+      NOCALL_RECORDING_HOSTS: 'Console.NoCall.example, *.cdn.example',
+    }).hosts,
+    ['console.nocall.example', '*.cdn.example']
+  );
+  assert.throws(
+    () => recordingSettings({ NOCALL_RECORDING_INGEST: 'true' }),
+    (error) => {
+      assert.deepEqual(error.problems, ['NOCALL_RECORDING_HOSTS must list the hosts recordings are downloaded from']);
+      return true;
+    },
+    'A URL taken from the payload needs a host list'
+  );
+
+  assert.throws(
+    () =>
+      recordingSettings({
+        NOCALL_RECORDING_INGEST: 'true',
+        NOCALL_RECORDING_URL: 'https://static.example/recording.mp3',
+        NOCALL_RECORDING_HEADERS: '["Authorization"]',
+        NOCALL_RECORDING_MAX_BYTES: String(100 * 1024 * 1024),
+        NOCALL_RECORDING_TIMEOUT_MS: '-1',
+      }),
+    (error) => {
+      assert.equal(error.name, 'ConfigError');
+      assert.deepEqual(error.problems, [
+        'NOCALL_RECORDING_TIMEOUT_MS must be a positive whole number',
+        'NOCALL_RECORDING_HEADERS must be a JSON object of header names to values',
+        'NOCALL_RECORDING_URL must contain {detailsUrl} or {callId}',
+        `NOCALL_RECORDING_MAX_BYTES may be at most ${35 * 1024 * 1024}`,
+      ]);
+      return true;
+    }
+  );
+}
+
+async function testOnlyFinishedCallsWithASourceArePlanned() {
+  const settings = recordingSettings({
+    NOCALL_RECORDING_INGEST: 'true',
+    NOCALL_RECORDING_HOSTS: 'console.nocall.example',
+  });
+  const callBody = { CallRecord_Id__c: 'call 1', Call_Status__c: 'Completed' };
+
+  assert.equal(planRecording(null, call(), callBody), null);
+  assert.equal(planRecording(settings, call(), { ...callBody, Call_Status__c: 'in-progress' }), null);
+  assert.equal(planRecording(settings, { id: 'call 1' }, callBody), null, 'No detailsUrl to fetch');
+
+  const planned = planRecording(settings, call(), callBody);
+  assert.equal(planned.url, 'https://console.nocall.example/call-history/1');
+  assert.equal(planned.title, 'NoCall recording call-1');
+
+  const byId = recordingSettings({ ...ENV, NOCALL_RECORDING_STATUSES: 'completed' });
+  assert.equal(
+    planRecording(byId, { id: 'call 1' }, callBody).url,
+    'https://api.nocall.example/calls/call%201/recording'
+  );
+}
+
+async function testRecordingIsFiledAfterTheResponse() {
+  await withMocks(async (state) => {
+    const waited = [];
+    const ctx = { waitUntil: (promise) => waited.push(promise) };
+
+    const response = await send(ENV, call(), ctx);
+    assert.equal(response.status, 201);
+    assert.equal(waited.length, 1, 'The download is handed to waitUntil');
+
+    await Promise.all(waited);
+    assert.deepEqual(state.downloads, [
+      { url: 'https://api.nocall.example/calls/call-1/recording', headers: { Authorization: 'Bearer nocall-key' } },
+    ]);
+    assert.deepEqual(state.uploads, [
+      {
+        Title: 'NoCall recording call-1',
+        PathOnClient: 'NoCall recording call-1.mp3',
+        VersionData: Buffer.from(AUDIO).toString('base64'),
+        FirstPublishLocationId: 'a01CALL',
+      },
+    ]);
+    assert.deepEqual(state.updates, []);
+
+    // A call that is still ringing has no recording yet
+    await send(ENV, { ...call('ringing'), id: 'call-2' }, ctx);
+    assert.equal(waited.length, 1);
+  });
+}
+
+async function testFailuresAreRecordedOnTheCall() {
+  await withMocks(async (state) => {
+    state.recording = () => new Response('<html></html>', { headers: { 'content-type': 'text/html' } });
+    const response = await send(ENV, call());
+    assert.equal(response.status, 201, 'The call write stands');
+    assert.equal(state.uploads.length, 0);
+    assert.equal(state.updates.length, 1);
+    assert.match(state.updates[0].Recording_Error__c, /content type "text\/html", which is not accepted$/);
+
+    state.recording = () => new Response(new Uint8Array(64), { headers: { 'content-type': 'audio/wav' } });
+    await send({ ...ENV, NOCALL_RECORDING_MAX_BYTES: '16' }, { ...call(), id: 'call-2' });
+    assert.match(state.updates[1].Recording_Error__c, /larger than the limit of 16 bytes$/);
+
+    state.recording = () => new Response('missing', { status: 404 });
+    await send({ ...ENV, NOCALL_RECORDING_ERROR_FIELD: 'Ingest_Note__c' }, { ...call(), id: 'call-3' });
+    assert.deepEqual(Object.keys(state.updates[2]), ['Ingest_Note__c']);
+    assert.match(state.updates[2].Ingest_Note__c, /HTTP 404$/);
+    assert.equal(state.uploads.length, 0);
+  });
+}
+
+async function testDownloadsStayOnAllowedHosts() {
+  await withMocks(async (state) => {
+    const env = {
+      ...ENV,
+      NOCALL_RECORDING_URL: '{detailsUrl}',
+      NOCALL_RECORDING_HOSTS: 'console.nocall.example,*.cdn.example',
+    };
+
+    await send(env, { ...call(), detailsUrl: 'https://collector.evil.example/steal' });
+    assert.deepEqual(state.downloads, [], 'Nothing is sent to a host that is not listed');
+    assert.match(state.updates[0].Recording_Error__c, /"collector\.evil\.example" is not in NOCALL_RECORDING_HOSTS/);
+
+    // A listed host may hand off to another listed host, which is not sent the headers
+    state.recording = (url) =>
+      url.includes('console.nocall.example')
+        ? new Response(null, { status: 302, headers: { location: 'https://eu.cdn.example/rec.mp3' } })
+        : new Response(AUDIO, { headers: { 'content-type': 'audio/mpeg' } });
+    await send(env, { ...call(), id: 'call-2' });
+    assert.deepEqual(state.downloads, [
+      { url: 'https://console.nocall.example/call-history/1', headers: { Authorization: 'Bearer nocall-key' } },
+      { url: 'https://eu.cdn.example/rec.mp3', headers: {} },
+    ]);
+    assert.equal(state.uploads.length, 1);
+
+    state.recording = () =>
+      new Response(null, { status: 307, headers: { location: 'https://collector.evil.example/' } });
+    await send(env, { ...call(), id: 'call-3' });
+    assert.equal(state.downloads.length, 3, 'The redirect to an unlisted host is not followed');
+    assert.match(state.updates[1].Recording_Error__c, /host "collector\.evil\.example" is not in/);
+  });
+}
+
+async function testQueuedCallsIngestBeforeAck() {
+  await withMocks(async (state) => {
+    const result = await processWebhook(call(), ENV);
+    assert.equal(result.operation, 'insert');
+    assert.equal(state.uploads.length, 1);
+
+    // Already filed by an earlier delivery
+    state.linked = [{ ContentDocumentId: '069DOC', ContentDocument: { Title: 'NoCall recording call-1' } }];
+    await processWebhook({ ...call(), callStatus: 'ended' }, ENV);
+    assert.equal(state.downloads.length, 1);
+    assert.equal(state.uploads.length, 1);
+  });
+}
+
+async function run() {
+  await testSettingsAreValidated();
+  await testOnlyFinishedCallsWithASourceArePlanned();
+  await testRecordingIsFiledAfterTheResponse();
+  await testFailuresAreRecordedOnTheCall();
+  await testDownloadsStayOnAllowedHosts();
+  await testQueuedCallsIngestBeforeAck();
+  console.log('All recordings tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,249 @@
+// Masks personal data in conversation text, tool calls and attributions before they reach Salesforce
+import { ConfigError } from './errors.js';
+import { isEnabled, parseList } from './values.js';
+
+const DIGIT = '[0-9０-９]';
+// Half- and full-width letters and digits
+const ALNUM = 'A-Za-z0-9Ａ-Ｚａ-ｚ０-９';
+const SEPARATOR = '[ 　\\-‐－−]';
+const BIRTH_KEYWORD = '(?:生年月日|誕生日|生まれ|birth ?date|date of birth|birthday|DOB|born)';
+const DATE =
+  `(?:(?:19|20|１９|２０)${DIGIT}{2}\\s*[年/／.\\-－]\\s*${DIGIT}{1,2}\\s*[月/／.\\-－]\\s*${DIGIT}{1,2}\\s*日?` +
+  `|(?:明治|大正|昭和|平成|令和|[MTSHR])\\s*(?:元|${DIGIT}{1,2})\\s*[年.／/]\\s*${DIGIT}{1,2}\\s*[月.／/]\\s*${DIGIT}{1,2}\\s*日?` +
+  `|${DIGIT}{1,2}/${DIGIT}{1,2}/(?:19|20)${DIGIT}{2})`;
+
+function toAsciiDigits(text) {
+  return text.replace(/[０-９]/g, (digit) => String.fromCharCode(digit.charCodeAt(0) - 0xfee0));
+}
+
+function digitsOf(text) {
+  return toAsciiDigits(text).replace(/\D/g, '');
+}
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Check digit defined for the 12-digit Individual Number (マイナンバー)
+function isMyNumber(digits) {
+  if (!/^\d{12}$/.test(digits)) return false;
+
+  let sum = 0;
+  for (let n = 1; n <= 11; n += 1) {
+    sum += Number(digits[11 - n]) * (n <= 6 ? n + 1 : n - 5);
+  }
+  const remainder = sum % 11;
+  return Number(digits[11]) === (remainder <= 1 ? 0 : 11 - remainder);
+}
+
+// Checksums keep order numbers, phone numbers and other long digit runs from being masked.
+// A leading `+` marks an international phone number rather than an ID.
+const BUILT_IN_DETECTORS = {
+  email: {
+    pattern: new RegExp(
+      `[${ALNUM}._%+\\-．＿－]+[@＠][${ALNUM}\\-－]+(?:[.．][${ALNUM}\\-－]+)*[.．][A-Za-zＡ-Ｚａ-ｚ]{2,}`,
+      'g'
+    ),
+  },
+  card: {
+    pattern: new RegExp(`(?<![0-9０-９+＋])${DIGIT}(?:${SEPARATOR}?${DIGIT}){12,18}(?![0-9０-９])`, 'g'),
+    accept: (match) => passesLuhn(digitsOf(match)),
+  },
+  myNumber: {
+    pattern: new RegExp(
+      `(?<![0-9０-９+＋])${DIGIT}{4}${SEPARATOR}?${DIGIT}{4}${SEPARATOR}?${DIGIT}{4}(?![0-9０-９])`,
+      'g'
+    ),
+    accept: (match) => isMyNumber(digitsOf(match)),
+  },
+  // Dates are only personal next to a birth keyword; appointment dates stay readable
+  birthDate: {
+    pattern: new RegExp(
+      `(?<=${BIRTH_KEYWORD}[^0-9０-９\\n]{0,12})${DATE}|${DATE}(?=\\s*(?:生まれ|産まれ))`,
+      'gi'
+    ),
+  },
+};
+
+const BIRTH_LABEL = new RegExp(BIRTH_KEYWORD, 'i');
+const BARE_DATE = new RegExp(DATE, 'gi');
+
+function parseCustomPatterns(env, problems) {
+  if (!env.NOCALL_REDACT_PATTERNS) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(env.NOCALL_REDACT_PATTERNS);
+  } catch (error) {
+    problems.push(`NOCALL_REDACT_PATTERNS is not JSON: ${error}`);
+    return [];
+  }
+
+  if (!Array.isArray(parsed)) {
+    problems.push('NOCALL_REDACT_PATTERNS must be an array of { category, pattern, flags }');
+    return [];
+  }
+
+  const detectors = [];
+  parsed.forEach((entry, index) => {
+    const where = `NOCALL_REDACT_PATTERNS[${index}]`;
+    if (typeof entry?.category !== 'string' || entry.category.trim() === '') {
+      problems.push(`${where}: "category" must be a non-empty string`);
+      return;
+    }
+
+    let pattern;
+    try {
+      pattern = new RegExp(entry.pattern, `${String(entry.flags || '').replace(/g/g, '')}g`);
+    } catch (error) {
+      problems.push(`${where}: invalid pattern: ${error.message}`);
+      return;
+    }
+
+    if (typeof entry.pattern !== 'string' || new RegExp(pattern.source, pattern.flags).test('')) {
+      problems.push(`${where}: pattern must be a string that cannot match empty text`);
+      return;
+    }
+
+    detectors.push({ category: entry.category, pattern });
+  });
+
+  return detectors;
+}
+
+function redactionSettings(env) {
+  if (!isEnabled(env.NOCALL_REDACT_PII)) return null;
+
+  const names = env.NOCALL_REDACT_DETECTORS
+    ? parseList(env.NOCALL_REDACT_DETECTORS)
+    : Object.keys(BUILT_IN_DETECTORS);
+  const problems = [];
+
+  for (const name of names) {
+    if (!BUILT_IN_DETECTORS[name]) problems.push(`NOCALL_REDACT_DETECTORS: unknown detector "${name}"`);
+  }
+
+  const custom = parseCustomPatterns(env, problems);
+
+  if (problems.length > 0) {
+    throw new ConfigError('Invalid redaction configuration', problems);
+  }
+
+  return {
+    detectors: [
+      ...names.map((name) => ({ category: name, ...BUILT_IN_DETECTORS[name] })),
+      ...custom,
+    ],
+    attributionLabels: new Set(parseList(env.NOCALL_REDACT_ATTRIBUTIONS)),
+  };
+}
+
+// `counts` collects the number of masked values per category across one payload
+function createRedactor(settings) {
+  return { settings, counts: {} };
+}
+
+function mask(redactor, category) {
+  redactor.counts[category] = (redactor.counts[category] || 0) + 1;
+  return `[REDACTED:${category}]`;
+}
+
+function replaceMatches(text, redactor, { category, pattern, accept }) {
+  return text.replace(pattern, (match) => (!accept || accept(match) ? mask(redactor, category) : match));
+}
+
+// `birthContext` is for values whose label already says they are a birth date
+function redactText(text, redactor, { birthContext = false } = {}) {
+  if (typeof text !== 'string' || text === '') return text;
+
+  let result = text;
+  for (const detector of redactor.settings.detectors) {
+    result = replaceMatches(result, redactor, detector);
+    if (detector.category === 'birthDate' && birthContext) {
+      result = replaceMatches(result, redactor, { category: 'birthDate', pattern: BARE_DATE });
+    }
+  }
+  return result;
+}
+
+// Walks tool arguments and results; numbers are checked too since card numbers often arrive unquoted
+function redactValue(value, redactor) {
+  if (typeof value === 'string') return redactText(value, redactor);
+
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    const redacted = redactText(String(value), redactor);
+    return redacted === String(value) ? value : redacted;
+  }
+
+  if (Array.isArray(value)) return value.map((entry) => redactValue(entry, redactor));
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, redactValue(entry, redactor)]));
+  }
+
+  return value;
+}
+
+function redactMessage(entry, redactor) {
+  if (!entry || typeof entry !== 'object') return redactValue(entry, redactor);
+
+  const redacted = { ...entry };
+  if ('content' in entry) redacted.content = redactValue(entry.content, redactor);
+  if ('args' in entry) redacted.args = redactValue(entry.args, redactor);
+  if (Array.isArray(entry.tool_calls)) {
+    redacted.tool_calls = entry.tool_calls.map((toolCall) => {
+      if (!toolCall || typeof toolCall !== 'object') return toolCall;
+      const copy = { ...toolCall };
+      if ('args' in toolCall) copy.args = redactValue(toolCall.args, redactor);
+      if ('arguments' in toolCall) copy.arguments = redactValue(toolCall.arguments, redactor);
+      return copy;
+    });
+  }
+  return redacted;
+}
+
+// Returns a copy of a console payload whose conversation messages are redacted
+function redactConversation(payload, redactor) {
+  const conversation = payload?.conversation;
+  const key = Array.isArray(conversation?.message) ? 'message' : 'messages';
+  if (!Array.isArray(conversation?.[key])) return payload;
+
+  return {
+    ...payload,
+    conversation: { ...conversation, [key]: conversation[key].map((entry) => redactMessage(entry, redactor)) },
+  };
+}
+
+// Only labels listed in NOCALL_REDACT_ATTRIBUTIONS are checked
+function redactAttributions(attributions, redactor) {
+  if (!Array.isArray(attributions) || redactor.settings.attributionLabels.size === 0) return attributions;
+
+  return attributions.map((attribution) => {
+    if (!attribution || !redactor.settings.attributionLabels.has(attribution.label)) return attribution;
+
+    const { value } = attribution;
+    const text = typeof value === 'number' ? String(value) : value;
+    const redacted = redactText(text, redactor, { birthContext: BIRTH_LABEL.test(attribution.label) });
+    return redacted === text ? attribution : { ...attribution, value: redacted };
+  });
+}
+
+export {
+  createRedactor,
+  isMyNumber,
+  passesLuhn,
+  redactAttributions,
+  redactConversation,
+  redactText,
+  redactValue,
+  redactionSettings,
+};
@@ -0,0 +1,168 @@
+import assert from 'node:assert/strict';
+import {
+  createRedactor,
+  isMyNumber,
+  passesLuhn,
+  redactAttributions,
+  redactText,
+  redactValue,
+  redactionSettings,
+} from './redaction.js';
+import { acceptGraph, createMockResponse, sendWebhook, withSalesforce } from './test-helpers.js';
+
+function redactor(env = {}) {
+  return createRedactor(redactionSettings({ NOCALL_REDACT_PII: 'true', ...env }));
+}
+
+async function testChecksums() {
+  assert.equal(passesLuhn('4111111111111111'), true);
+  assert.equal(passesLuhn('4111111111111112'), false);
+  assert.equal(isMyNumber('123456789018'), true);
+  assert.equal(isMyNumber('123456789012'), false);
+}
+
+async function testBuiltInDetectors() {
+  const state = redactor();
+  const text = [
+    'カードは４１１１－１１１１－１１１１－１１１１です',
+    'メールは taro.yamada@example.co.jp か ｔａｒｏ＠example.com',
+    'マイナンバーは 1234 5678 9018',
+    '生年月日は昭和60年4月12日、1990/01/02生まれの家族もいます',
+    '予約は2025年4月1日、電話は+819012345678、注文番号 4111111111111112',
+  ].join('\n');
+
+  assert.equal(
+    redactText(text, state),
+    [
+      'カードは[REDACTED:card]です',
+      'メールは [REDACTED:email] か [REDACTED:email]',
+      'マイナンバーは [REDACTED:myNumber]',
+      '生年月日は[REDACTED:birthDate]、[REDACTED:birthDate]生まれの家族もいます',
+      '予約は2025年4月1日、電話は+819012345678、注文番号 4111111111111112',
+    ].join('\n')
+  );
+  assert.deepEqual(state.counts, { email: 2, card: 1, myNumber: 1, birthDate: 2 });
+}
+
+async function testToolArgumentsAndCustomPatterns() {
+  const state = redactor({
+    NOCALL_REDACT_DETECTORS: 'card',
+    NOCALL_REDACT_PATTERNS: JSON.stringify([{ category: 'memberId', pattern: 'm-\\d{6}', flags: 'i' }]),
+  });
+
+  assert.deepEqual(
+    redactValue({ card: 4111111111111111, member: 'M-123456', note: ['a@b.co', 42] }, state),
+    { card: '[REDACTED:card]', member: '[REDACTED:memberId]', note: ['a@b.co', 42] }
+  );
+  assert.deepEqual(state.counts, { card: 1, memberId: 1 });
+}
+
+async function testOnlyConfiguredAttributionsAreRedacted() {
+  const state = redactor({ NOCALL_REDACT_ATTRIBUTIONS: '生年月日,メモ' });
+
+  assert.deepEqual(
+    redactAttributions(
+      [
+        { label: '生年月日', value: '1985-04-12' },
+        { label: 'メモ', value: '連絡先 hanako@example.com' },
+        { label: '問い合わせ', value: 'hanako@example.com' },
+      ],
+      state
+    ),
+    [
+      { label: '生年月日', value: '[REDACTED:birthDate]' },
+      { label: 'メモ', value: '連絡先 [REDACTED:email]' },
+      { label: '問い合わせ', value: 'hanako@example.com' },
+    ]
+  );
+}
+
+async function testInvalidSettingsAreRejected() {
+  assert.equal(redactionSettings({}), null);
+  assert.throws(
+    () =>
+      redactionSettings({
+        NOCALL_REDACT_PII: 'true',
+        NOCALL_REDACT_DETECTORS: 'card,ssn',
+        NOCALL_REDACT_PATTERNS: JSON.stringify([{ category: 'x', pattern: '(' }, { category: 'y', pattern: 'a*' }]),
+      }),
+    (error) =>
+      error.name === 'ConfigError' &&
+      error.problems.length === 3 &&
+      error.problems[0] === 'NOCALL_REDACT_DETECTORS: unknown detector "ssn"' &&
+      error.problems[1].startsWith('NOCALL_REDACT_PATTERNS[0]: invalid pattern') &&
+      error.problems[2] === 'NOCALL_REDACT_PATTERNS[1]: pattern must be a string that cannot match empty text'
+  );
+}
+
+async function testWebhookStoresOnlyRedactedText() {
+  let graph;
+
+  const handler = async (url, options = {}) => {
+    const target = String(url);
+
+    if (target.includes('/query')) {
+      return createMockResponse({ records: [] });
+    }
+
+    if (target.includes('/composite/graph')) {
+      [graph] = JSON.parse(options.body).graphs;
+      return acceptGraph(options);
+    }
+
+    throw new Error(`Unexpected fetch call: ${url}`);
+  };
+
+  const payload = {
+    id: 'call-1',
+    callStatus: 'completed',
+    to: '+819012345678',
+    endUser: { attributions: { メールアドレス: 'hanako@example.com', 姓: '山田' } },
+    conversation: {
+      message: [
+        { role: 'user', content: '誕生日は1985年4月12日です' },
+        { role: 'assistant_tool_call', tool_calls: [{ id: 't1', name: 'pay', args: { card: '4111 1111 1111 1111' } }] },
+        { role: 'tool', tool_call_id: 't1', content: { receiptEmail: 'hanako@example.com' } },
+      ],
+    },
+  };
+
+  await withSalesforce(handler, async () => {
+    const { status, body } = await sendWebhook(
+      {
+        NOCALL_REDACT_PII: 'true',
+        NOCALL_REDACT_ATTRIBUTIONS: 'メールアドレス',
+        NOCALL_STRUCTURED_MESSAGES: 'true',
+      },
+      payload
+    );
+
+    assert.equal(status, 201);
+    assert.deepEqual(body.redactions, { birthDate: 1, card: 1, email: 2 });
+
+    const stored = JSON.stringify(graph.compositeRequest);
+    assert.ok(!stored.includes('hanako@example.com'), 'Email should not reach Salesforce');
+    assert.ok(!stored.includes('4111 1111'), 'Card number should not reach Salesforce');
+    assert.ok(!stored.includes('1985年4月12日'), 'Birth date should not reach Salesforce');
+
+    const call = graph.compositeRequest.find((node) => node.referenceId === 'call').body;
+    assert.match(call.Conversation__c, /user: 誕生日は\[REDACTED:birthDate\]です/);
+    assert.ok(stored.includes('"Value__c":"[REDACTED:email]"'));
+    assert.ok(stored.includes('"Value__c":"山田"'));
+  });
+}
+
+async function run() {
+  await testChecksums();
+  await testBuiltInDetectors();
+  await testToolArgumentsAndCustomPatterns();
+  await testOnlyConfiguredAttributionsAreRedacted();
+  await testInvalidSettingsAreRejected();
+  await testWebhookStoresOnlyRedactedText();
+  console.log('All redaction tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,410 @@
+// Follow-up rules evaluated after each call write: conditions on the outcome, Salesforce and webhook actions
+import { ConfigError } from './errors.js';
+import { compositeGraph, subrequestUrl } from './salesforce.js';
+import { isPlainObject } from './values.js';
+
+const RULES_KV_KEY = 'config:rules';
+const FIRED_PREFIX = 'rule-fired:';
+const CONFIG_CACHE_MS = 60 * 1000;
+const FIRED_TTL_SEC = 30 * 24 * 60 * 60;
+
+const CONDITIONS = new Set(['status', 'goalStatus', 'duration', 'attributions']);
+const OPERATORS = new Set(['eq', 'not', 'in', 'notIn', 'gt', 'gte', 'lt', 'lte', 'exists']);
+const ACTIONS = new Set(['task', 'assign', 'setField', 'webhook']);
+
+function validateMatcher(matcher, where, problems) {
+  if (!isPlainObject(matcher)) return;
+
+  for (const [operator, operand] of Object.entries(matcher)) {
+    if (!OPERATORS.has(operator)) {
+      problems.push(`${where}: unknown operator "${operator}"`);
+    } else if (['in', 'notIn'].includes(operator) && !Array.isArray(operand)) {
+      problems.push(`${where}.${operator} must be an array`);
+    } else if (['gt', 'gte', 'lt', 'lte'].includes(operator) && typeof operand !== 'number') {
+      problems.push(`${where}.${operator} must be a number`);
+    }
+  }
+}
+
+function validateAction(action, where, problems) {
+  if (!isPlainObject(action) || !ACTIONS.has(action.type)) {
+    problems.push(`${where}: "type" must be one of ${[...ACTIONS].join(', ')}`);
+    return;
+  }
+
+  if (action.type === 'task' && typeof action.subject !== 'string') {
+    problems.push(`${where}: task needs a "subject"`);
+  }
+  if (action.type === 'task' && action.dueInDays !== undefined && !Number.isInteger(action.dueInDays)) {
+    problems.push(`${where}: "dueInDays" must be a whole number`);
+  }
+  if (action.type === 'assign' && typeof action.ownerId !== 'string') {
+    problems.push(`${where}: assign needs an "ownerId" (user or queue id)`);
+  }
+  if (action.type === 'setField' && (typeof action.field !== 'string' || !('value' in action))) {
+    problems.push(`${where}: setField needs a "field" and a "value"`);
+  }
+  if (action.type === 'webhook' && typeof action.url !== 'string' && typeof action.urlEnv !== 'string') {
+    problems.push(`${where}: webhook needs a "url" or the name of an env var in "urlEnv"`);
+  }
+}
+
+function validateRules(config) {
+  if (!isPlainObject(config) || !Array.isArray(config.rules)) {
+    throw new ConfigError('Invalid rules configuration', ['"rules" must be an array of rules']);
+  }
+
+  const problems = [];
+  const names = new Set();
+
+  config.rules.forEach((rule, index) => {
+    const where = `rules[${index}]`;
+
+    if (!isPlainObject(rule)) {
+      problems.push(`${where}: must be an object`);
+      return;
+    }
+
+    if (typeof rule.name !== 'string' || !rule.name) {
+      problems.push(`${where}: "name" is required`);
+    } else if (names.has(rule.name)) {
+      problems.push(`${where}: duplicate name "${rule.name}"`);
+    }
+    names.add(rule.name);
+
+    if (rule.when !== undefined && !isPlainObject(rule.when)) {
+      problems.push(`${where}.when: must be an object`);
+    }
+
+    for (const [condition, matcher] of Object.entries(rule.when || {})) {
+      if (!CONDITIONS.has(condition)) {
+        problems.push(`${where}.when: unknown condition "${condition}"`);
+      } else if (condition === 'attributions') {
+        if (!isPlainObject(matcher)) problems.push(`${where}.when.attributions: must map labels to matchers`);
+        for (const [label, labelMatcher] of Object.entries(isPlainObject(matcher) ? matcher : {})) {
+          validateMatcher(labelMatcher, `${where}.when.attributions.${label}`, problems);
+        }
+      } else {
+        validateMatcher(matcher, `${where}.when.${condition}`, problems);
+      }
+    }
+
+    if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+      problems.push(`${where}: "actions" must be a non-empty array`);
+    } else {
+      rule.actions.forEach((action, position) =>
+        validateAction(action, `${where}.actions[${position}]`, problems)
+      );
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError('Invalid rules configuration', problems);
+  }
+
+  return config.rules;
+}
+
+let cachedKvRules = null;
+
+async function loadRules(env) {
+  if (env.NOCALL_RULES) {
+    let parsed;
+    try {
+      parsed = JSON.parse(env.NOCALL_RULES);
+    } catch (error) {
+      throw new ConfigError('Invalid rules configuration', [`NOCALL_RULES is not JSON: ${error}`]);
+    }
+    return validateRules(parsed);
+  }
+
+  if (!env.NOCALL_KV) return [];
+
+  if (cachedKvRules && cachedKvRules.expiresAt > Date.now()) return cachedKvRules.rules;
+
+  let stored;
+  try {
+    stored = await env.NOCALL_KV.get(RULES_KV_KEY, 'json');
+  } catch (error) {
+    throw new ConfigError('Invalid rules configuration', [`${RULES_KV_KEY} is not JSON: ${error}`]);
+  }
+  const rules = stored ? validateRules(stored) : [];
+  cachedKvRules = { rules, expiresAt: Date.now() + CONFIG_CACHE_MS };
+
+  return rules;
+}
+
+// A bare value means equality and an array means "one of"; objects combine operators
+function matches(value, matcher) {
+  if (Array.isArray(matcher)) return matcher.includes(value);
+  if (!isPlainObject(matcher)) return value === matcher;
+
+  return Object.entries(matcher).every(([operator, operand]) => {
+    switch (operator) {
+      case 'eq':
+        return value === operand;
+      case 'not':
+        return value !== operand;
+      case 'in':
+        return operand.includes(value);
+      case 'notIn':
+        return !operand.includes(value);
+      case 'gt':
+        return typeof value === 'number' && value > operand;
+      case 'gte':
+        return typeof value === 'number' && value >= operand;
+      case 'lt':
+        return typeof value === 'number' && value < operand;
+      case 'lte':
+        return typeof value === 'number' && value <= operand;
+      case 'exists':
+        return (value !== undefined && value !== null && value !== '') === operand;
+      default:
+        return false;
+    }
+  });
+}
+
+function callFacts(callBody, attributions = []) {
+  const duration = Number(callBody.Duration_Sec__c);
+
+  return {
+    status: callBody.Call_Status__c ?? null,
+    goalStatus: callBody.Goal_Status__c ?? null,
+    duration:
+      callBody.Duration_Sec__c === undefined || callBody.Duration_Sec__c === null || Number.isNaN(duration)
+        ? null
+        : duration,
+    attributions: Object.fromEntries(
+      attributions.filter((item) => item?.label).map((item) => [item.label, item.value])
+    ),
+  };
+}
+
+// Returns the conditions that did not hold; an empty list means the rule matched
+function failedConditions(rule, facts) {
+  const failed = [];
+
+  for (const [condition, matcher] of Object.entries(rule.when || {})) {
+    if (condition === 'attributions') {
+      for (const [label, labelMatcher] of Object.entries(matcher)) {
+        if (!matches(facts.attributions[label] ?? null, labelMatcher)) failed.push(`attributions.${label}`);
+      }
+    } else if (!matches(facts[condition], matcher)) {
+      failed.push(condition);
+    }
+  }
+
+  return failed;
+}
+
+function dueDate(days, now = Date.now()) {
+  return new Date(now + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function salesforceNodes(rule, callId, linkedRecord) {
+  const fields = {};
+  const nodes = [];
+
+  rule.actions.forEach((action, index) => {
+    if (action.type === 'assign') fields.OwnerId = action.ownerId;
+    if (action.type === 'setField') fields[action.field] = action.value;
+
+    if (action.type === 'task') {
+      const whoId = ['Contact', 'Lead'].includes(linkedRecord?.type) ? linkedRecord.id : undefined;
+      nodes.push({
+        method: 'POST',
+        url: subrequestUrl('/sobjects/Task/'),
+        referenceId: `task${index}`,
+        body: Object.fromEntries(
+          Object.entries({
+            Subject: action.subject,
+            Status: action.status || 'Not Started',
+            Priority: action.priority,
+            ActivityDate: dueDate(action.dueInDays ?? 0),
+            Description: action.description,
+            OwnerId: action.ownerId,
+            WhatId: callId,
+            WhoId: whoId,
+          }).filter(([, value]) => value !== undefined)
+        ),
+      });
+    }
+  });
+
+  if (Object.keys(fields).length > 0) {
+    nodes.unshift({
+      method: 'PATCH',
+      url: subrequestUrl(`/sobjects/NoCall_Call__c/${callId}`),
+      referenceId: 'callUpdate',
+      body: fields,
+    });
+  }
+
+  return nodes;
+}
+
+function webhookBody(rule, context) {
+  const { callId, callBody, instanceUrl } = context;
+  const facts = callFacts(callBody, context.attributions);
+  const link = instanceUrl && callId ? `${instanceUrl}/${callId}` : null;
+
+  const summary =
+    `${rule.name}: call ${callBody.CallRecord_Id__c ?? callId} ` +
+    `(${facts.status ?? 'unknown'}, goal ${facts.goalStatus ?? 'unknown'})`;
+
+  return {
+    // `text` lets the body go straight to a Slack incoming webhook
+    text: link ? `${summary} ${link}` : summary,
+    rule: rule.name,
+    callId,
+    callRecordId: callBody.CallRecord_Id__c ?? null,
+    status: facts.status,
+    goalStatus: facts.goalStatus,
+    duration: facts.duration,
+    link,
+  };
+}
+
+async function postWebhook(action, body, env) {
+  const url = action.url || env[action.urlEnv];
+  if (!url) throw new Error(`Webhook URL env var ${action.urlEnv} is not set`);
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...action.headers },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) throw new Error(`Webhook responded ${response.status}`);
+}
+
+// A rule runs in steps that succeed or fail on their own: `salesforce`, the graph holding every
+// Salesforce action, and `webhook<index>` for each webhook action
+function ruleSteps(rule) {
+  const steps = rule.actions.some((action) => action.type !== 'webhook') ? ['salesforce'] : [];
+  rule.actions.forEach((action, index) => {
+    if (action.type === 'webhook') steps.push(`webhook${index}`);
+  });
+  return steps;
+}
+
+// Steps listed in `done` already succeeded for this call and are reported as skipped, not run again
+async function runActions(session, rule, ruleIndex, context, done) {
+  const results = [];
+  const completed = [];
+  const nodes = salesforceNodes(rule, context.callId, context.linkedRecord);
+  const salesforceActions = rule.actions.filter((entry) => entry.type !== 'webhook');
+
+  if (nodes.length > 0 && done.has('salesforce')) {
+    for (const action of salesforceActions) results.push({ type: action.type, ok: true, skipped: 'already_done' });
+  } else if (nodes.length > 0) {
+    try {
+      const graph = await compositeGraph(session, `rule${ruleIndex}`, nodes);
+      rule.actions.forEach((action, index) => {
+        if (action.type === 'task') {
+          results.push({ type: 'task', ok: true, id: graph[`task${index}`]?.body?.id });
+        } else if (action.type !== 'webhook') {
+          results.push({ type: action.type, ok: true });
+        }
+      });
+      completed.push('salesforce');
+    } catch (error) {
+      for (const action of salesforceActions) {
+        results.push({ type: action.type, ok: false, error: error.message });
+      }
+    }
+  }
+
+  for (const [index, action] of rule.actions.entries()) {
+    if (action.type !== 'webhook') continue;
+
+    const step = `webhook${index}`;
+    if (done.has(step)) {
+      results.push({ type: 'webhook', ok: true, skipped: 'already_done' });
+      continue;
+    }
+
+    try {
+      await postWebhook(action, webhookBody(rule, { ...context, instanceUrl: session.instanceUrl }), context.env);
+      results.push({ type: 'webhook', ok: true });
+      completed.push(step);
+    } catch (error) {
+      results.push({ type: 'webhook', ok: false, error: error.message });
+    }
+  }
+
+  return { results, completed };
+}
+
+// The steps already done for a rule and call. A record written before steps were tracked holds only
+// a timestamp and means the whole rule ran.
+async function firedSteps(env, key, steps) {
+  if (!env.NOCALL_KV) return new Set();
+
+  let value;
+  try {
+    value = await env.NOCALL_KV.get(key);
+  } catch (error) {
+    console.warn('Failed to read rule record', { key, error: String(error) });
+    return new Set();
+  }
+  if (!value) return new Set();
+
+  try {
+    const record = JSON.parse(value);
+    if (Array.isArray(record?.steps)) return new Set(record.steps);
+  } catch {
+    // A bare timestamp
+  }
+  return new Set(steps);
+}
+
+async function markFired(env, key, steps) {
+  if (!env.NOCALL_KV) return;
+
+  try {
+    const record = { firedAt: new Date().toISOString(), steps };
+    await env.NOCALL_KV.put(key, JSON.stringify(record), { expirationTtl: FIRED_TTL_SEC });
+  } catch (error) {
+    console.warn('Failed to store rule record', { key, error: String(error) });
+  }
+}
+
+// Rules fire at most once per NoCall call when KV is bound, so redeliveries do not repeat follow-ups.
+// The record is keyed by CallRecord_Id__c, not the Salesforce record, which the `phone` strategy
+// reuses for every call to a number. Each step is remembered once it succeeds, so a redelivery
+// retries only what failed. Action failures are reported, never thrown: the call itself is already saved.
+async function evaluateRules(session, rules, context) {
+  const facts = callFacts(context.callBody, context.attributions);
+  const callKey = context.callBody.CallRecord_Id__c ?? context.callId;
+  const evaluations = [];
+
+  for (const [index, rule] of rules.entries()) {
+    const failed = failedConditions(rule, facts);
+    const evaluation = { rule: rule.name, matched: failed.length === 0 };
+
+    if (!evaluation.matched) {
+      evaluation.failedConditions = failed;
+    } else {
+      const firedKey = `${FIRED_PREFIX}${callKey}:${rule.name}`;
+      const steps = ruleSteps(rule);
+      const done = await firedSteps(context.env, firedKey, steps);
+
+      if (steps.every((step) => done.has(step))) {
+        evaluation.skipped = 'already_fired';
+      } else {
+        const { results, completed } = await runActions(session, rule, index, context, done);
+        evaluation.actions = results;
+        if (completed.length > 0) await markFired(context.env, firedKey, [...done, ...completed]);
+      }
+    }
+
+    console.info('Rule evaluated', { callId: context.callId, ...evaluation });
+    evaluations.push(evaluation);
+  }
+
+  return evaluations;
+}
+
+export { RULES_KV_KEY, callFacts, evaluateRules, failedConditions, loadRules, matches, validateRules };
@@ -0,0 +1,250 @@
+import assert from 'node:assert/strict';
+import { callFacts, failedConditions, matches, validateRules } from './rules.js';
+import {
+  acceptGraph,
+  createMemoryKv,
+  createMockResponse,
+  respondToGraph,
+  sendWebhook,
+  withSalesforce,
+} from './test-helpers.js';
+
+const rules = {
+  rules: [
+    {
+      name: 'no-answer follow-up',
+      when: { status: ['no-answer', 'busy'] },
+      actions: [
+        { type: 'task', subject: 'Call back', dueInDays: 1, priority: 'High' },
+        { type: 'assign', ownerId: '00G000000000001' },
+        { type: 'setField', field: 'Needs_Follow_Up__c', value: true },
+        { type: 'webhook', urlEnv: 'SLACK_WEBHOOK_URL' },
+      ],
+    },
+    {
+      name: 'premium missed goal',
+      when: { goalStatus: { not: 'achieved' }, duration: { gte: 60 }, attributions: { プラン: 'premium' } },
+      actions: [{ type: 'setField', field: 'Priority__c', value: 'High' }],
+    },
+  ],
+};
+
+async function testMatchersAndConditions() {
+  assert.equal(matches('busy', ['no-answer', 'busy']), true);
+  assert.equal(matches('achieved', { not: 'achieved' }), false);
+  assert.equal(matches(45, { gte: 30, lt: 60 }), true);
+  assert.equal(matches(null, { gt: 0 }), false);
+  assert.equal(matches(null, { exists: false }), true);
+
+  const facts = callFacts(
+    { Call_Status__c: 'completed', Goal_Status__c: 'failed', Duration_Sec__c: '30' },
+    [{ label: 'プラン', value: 'premium' }]
+  );
+  assert.deepEqual(facts, {
+    status: 'completed',
+    goalStatus: 'failed',
+    duration: 30,
+    attributions: { プラン: 'premium' },
+  });
+  assert.deepEqual(failedConditions(rules.rules[0], facts), ['status']);
+  assert.deepEqual(failedConditions(rules.rules[1], facts), ['duration']);
+}
+
+async function testInvalidRulesAreRejected() {
+  assert.throws(
+    () =>
+      validateRules({
+        rules: [
+          { name: 'a', when: { state: 'x', duration: { over: 3 } }, actions: [{ type: 'task' }] },
+          { name: 'a', actions: [] },
+        ],
+      }),
+    (error) =>
+      error.name === 'ConfigError' &&
+      error.problems.join('\n') ===
+        [
+          'rules[0].when: unknown condition "state"',
+          'rules[0].when.duration: unknown operator "over"',
+          'rules[0].actions[0]: task needs a "subject"',
+          'rules[1]: duplicate name "a"',
+          'rules[1]: "actions" must be a non-empty array',
+        ].join('\n')
+  );
+}
+
+function mockSalesforce({ graphStatus = 200 } = {}) {
+  const requests = { graphs: [], webhooks: [] };
+
+  const fetch = async (url, options = {}) => {
+    const target = String(url);
+
+    if (target.startsWith('https://hooks.example.com')) {
+      requests.webhooks.push(JSON.parse(options.body));
+      return createMockResponse({}, 200);
+    }
+
+    if (target.includes('/query')) {
+      return createMockResponse({ records: [] });
+    }
+
+    if (target.includes('/composite/graph')) {
+      const [{ graphId, compositeRequest }] = JSON.parse(options.body).graphs;
+      requests.graphs.push({ graphId, nodes: compositeRequest });
+      const failing = graphId.startsWith('rule') && graphStatus >= 400;
+      if (!failing) return acceptGraph(options);
+
+      const body = [{ errorCode: 'INVALID_CROSS_REFERENCE_KEY', message: 'bad owner' }];
+      return respondToGraph(options, () => ({ httpStatusCode: graphStatus, body }));
+    }
+
+    throw new Error(`Unexpected fetch call: ${url}`);
+  };
+
+  return { fetch, requests };
+}
+
+async function testMatchingRuleRunsItsActionsOnce() {
+  const salesforce = mockSalesforce();
+  const logged = [];
+  const env = {
+    NOCALL_RULES: JSON.stringify(rules),
+    SLACK_WEBHOOK_URL: 'https://hooks.example.com/services/T0/B0/x',
+    NOCALL_KV: createMemoryKv(),
+  };
+  const payload = { id: 'call-1', callStatus: 'no-answer', to: '+819012345678' };
+
+  await withSalesforce(salesforce.fetch, async () => {
+    console.info = (message, details) => logged.push([message, details]);
+    const { status, body } = await sendWebhook(env, payload);
+
+    assert.equal(status, 201);
+    assert.deepEqual(body.rules, [
+      {
+        rule: 'no-answer follow-up',
+        matched: true,
+        actions: [
+          { type: 'task', ok: true, id: 'id-task0' },
+          { type: 'assign', ok: true },
+          { type: 'setField', ok: true },
+          { type: 'webhook', ok: true },
+        ],
+      },
+      { rule: 'premium missed goal', matched: false, failedConditions: ['duration', 'attributions.プラン'] },
+    ]);
+
+    const { nodes } = salesforce.requests.graphs.find((graph) => graph.graphId === 'rule0');
+    assert.deepEqual(nodes[0].body, { OwnerId: '00G000000000001', Needs_Follow_Up__c: true });
+    assert.match(nodes[0].url, /NoCall_Call__c\/id-call$/);
+    assert.equal(nodes[1].body.Subject, 'Call back');
+    assert.equal(nodes[1].body.WhatId, 'id-call');
+    assert.equal(nodes[1].body.ActivityDate, new Date(Date.now() + 86400000).toISOString().slice(0, 10));
+
+    assert.equal(salesforce.requests.webhooks.length, 1);
+    assert.equal(
+      salesforce.requests.webhooks[0].text,
+      'no-answer follow-up: call call-1 (no-answer, goal unknown) https://x/id-call'
+    );
+    assert.equal(logged.filter(([message]) => message === 'Rule evaluated').length, 2);
+
+    const again = await sendWebhook(env, payload);
+    assert.deepEqual(again.body.rules[0], {
+      rule: 'no-answer follow-up',
+      matched: true,
+      skipped: 'already_fired',
+    });
+    assert.equal(salesforce.requests.webhooks.length, 1);
+  });
+}
+
+async function testRulesFireForEachCallToTheSameNumber() {
+  const salesforce = mockSalesforce();
+  const env = {
+    NOCALL_RULES: JSON.stringify(rules),
+    SLACK_WEBHOOK_URL: 'https://hooks.example.com/services/T0/B0/x',
+    NOCALL_KV: createMemoryKv(),
+  };
+
+  await withSalesforce(salesforce.fetch, async () => {
+    await sendWebhook(env, { id: 'call-a', callStatus: 'no-answer', to: '+819012345678' });
+    const { body } = await sendWebhook(env, { id: 'call-b', callStatus: 'busy', to: '+819012345678' });
+
+    assert.equal(body.callId, 'id-call');
+    assert.equal(body.rules[0].skipped, undefined);
+    assert.equal(salesforce.requests.graphs.filter((graph) => graph.graphId === 'rule0').length, 2);
+    assert.equal(salesforce.requests.webhooks.length, 2);
+    assert.deepEqual([...env.NOCALL_KV.store.keys()].filter((key) => key.startsWith('rule-fired:')).sort(), [
+      'rule-fired:call-a:no-answer follow-up',
+      'rule-fired:call-b:no-answer follow-up',
+    ]);
+  });
+}
+
+async function testRedeliveryRetriesOnlyTheFailedActions() {
+  const salesforce = mockSalesforce();
+  const env = { NOCALL_RULES: JSON.stringify(rules), NOCALL_KV: createMemoryKv() };
+  const payload = { id: 'call-3', callStatus: 'no-answer', to: '+819012345678' };
+
+  await withSalesforce(salesforce.fetch, async () => {
+    const first = await sendWebhook(env, payload);
+    assert.deepEqual(
+      first.body.rules[0].actions.map((action) => [action.type, action.ok]),
+      [
+        ['task', true],
+        ['assign', true],
+        ['setField', true],
+        ['webhook', false],
+      ]
+    );
+
+    env.SLACK_WEBHOOK_URL = 'https://hooks.example.com/services/T0/B0/x';
+    const second = await sendWebhook(env, payload);
+    assert.deepEqual(second.body.rules[0].actions, [
+      { type: 'task', ok: true, skipped: 'already_done' },
+      { type: 'assign', ok: true, skipped: 'already_done' },
+      { type: 'setField', ok: true, skipped: 'already_done' },
+      { type: 'webhook', ok: true },
+    ]);
+    assert.equal(salesforce.requests.graphs.filter((graph) => graph.graphId === 'rule0').length, 1);
+    assert.equal(salesforce.requests.webhooks.length, 1);
+
+    const third = await sendWebhook(env, payload);
+    assert.equal(third.body.rules[0].skipped, 'already_fired');
+  });
+}
+
+async function testFailedActionsAreReportedWithoutFailingTheWebhook() {
+  await withSalesforce(mockSalesforce({ graphStatus: 400 }).fetch, async () => {
+    const { status, body } = await sendWebhook(
+      { NOCALL_RULES: JSON.stringify(rules) },
+      { id: 'call-2', callStatus: 'busy', to: '+819012345678' }
+    );
+
+    assert.equal(status, 201);
+    assert.deepEqual(
+      body.rules[0].actions.map((action) => [action.type, action.ok]),
+      [
+        ['task', false],
+        ['assign', false],
+        ['setField', false],
+        ['webhook', false],
+      ]
+    );
+    assert.match(body.rules[0].actions[0].error, /rule0|callUpdate/);
+    assert.equal(body.rules[0].actions[3].error, 'Webhook URL env var SLACK_WEBHOOK_URL is not set');
+  });
+}
+
+async function run() {
+  await testMatchersAndConditions();
+  await testInvalidRulesAreRejected();
+  await testMatchingRuleRunsItsActionsOnce();
+  await testRulesFireForEachCallToTheSameNumber();
+  await testRedeliveryRetriesOnlyTheFailedActions();
+  await testFailedActionsAreReportedWithoutFailingTheWebhook();
+  console.log('All rules tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,590 @@
+// Thin Salesforce REST client shared by the webhook handlers
+const API_VERSION = 'v58.0';
+const VERSIONED_PREFIX = /^\/services\/data\/v\d+\.\d+/;
+// Error codes Salesforce returns for conditions that usually clear up on their own
+const RETRYABLE_ERROR_CODES = new Set(['UNABLE_TO_LOCK_ROW', 'REQUEST_LIMIT_EXCEEDED', 'SERVER_UNAVAILABLE']);
+
+class SalesforceError extends Error {
+  constructor(message, status, body) {
+    super(message);
+    this.name = 'SalesforceError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+async function safeJson(response) {
+  try {
+    return await response.json();
+  } catch (error) {
+    return { message: 'Failed to parse JSON', error: String(error) };
+  }
+}
+
+function errorCodes(body) {
+  const errors = Array.isArray(body) ? body : [body];
+  return errors.map((entry) => entry?.errorCode).filter(Boolean);
+}
+
+function isInvalidSession(status, body) {
+  return status === 401 && errorCodes(body).includes('INVALID_SESSION_ID');
+}
+
+function isRetryableError(error) {
+  if (!(error instanceof SalesforceError)) return false;
+
+  const status = Number(error.status);
+  if (status === 429 || status >= 500) return true;
+
+  return errorCodes(error.body).some((code) => RETRYABLE_ERROR_CODES.has(code));
+}
+
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 250;
+const DEFAULT_RETRY_MAX_DELAY_MS = 5000;
+const DEFAULT_API_USAGE_THRESHOLD_PCT = 95;
+// Statuses that mean the request was turned away, so even a write is safe to send again.
+// A 502 or 504 may come after a write has landed, so like any other 5xx it is retried only for reads.
+const RETRYABLE_STATUSES = new Set([429, 503]);
+// A remembered usage figure stops blocking requests after this long, so one request can refresh it
+const API_USAGE_TTL_MS = 5 * 60 * 1000;
+
+// Latest Sforce-Limit-Info reading per org, shared by every session in the isolate
+const apiUsageByInstance = new Map();
+
+function nonNegativeNumber(value, fallback) {
+  const numeric = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(numeric) && numeric >= 0 ? numeric : fallback;
+}
+
+function requestSettings(env = {}) {
+  return {
+    maxRetries: Math.floor(nonNegativeNumber(env.NOCALL_SF_MAX_RETRIES, DEFAULT_MAX_RETRIES)),
+    baseDelayMs: nonNegativeNumber(env.NOCALL_SF_RETRY_BASE_MS, DEFAULT_RETRY_BASE_MS),
+    maxDelayMs: nonNegativeNumber(env.NOCALL_SF_RETRY_MAX_DELAY_MS, DEFAULT_RETRY_MAX_DELAY_MS),
+    usageThresholdPct: nonNegativeNumber(env.NOCALL_SF_API_USAGE_THRESHOLD_PCT, DEFAULT_API_USAGE_THRESHOLD_PCT),
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Half the exponential delay plus jitter, like the queue's retries
+function backoffMs(attempt, settings) {
+  const delay = Math.min(settings.baseDelayMs * 2 ** attempt, settings.maxDelayMs);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(response) {
+  const header = response.headers?.get?.('Retry-After');
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// null means do not retry here: a Retry-After longer than the allowed wait is left to the caller,
+// such as the queue's own retry
+function retryDelayMs(response, attempt, settings) {
+  const retryAfter = retryAfterMs(response);
+  if (retryAfter === null) return backoffMs(attempt, settings);
+  return retryAfter <= settings.maxDelayMs ? retryAfter : null;
+}
+
+function isRetryableResponse(method, status, body) {
+  if (RETRYABLE_STATUSES.has(status)) return true;
+  if (status >= 500 && method === 'GET') return true;
+  return errorCodes(body).some((code) => RETRYABLE_ERROR_CODES.has(code));
+}
+
+// `Sforce-Limit-Info: api-usage=18/15000` counts calls in the org's rolling 24-hour window
+function parseLimitInfo(header) {
+  // per-app-api-usage may come first and must not be mistaken for the org total
+  const match = /(?:^|[\s,])api-usage=(\d+)\/(\d+)/.exec(header || '');
+  if (!match) return null;
+
+  const used = Number(match[1]);
+  const limit = Number(match[2]);
+  return { used, limit, remaining: Math.max(0, limit - used) };
+}
+
+function recordApiUsage(session, response) {
+  const usage = parseLimitInfo(response.headers?.get?.('Sforce-Limit-Info'));
+  if (!usage) return;
+
+  session.apiUsage = usage;
+  apiUsageByInstance.set(session.instanceUrl, { usage, seenAt: Date.now() });
+}
+
+function knownApiUsage(instanceUrl, now = Date.now()) {
+  const entry = apiUsageByInstance.get(instanceUrl);
+  return entry && now - entry.seenAt < API_USAGE_TTL_MS ? entry.usage : null;
+}
+
+// Sheds new work with a 503 once the org's daily usage is past the threshold, rather than
+// spending the calls other integrations still need. A threshold of 0 turns this off.
+function assertApiCapacity(session, settings = requestSettings()) {
+  const usage = knownApiUsage(session.instanceUrl);
+  if (!usage || !settings.usageThresholdPct || usage.limit === 0) return;
+
+  const usedPct = (usage.used / usage.limit) * 100;
+  if (usedPct < settings.usageThresholdPct) return;
+
+  console.warn('Salesforce API usage above threshold, shedding load', {
+    ...usage,
+    thresholdPct: settings.usageThresholdPct,
+  });
+  throw new SalesforceError('Salesforce daily API usage is above the configured threshold (503)', 503, {
+    errorCode: 'API_USAGE_THRESHOLD',
+    message: `${usage.used} of ${usage.limit} daily API calls used; limit is ${settings.usageThresholdPct}%`,
+    apiUsage: usage,
+  });
+}
+
+function clearApiUsage() {
+  apiUsageByInstance.clear();
+}
+
+// Sends a request against the versioned REST API. A session rejected with
+// INVALID_SESSION_ID is refreshed once and the request replayed. Transient failures
+// (lock contention, rate limits, unavailable servers) are retried with jittered backoff,
+// honoring Retry-After, up to `session.settings.maxRetries` times.
+async function salesforceRequest(session, path, init, failureMessage) {
+  const settings = session.settings || requestSettings();
+  const method = (init?.method || 'GET').toUpperCase();
+  const apiVersion = session.apiVersion || API_VERSION;
+  const send = async () => {
+    const response = await fetch(`${session.instanceUrl}/services/data/${apiVersion}${path}`, {
+      ...init,
+      headers: {
+        Authorization: `Bearer ${session.accessToken}`,
+        'content-type': 'application/json',
+        ...init?.headers,
+      },
+    });
+    recordApiUsage(session, response);
+    return response;
+  };
+
+  let refreshed = false;
+
+  for (let attempt = 0; ; attempt += 1) {
+    let response;
+    try {
+      response = await send();
+    } catch (error) {
+      // A read that never reached Salesforce is safe to repeat; a write might have landed
+      if (method !== 'GET' || attempt >= settings.maxRetries) throw error;
+      await sleep(backoffMs(attempt, settings));
+      continue;
+    }
+
+    if (response.ok) return response;
+
+    let errorBody = await safeJson(response);
+
+    if (!refreshed && isInvalidSession(response.status, errorBody) && typeof session.refresh === 'function') {
+      refreshed = true;
+      await session.refresh();
+      response = await send();
+      if (response.ok) return response;
+      errorBody = await safeJson(response);
+    }
+
+    const delayMs =
+      attempt < settings.maxRetries && isRetryableResponse(method, response.status, errorBody)
+        ? retryDelayMs(response, attempt, settings)
+        : null;
+
+    if (delayMs === null) {
+      const error = new SalesforceError(`${failureMessage} (${response.status})`, response.status, errorBody);
+      error.apiUsage = session.apiUsage ?? null;
+      throw error;
+    }
+
+    console.warn('Retrying Salesforce request', {
+      path: path.split('?')[0],
+      status: response.status,
+      errorCodes: errorCodes(errorBody),
+      attempt: attempt + 1,
+      delayMs,
+    });
+    await sleep(delayMs);
+  }
+}
+
+async function createRecord(session, objectName, body) {
+  const response = await salesforceRequest(
+    session,
+    `/sobjects/${objectName}/`,
+    { method: 'POST', body: JSON.stringify(body) },
+    `Failed to create ${objectName}`
+  );
+
+  return response.json();
+}
+
+async function updateRecord(session, objectName, recordId, body) {
+  await salesforceRequest(
+    session,
+    `/sobjects/${objectName}/${recordId}`,
+    { method: 'PATCH', body: JSON.stringify(body) },
+    `Failed to update ${objectName}`
+  );
+
+  return { id: recordId };
+}
+
+async function deleteRecord(session, objectName, recordId) {
+  await salesforceRequest(
+    session,
+    `/sobjects/${objectName}/${recordId}`,
+    { method: 'DELETE' },
+    `Failed to delete ${objectName}`
+  );
+
+  return { id: recordId };
+}
+
+async function upsertRecord(session, objectName, externalIdField, externalId, body) {
+  const response = await salesforceRequest(
+    session,
+    `/sobjects/${objectName}/${externalIdField}/${encodeURIComponent(externalId)}`,
+    { method: 'PATCH', body: JSON.stringify(body) },
+    `Failed to upsert ${objectName}`
+  );
+
+  if (response.status === 204) {
+    return { id: externalId };
+  }
+
+  const json = await response.json();
+  return { id: json.id || externalId };
+}
+
+async function queryRecords(session, soql) {
+  const response = await salesforceRequest(
+    session,
+    `/query?q=${encodeURIComponent(soql)}`,
+    { method: 'GET' },
+    'Salesforce query failed'
+  );
+
+  return response.json();
+}
+
+async function searchRecords(session, sosl) {
+  const response = await salesforceRequest(
+    session,
+    `/search?q=${encodeURIComponent(sosl)}`,
+    { method: 'GET' },
+    'Salesforce search failed'
+  );
+  const json = await response.json();
+
+  return json?.searchRecords || [];
+}
+
+// Follows nextRecordsUrl until every batch of the result set has been read
+async function queryAll(session, soql) {
+  let result = await queryRecords(session, soql);
+  const records = [...(result?.records || [])];
+
+  while (result && result.done === false && result.nextRecordsUrl) {
+    const response = await salesforceRequest(
+      session,
+      result.nextRecordsUrl.replace(VERSIONED_PREFIX, ''),
+      { method: 'GET' },
+      'Salesforce query failed'
+    );
+    result = await response.json();
+    records.push(...(result?.records || []));
+  }
+
+  return records;
+}
+
+// SOSL reserves these characters inside FIND {...}
+function escapeSosl(value) {
+  return String(value).replace(/[?&|!{}[\]()^~*:\\"'+-]/g, '\\$&');
+}
+
+function escapeSoql(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+async function findCallByKey(session, keyField, keyValue, fields = []) {
+  if (!keyValue) return null;
+
+  const selected = ['Id', ...fields.filter((field) => field !== 'Id')].join(', ');
+  const soql = `SELECT ${selected} FROM NoCall_Call__c WHERE ${keyField} = '${escapeSoql(keyValue)}' ORDER BY LastModifiedDate DESC LIMIT 1`;
+  const result = await queryRecords(session, soql);
+
+  return result?.records?.[0] || null;
+}
+
+const ATTRIBUTION_FIELDS = 'Id, NoCall_Call__c, Label__c, Value__c, External_Id__c';
+
+// Every attribution row of a call, oldest first, following nextRecordsUrl past the first page
+async function findAttributionsForCall(session, callId) {
+  if (!callId) return [];
+
+  const soql =
+    `SELECT ${ATTRIBUTION_FIELDS} FROM NoCall_Attribution__c ` +
+    `WHERE NoCall_Call__c = '${escapeSoql(callId)}' ORDER BY CreatedDate, Id`;
+  return queryAll(session, soql);
+}
+
+async function findChildIds(session, objectName, parentField, parentId) {
+  if (!parentId) return [];
+
+  const soql = `SELECT Id FROM ${objectName} WHERE ${parentField} = '${escapeSoql(parentId)}'`;
+  const records = await queryAll(session, soql);
+
+  return records.map((record) => record.Id).filter(Boolean);
+}
+
+// Map of title → ContentDocumentId for files already linked to a record
+async function findLinkedDocuments(session, entityId, titles) {
+  if (!entityId || titles.length === 0) return {};
+
+  const titleList = titles.map((title) => `'${escapeSoql(title)}'`).join(', ');
+  const soql = `SELECT ContentDocumentId, ContentDocument.Title FROM ContentDocumentLink WHERE LinkedEntityId = '${escapeSoql(entityId)}' AND ContentDocument.Title IN (${titleList})`;
+  const result = await queryRecords(session, soql);
+
+  return Object.fromEntries(
+    (result?.records || []).map((record) => [record.ContentDocument?.Title, record.ContentDocumentId])
+  );
+}
+
+function subrequestUrl(path) {
+  return `/services/data/${API_VERSION}${path}`;
+}
+
+// Subrequests are built against the default version; a session on another version rewrites them
+function withApiVersion(compositeRequest, apiVersion) {
+  if (!apiVersion || apiVersion === API_VERSION) return compositeRequest;
+  return compositeRequest.map((node) => ({
+    ...node,
+    url: node.url.replace(VERSIONED_PREFIX, `/services/data/${apiVersion}`),
+  }));
+}
+
+// `SALESFORCE_API_VERSION` accepts "60.0" or "v60.0"
+function resolveApiVersion(env = {}) {
+  const version = String(env.SALESFORCE_API_VERSION || '').trim();
+  if (!version) return API_VERSION;
+  return version.startsWith('v') ? version : `v${version}`;
+}
+
+function isProcessingHalted(body) {
+  return Array.isArray(body) && body.some((entry) => entry?.errorCode === 'PROCESSING_HALTED');
+}
+
+// Runs a single composite graph. Salesforce commits every node of a graph or none of them,
+// so a graph that failed on lock contention is safe to send again.
+async function compositeGraph(session, graphId, compositeRequest) {
+  const settings = session.settings || requestSettings();
+
+  for (let attempt = 0; ; attempt += 1) {
+    const response = await salesforceRequest(
+      session,
+      '/composite/graph',
+      {
+        method: 'POST',
+        body: JSON.stringify({
+          graphs: [{ graphId, compositeRequest: withApiVersion(compositeRequest, session.apiVersion) }],
+        }),
+      },
+      'Salesforce composite request failed'
+    );
+    const json = await response.json();
+    const graph = json?.graphs?.find((entry) => entry.graphId === graphId) || json?.graphs?.[0];
+    const results = graph?.graphResponse?.compositeResponse || [];
+
+    if (graph?.isSuccessful) {
+      return Object.fromEntries(results.map((entry) => [entry.referenceId, entry]));
+    }
+
+    const failure =
+      results.find((entry) => entry.httpStatusCode >= 400 && !isProcessingHalted(entry.body)) ||
+      results.find((entry) => entry.httpStatusCode >= 400);
+    const status = failure?.httpStatusCode ?? 500;
+    const codes = errorCodes(failure?.body);
+
+    if (attempt < settings.maxRetries && codes.some((code) => RETRYABLE_ERROR_CODES.has(code))) {
+      const delayMs = backoffMs(attempt, settings);
+      console.warn('Retrying Salesforce composite graph', { graphId, errorCodes: codes, attempt: attempt + 1, delayMs });
+      await sleep(delayMs);
+      continue;
+    }
+
+    const error = new SalesforceError(
+      `Salesforce composite request failed at ${failure?.referenceId ?? graphId} (${status})`,
+      status,
+      failure?.body ?? json
+    );
+    error.apiUsage = session.apiUsage ?? null;
+    throw error;
+  }
+}
+
+// sObject Collections accept at most 200 records per request
+const COLLECTION_LIMIT = 200;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+// Results line up with the input: { id, success, errors } per record. A chunk whose request
+// fails outright yields a failed result for each of its records instead of throwing.
+async function collectionRequest(session, items, sendChunk) {
+  const results = [];
+
+  for (const batch of chunk(items, COLLECTION_LIMIT)) {
+    try {
+      const response = await sendChunk(batch);
+      const json = await response.json();
+      results.push(...batch.map((_, index) => json?.[index] ?? { success: false, errors: [] }));
+    } catch (error) {
+      if (!(error instanceof SalesforceError)) throw error;
+      const errors = Array.isArray(error.body) ? error.body : [{ message: error.message }];
+      results.push(...batch.map(() => ({ id: null, success: false, errors })));
+    }
+  }
+
+  return results;
+}
+
+// allOrNone is off so one bad record does not fail the rest of its chunk
+function collectionBody(objectName, records) {
+  return JSON.stringify({
+    allOrNone: false,
+    records: records.map((record) => ({ attributes: { type: objectName }, ...record })),
+  });
+}
+
+async function createRecords(session, objectName, records) {
+  return collectionRequest(session, records, (batch) =>
+    salesforceRequest(
+      session,
+      '/composite/sobjects',
+      { method: 'POST', body: collectionBody(objectName, batch) },
+      `Failed to create ${objectName} records`
+    )
+  );
+}
+
+// Each record carries its Id
+async function updateRecords(session, objectName, records) {
+  return collectionRequest(session, records, (batch) =>
+    salesforceRequest(
+      session,
+      '/composite/sobjects',
+      { method: 'PATCH', body: collectionBody(objectName, batch) },
+      `Failed to update ${objectName} records`
+    )
+  );
+}
+
+async function upsertRecords(session, objectName, externalIdField, records) {
+  return collectionRequest(session, records, (batch) =>
+    salesforceRequest(
+      session,
+      `/composite/sobjects/${objectName}/${externalIdField}`,
+      { method: 'PATCH', body: collectionBody(objectName, batch) },
+      `Failed to upsert ${objectName} records`
+    )
+  );
+}
+
+async function deleteRecords(session, ids) {
+  return collectionRequest(session, ids, (batch) =>
+    salesforceRequest(
+      session,
+      `/composite/sobjects?ids=${batch.map(encodeURIComponent).join(',')}&allOrNone=false`,
+      { method: 'DELETE' },
+      'Failed to delete records'
+    )
+  );
+}
+
+// Latest matching call per key value, looked up with IN queries of up to 200 keys
+async function findCallsByKeys(session, keyField, keyValues, fields = []) {
+  const unique = [...new Set(keyValues.filter(Boolean).map(String))];
+  const selected = ['Id', ...fields.filter((field) => field !== 'Id' && field !== keyField), keyField].join(', ');
+  const matches = new Map();
+
+  for (const batch of chunk(unique, COLLECTION_LIMIT)) {
+    const valueList = batch.map((value) => `'${escapeSoql(value)}'`).join(', ');
+    const soql = `SELECT ${selected} FROM NoCall_Call__c WHERE ${keyField} IN (${valueList}) ORDER BY LastModifiedDate DESC`;
+
+    for (const record of await queryAll(session, soql)) {
+      const key = String(record[keyField]);
+      if (!matches.has(key)) matches.set(key, record);
+    }
+  }
+
+  return matches;
+}
+
+// Map of call id → attribution rows, oldest first
+async function findAttributionsForCalls(session, callIds) {
+  const byCall = new Map(callIds.map((id) => [id, []]));
+
+  for (const batch of chunk([...byCall.keys()], COLLECTION_LIMIT)) {
+    const idList = batch.map((id) => `'${escapeSoql(id)}'`).join(', ');
+    const soql =
+      `SELECT ${ATTRIBUTION_FIELDS} FROM NoCall_Attribution__c ` +
+      `WHERE NoCall_Call__c IN (${idList}) ORDER BY CreatedDate, Id`;
+
+    for (const record of await queryAll(session, soql)) {
+      byCall.get(record.NoCall_Call__c)?.push(record);
+    }
+  }
+
+  return byCall;
+}
+
+export {
+  API_VERSION,
+  COLLECTION_LIMIT,
+  SalesforceError,
+  assertApiCapacity,
+  chunk,
+  clearApiUsage,
+  safeJson,
+  isRetryableError,
+  parseLimitInfo,
+  requestSettings,
+  resolveApiVersion,
+  salesforceRequest,
+  createRecord,
+  updateRecord,
+  deleteRecord,
+  upsertRecord,
+  createRecords,
+  updateRecords,
+  upsertRecords,
+  deleteRecords,
+  queryRecords,
+  queryAll,
+  searchRecords,
+  escapeSoql,
+  escapeSosl,
+  findCallByKey,
+  findCallsByKeys,
+  findAttributionsForCall,
+  findAttributionsForCalls,
+  findChildIds,
+  findLinkedDocuments,
+  subrequestUrl,
+  compositeGraph,
+};
@@ -0,0 +1,193 @@
+import assert from 'node:assert/strict';
+import { clearTokenCache, createSession } from './auth.js';
+import { clearApiUsage, compositeGraph, createRecord, parseLimitInfo, queryRecords } from './salesforce.js';
+import { acceptGraph, createMockResponse, respondToGraph, sendWebhook } from './test-helpers.js';
+
+const fastRetries = { NOCALL_SF_RETRY_BASE_MS: '1' };
+
+// `responses` are answered in order for every non-token request; the last one repeats
+async function withResponses(responses, fn) {
+  const originalFetch = global.fetch;
+  const originalWarn = console.warn;
+  const requests = [];
+  clearTokenCache();
+  clearApiUsage();
+  console.warn = () => {};
+
+  global.fetch = async (url, options = {}) => {
+    if (String(url).includes('/services/oauth2/token')) {
+      return createMockResponse({ access_token: 'token', instance_url: 'https://x' });
+    }
+
+    requests.push({ url: String(url), method: options.method || 'GET' });
+    const next = responses[Math.min(requests.length - 1, responses.length - 1)];
+    if (next instanceof Error) throw next;
+    return typeof next === 'function' ? next(url, options) : next;
+  };
+
+  try {
+    await fn(requests);
+  } finally {
+    console.warn = originalWarn;
+    global.fetch = originalFetch;
+    clearTokenCache();
+    clearApiUsage();
+  }
+}
+
+async function testLimitInfoIsParsed() {
+  assert.deepEqual(parseLimitInfo('api-usage=18/15000'), { used: 18, limit: 15000, remaining: 14982 });
+  assert.deepEqual(parseLimitInfo('per-app-api-usage=2/100(appName=x), api-usage=90/100'), {
+    used: 90,
+    limit: 100,
+    remaining: 10,
+  });
+  assert.equal(parseLimitInfo(null), null);
+}
+
+async function testRetryAfterIsHonored() {
+  await withResponses(
+    [
+      createMockResponse([{ errorCode: 'SERVER_UNAVAILABLE' }], 503, { 'Retry-After': '0' }),
+      createMockResponse({ records: [] }, 200, { 'Sforce-Limit-Info': 'api-usage=41/15000' }),
+    ],
+    async (requests) => {
+      const session = await createSession(fastRetries);
+      const result = await queryRecords(session, 'SELECT Id FROM NoCall_Call__c');
+
+      assert.deepEqual(result, { records: [] });
+      assert.equal(requests.length, 2);
+      assert.deepEqual(session.apiUsage, { used: 41, limit: 15000, remaining: 14959 });
+    }
+  );
+}
+
+async function testLongRetryAfterIsLeftToTheCaller() {
+  await withResponses(
+    [createMockResponse([{ errorCode: 'REQUEST_LIMIT_EXCEEDED' }], 429, { 'Retry-After': '120' })],
+    async (requests) => {
+      const session = await createSession(fastRetries);
+
+      await assert.rejects(queryRecords(session, 'SELECT Id FROM NoCall_Call__c'), (error) => error.status === 429);
+      assert.equal(requests.length, 1);
+    }
+  );
+}
+
+async function testRetriesAreBounded() {
+  await withResponses(
+    [createMockResponse([{ errorCode: 'UNABLE_TO_LOCK_ROW', message: 'locked' }], 400)],
+    async (requests) => {
+      const session = await createSession({ ...fastRetries, NOCALL_SF_MAX_RETRIES: '3' });
+
+      await assert.rejects(createRecord(session, 'NoCall_Call__c', {}), (error) => error.status === 400);
+      assert.equal(requests.length, 4);
+    }
+  );
+}
+
+async function testWritesAreNotRetriedOnAmbiguousFailures() {
+  await withResponses(
+    [createMockResponse([{ errorCode: 'UNKNOWN_EXCEPTION' }], 500), new TypeError('network down')],
+    async (requests) => {
+      const session = await createSession(fastRetries);
+
+      await assert.rejects(createRecord(session, 'NoCall_Call__c', {}), (error) => error.status === 500);
+      assert.equal(requests.length, 1, 'A write that may have landed is not repeated');
+
+      await assert.rejects(queryRecords(session, 'SELECT Id FROM NoCall_Call__c'), /network down/);
+      assert.equal(requests.length, 4, 'Reads are retried after a 500 and after network errors');
+    }
+  );
+}
+
+async function testGatewayErrorsOnlyRetryReads() {
+  for (const status of [502, 504]) {
+    await withResponses([createMockResponse(null, status)], async (requests) => {
+      const session = await createSession(fastRetries);
+
+      await assert.rejects(
+        compositeGraph(session, 'g', [{ method: 'POST', url: '/x', referenceId: 'call' }]),
+        (error) => error.status === status
+      );
+      assert.equal(requests.length, 1, `A graph that got a ${status} is not sent again`);
+
+      await assert.rejects(queryRecords(session, 'SELECT Id FROM NoCall_Call__c'), (error) => error.status === status);
+      assert.equal(requests.length, 4);
+    });
+  }
+
+  await withResponses(
+    [
+      createMockResponse([{ errorCode: 'SERVER_UNAVAILABLE' }], 503),
+      createMockResponse({ id: 'a01', success: true }, 201),
+    ],
+    async (requests) => {
+      const session = await createSession(fastRetries);
+
+      assert.equal((await createRecord(session, 'NoCall_Call__c', {})).id, 'a01');
+      assert.equal(requests.length, 2, 'A 503 turned the write away, so it is sent again');
+    }
+  );
+}
+
+async function testLockedGraphIsSentAgain() {
+  const graph = (isSuccessful) => (url, options) =>
+    respondToGraph(options, () =>
+      isSuccessful
+        ? { httpStatusCode: 201, body: { id: 'a01' } }
+        : { httpStatusCode: 400, body: [{ errorCode: 'UNABLE_TO_LOCK_ROW' }] }
+    );
+
+  await withResponses([graph(false), graph(true)], async (requests) => {
+    const session = await createSession(fastRetries);
+    const results = await compositeGraph(session, 'g', [{ method: 'POST', url: '/x', referenceId: 'call' }]);
+
+    assert.equal(results.call.body.id, 'a01');
+    assert.equal(requests.length, 2);
+  });
+}
+
+async function testUsageIsReportedAndLoadIsShed() {
+  const usage = (used) => ({ 'Sforce-Limit-Info': `api-usage=${used}/1000` });
+  const respond = (used) => (url, options) => {
+    if (String(url).includes('/query')) return createMockResponse({ records: [] }, 200, usage(used));
+
+    return acceptGraph(options, usage(used + 1));
+  };
+  const send = (env) => sendWebhook(env, { id: 'call-1', callStatus: 'completed', to: '+819012345678' });
+
+  await withResponses([respond(949)], async (requests) => {
+    const env = { NOCALL_SF_API_USAGE_THRESHOLD_PCT: '95' };
+
+    const first = await send(env);
+    assert.equal(first.status, 201);
+    assert.deepEqual(first.body.apiUsage, { used: 950, limit: 1000, remaining: 50 });
+
+    const shed = await send(env);
+    assert.equal(shed.status, 503);
+    assert.equal(shed.body.detail.errorCode, 'API_USAGE_THRESHOLD');
+    assert.deepEqual(shed.body.detail.apiUsage, { used: 950, limit: 1000, remaining: 50 });
+    assert.equal(requests.length, 2, 'No Salesforce calls are spent once the threshold is crossed');
+
+    const unlimited = await send({ NOCALL_SF_API_USAGE_THRESHOLD_PCT: '0' });
+    assert.equal(unlimited.status, 201);
+  });
+}
+
+async function run() {
+  await testLimitInfoIsParsed();
+  await testRetryAfterIsHonored();
+  await testLongRetryAfterIsLeftToTheCaller();
+  await testRetriesAreBounded();
+  await testWritesAreNotRetriedOnAmbiguousFailures();
+  await testGatewayErrorsOnlyRetryReads();
+  await testLockedGraphIsSentAgain();
+  await testUsageIsReportedAndLoadIsShed();
+  console.log('All salesforce tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
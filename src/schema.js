@@ -0,0 +1,218 @@
+// Structural validation of incoming payloads, reported per JSON path before anything reaches Salesforce
+import { ValidationError } from './errors.js';
+import { isEnabled } from './values.js';
+
+// Offsets are required so a timestamp is never read in the worker's time zone
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+const string = { type: 'string' };
+const identifier = { type: ['string', 'integer'] };
+const dateTime = { type: 'string', format: 'date-time' };
+const scalar = { type: ['string', 'number', 'boolean'] };
+
+const ATTRIBUTION_LIST = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: { label: string, value: scalar, externalId: string },
+  },
+};
+
+const DIRECT_SCHEMA = {
+  type: 'object',
+  required: ['call'],
+  properties: {
+    call: {
+      type: 'object',
+      // Any Salesforce field may be sent; the ones the worker reads itself are typed
+      additionalProperties: scalar,
+      properties: {
+        CallRecord_Id__c: identifier,
+        Call_Status__c: string,
+        From_Phone__c: string,
+        To_Phone__c: string,
+        EndUser_Phone__c: string,
+        Normalized_Phone__c: string,
+        Dialed_At__c: dateTime,
+        Ended_At__c: dateTime,
+        Webhook_Timestamp__c: dateTime,
+        Duration_Sec__c: { type: ['number', 'string'], format: 'number' },
+        Conversation__c: string,
+        message: string,
+        notes: string,
+      },
+    },
+    attributions: ATTRIBUTION_LIST,
+    id: identifier,
+    timestamp: dateTime,
+  },
+};
+
+const MESSAGE = {
+  type: 'object',
+  required: ['role'],
+  properties: {
+    role: string,
+    name: string,
+    tool_call_id: string,
+    tool_calls: {
+      type: 'array',
+      items: { type: 'object', properties: { id: string, name: string } },
+    },
+  },
+};
+
+const CONSOLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: identifier,
+    event: string,
+    timestamp: dateTime,
+    callStatus: string,
+    from: string,
+    to: string,
+    detailsUrl: { type: 'string', format: 'url' },
+    Normalized_Phone__c: string,
+    endUser: {
+      type: 'object',
+      properties: {
+        id: identifier,
+        phoneNumber: string,
+        attributions: { type: 'object', additionalProperties: scalar },
+      },
+    },
+    conversation: {
+      type: 'object',
+      properties: {
+        startTime: dateTime,
+        endTime: dateTime,
+        duration: { type: 'number', minimum: 0 },
+        message: { type: 'array', items: MESSAGE },
+        messages: { type: 'array', items: MESSAGE },
+        goalStatus: string,
+        goalResult: string,
+      },
+    },
+    agent: { type: 'object', properties: { id: identifier, name: string } },
+    attributions: ATTRIBUTION_LIST,
+  },
+};
+
+function isStrictSchema(env) {
+  return isEnabled(env.NOCALL_SCHEMA_STRICT);
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return [].concat(type).some((expected) =>
+    expected === 'number' ? actual === 'number' || actual === 'integer' : expected === actual
+  );
+}
+
+function describeType(type) {
+  return [].concat(type).join(' or ');
+}
+
+function childPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function checkFormat(value, format) {
+  if (format === 'date-time') {
+    return DATE_TIME.test(value) && !Number.isNaN(Date.parse(value))
+      ? null
+      : 'must be an ISO 8601 date-time with a time zone offset';
+  }
+
+  if (format === 'number') {
+    return typeof value === 'number' || (value.trim() !== '' && Number.isFinite(Number(value)))
+      ? null
+      : 'must be numeric';
+  }
+
+  if (format === 'url') {
+    try {
+      new URL(value);
+      return null;
+    } catch {
+      return 'must be an absolute URL';
+    }
+  }
+
+  return null;
+}
+
+// Null is accepted wherever a field is optional; NoCall sends it for values not yet known
+function validateNode(value, schema, path, violations) {
+  if (value === undefined || value === null) return;
+
+  if (!matchesType(value, schema.type)) {
+    violations.push({ path, message: `must be ${describeType(schema.type)}, got ${typeOf(value)}` });
+    return;
+  }
+
+  if (schema.format && typeof value === 'string') {
+    const problem = checkFormat(value, schema.format);
+    if (problem) violations.push({ path, message: problem });
+  }
+
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    violations.push({ path, message: `must be at least ${schema.minimum}` });
+  }
+
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, violations));
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        violations.push({ path: childPath(path, key), message: 'is required' });
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key] ?? schema.additionalProperties;
+      if (childSchema) validateNode(child, childSchema, childPath(path, key), violations);
+    }
+  }
+}
+
+function schemaFor(payload) {
+  return payload && typeof payload === 'object' && 'call' in payload ? DIRECT_SCHEMA : CONSOLE_SCHEMA;
+}
+
+// Returns every violation as { path, message }; an empty list means the payload is acceptable
+function validatePayload(payload, { strict = false } = {}) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return [{ path: '$', message: `must be object, got ${payload === null ? 'null' : typeOf(payload)}` }];
+  }
+
+  const schema = schemaFor(payload);
+  const violations = [];
+
+  if (strict) {
+    for (const key of Object.keys(payload)) {
+      if (!schema.properties[key]) violations.push({ path: childPath('$', key), message: 'is not a known field' });
+    }
+  }
+
+  validateNode(payload, schema, '$', violations);
+  return violations;
+}
+
+function assertValidPayload(payload, env) {
+  const violations = validatePayload(payload, { strict: isStrictSchema(env) });
+
+  if (violations.length > 0) {
+    throw new ValidationError('Payload failed schema validation', 422, violations);
+  }
+}
+
+export { CONSOLE_SCHEMA, DIRECT_SCHEMA, assertValidPayload, validatePayload };
@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { handleRequest } from './index.js';
+import { validatePayload } from './schema.js';
+import { allowUnsigned } from './test-helpers.js';
+
+const consolePayload = {
+  id: '1',
+  timestamp: '2025-03-28T15:45:05.240+09:00',
+  callStatus: 'completed',
+  from: '+815012345678',
+  to: '+819098765432',
+  detailsUrl: 'https://example.com/console/call-history/1',
+  endUser: { id: '1', phoneNumber: '+819012345678', attributions: { 姓: '山田' } },
+  conversation: {
+    startTime: '2025-03-28T15:40:05.240+09:00',
+    endTime: null,
+    duration: 300,
+    message: [
+      { role: 'user', content: 'hello' },
+      { role: 'assistant_tool_call', tool_calls: [{ id: 'tc-1', name: 'lookup', args: { a: 1 } }] },
+    ],
+    goalStatus: 'achieved',
+  },
+  agent: { id: 1, name: 'agent1' },
+};
+
+async function testValidPayloadsPass() {
+  assert.deepEqual(validatePayload(consolePayload), []);
+  assert.deepEqual(
+    validatePayload({
+      call: { CallRecord_Id__c: 1, Duration_Sec__c: '300', Custom__c: true },
+      attributions: [{ label: '姓', value: '山田' }],
+    }),
+    []
+  );
+}
+
+async function testEveryViolationIsReportedWithItsPath() {
+  const violations = validatePayload({
+    ...consolePayload,
+    timestamp: '2025-03-28 15:45',
+    callStatus: 3,
+    endUser: { attributions: { 'お名前 (カナ)': { nested: true } } },
+    conversation: { duration: -1, message: [{ content: 'no role' }, 'text'] },
+  });
+
+  assert.deepEqual(violations, [
+    { path: '$.timestamp', message: 'must be an ISO 8601 date-time with a time zone offset' },
+    { path: '$.callStatus', message: 'must be string, got integer' },
+    { path: '$.endUser.attributions["お名前 (カナ)"]', message: 'must be string or number or boolean, got object' },
+    { path: '$.conversation.duration', message: 'must be at least 0' },
+    { path: '$.conversation.message[0].role', message: 'is required' },
+    { path: '$.conversation.message[1]', message: 'must be object, got string' },
+  ]);
+}
+
+async function testDirectShapeIsCheckedSeparately() {
+  assert.deepEqual(
+    validatePayload({
+      call: { Dialed_At__c: 'yesterday', Duration_Sec__c: 'five', Nested__c: { a: 1 } },
+      attributions: { label: 'x' },
+    }),
+    [
+      { path: '$.call.Dialed_At__c', message: 'must be an ISO 8601 date-time with a time zone offset' },
+      { path: '$.call.Duration_Sec__c', message: 'must be numeric' },
+      { path: '$.call.Nested__c', message: 'must be string or number or boolean, got object' },
+      { path: '$.attributions', message: 'must be array, got object' },
+    ]
+  );
+  assert.deepEqual(validatePayload([consolePayload]), [{ path: '$', message: 'must be object, got array' }]);
+}
+
+async function testStrictModeRejectsUnknownTopLevelKeys() {
+  const payload = { ...consolePayload, callstatus: 'completed' };
+
+  assert.deepEqual(validatePayload(payload), []);
+  assert.deepEqual(validatePayload(payload, { strict: true }), [
+    { path: '$.callstatus', message: 'is not a known field' },
+  ]);
+  assert.deepEqual(validatePayload({ call: {}, extra: 1 }, { strict: true }), [
+    { path: '$.extra', message: 'is not a known field' },
+  ]);
+}
+
+async function testHandlerReturns422BeforeContactingSalesforce() {
+  const originalFetch = global.fetch;
+  global.fetch = async (url) => {
+    throw new Error(`Unexpected fetch call: ${url}`);
+  };
+
+  try {
+    const response = await handleRequest(
+      new Request('https://example.com', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ ...consolePayload, duration: 1, conversation: { duration: '300' } }),
+      }),
+      allowUnsigned({ NOCALL_SCHEMA_STRICT: 'true' })
+    );
+    const body = await response.json();
+
+    assert.equal(response.status, 422);
+    assert.equal(body.error, 'Payload failed schema validation');
+    assert.deepEqual(body.detail, [
+      { path: '$.duration', message: 'is not a known field' },
+      { path: '$.conversation.duration', message: 'must be number, got string' },
+    ]);
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function run() {
+  await testValidPayloadsPass();
+  await testEveryViolationIsReportedWithItsPath();
+  await testDirectShapeIsCheckedSeparately();
+  await testStrictModeRejectsUnknownTopLevelKeys();
+  await testHandlerReturns422BeforeContactingSalesforce();
+  console.log('All schema tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
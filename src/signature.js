@@ -0,0 +1,105 @@
+// HMAC-SHA256 verification for inbound NoCall webhooks
+import { isEnabled } from './values.js';
+
+const SIGNATURE_HEADER = 'x-nocall-signature';
+const TIMESTAMP_HEADER = 'x-nocall-timestamp';
+const DEFAULT_TOLERANCE_SEC = 300;
+
+const encoder = new TextEncoder();
+
+class SignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SignatureError';
+  }
+}
+
+function getSigningSecrets(env) {
+  // Two slots so a new secret can be rolled out before the old one is retired
+  return [env.NOCALL_WEBHOOK_SECRET, env.NOCALL_WEBHOOK_SECRET_PREVIOUS].filter(Boolean);
+}
+
+// Fails closed: an unset secret rejects every request unless unsigned delivery is explicitly allowed
+function isSignatureRequired(env) {
+  if (getSigningSecrets(env).length > 0) return true;
+  return !isEnabled(env.NOCALL_ALLOW_UNSIGNED);
+}
+
+async function computeSignature(secret, timestamp, rawBody) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${rawBody}`));
+
+  return [...new Uint8Array(signature)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+
+  return diff === 0;
+}
+
+function parseTimestamp(value) {
+  if (!value || !/^\d+$/.test(value)) return null;
+
+  const numeric = Number(value);
+  // Accept both seconds and milliseconds since epoch
+  return numeric > 1e12 ? Math.floor(numeric / 1000) : numeric;
+}
+
+async function verifySignature(request, rawBody, env, now = Date.now()) {
+  const secrets = getSigningSecrets(env);
+  const header = request.headers.get(SIGNATURE_HEADER);
+  const timestampHeader = request.headers.get(TIMESTAMP_HEADER);
+
+  if (secrets.length === 0) {
+    throw new SignatureError('NOCALL_WEBHOOK_SECRET is not set');
+  }
+
+  if (!header) {
+    throw new SignatureError(`Missing ${SIGNATURE_HEADER} header`);
+  }
+
+  if (!timestampHeader) {
+    throw new SignatureError(`Missing ${TIMESTAMP_HEADER} header`);
+  }
+
+  const timestamp = parseTimestamp(timestampHeader);
+  if (timestamp === null) {
+    throw new SignatureError(`Invalid ${TIMESTAMP_HEADER} header`);
+  }
+
+  const tolerance = Number(env.NOCALL_SIGNATURE_TOLERANCE_SEC) || DEFAULT_TOLERANCE_SEC;
+  if (Math.abs(Math.floor(now / 1000) - timestamp) > tolerance) {
+    throw new SignatureError('Webhook timestamp is outside the allowed tolerance');
+  }
+
+  const provided = header.trim().replace(/^sha256=/i, '').toLowerCase();
+
+  for (const secret of secrets) {
+    const expected = await computeSignature(secret, timestampHeader, rawBody);
+    if (timingSafeEqual(provided, expected)) return true;
+  }
+
+  throw new SignatureError('Webhook signature does not match');
+}
+
+export {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  SignatureError,
+  computeSignature,
+  isSignatureRequired,
+  timingSafeEqual,
+  verifySignature,
+};
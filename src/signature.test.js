@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { computeSignature, isSignatureRequired, SignatureError, verifySignature } from './signature.js';
+
+const NOW = Date.UTC(2025, 2, 28, 6, 45, 5);
+const NOW_SEC = String(Math.floor(NOW / 1000));
+
+function signedRequest(headers) {
+  return new Request('https://example.com', { method: 'POST', headers });
+}
+
+async function testAcceptsValidSignature() {
+  const body = '{"id":"1"}';
+  const signature = await computeSignature('secret-a', NOW_SEC, body);
+  const request = signedRequest({
+    'x-nocall-signature': `sha256=${signature}`,
+    'x-nocall-timestamp': NOW_SEC,
+  });
+
+  assert.equal(await verifySignature(request, body, { NOCALL_WEBHOOK_SECRET: 'secret-a' }, NOW), true);
+}
+
+async function testAcceptsPreviousSecretDuringRotation() {
+  const body = '{"id":"1"}';
+  const signature = await computeSignature('old-secret', NOW_SEC, body);
+  const request = signedRequest({ 'x-nocall-signature': signature, 'x-nocall-timestamp': NOW_SEC });
+  const env = { NOCALL_WEBHOOK_SECRET: 'new-secret', NOCALL_WEBHOOK_SECRET_PREVIOUS: 'old-secret' };
+
+  assert.equal(await verifySignature(request, body, env, NOW), true);
+}
+
+async function testRejectsTamperedBody() {
+  const signature = await computeSignature('secret-a', NOW_SEC, '{"id":"1"}');
+  const request = signedRequest({ 'x-nocall-signature': signature, 'x-nocall-timestamp': NOW_SEC });
+
+  await assert.rejects(
+    verifySignature(request, '{"id":"2"}', { NOCALL_WEBHOOK_SECRET: 'secret-a' }, NOW),
+    (error) => error instanceof SignatureError && /does not match/.test(error.message)
+  );
+}
+
+async function testRejectsStaleTimestamp() {
+  const body = '{"id":"1"}';
+  const staleSec = String(Math.floor(NOW / 1000) - 301);
+  const signature = await computeSignature('secret-a', staleSec, body);
+  const request = signedRequest({ 'x-nocall-signature': signature, 'x-nocall-timestamp': staleSec });
+
+  await assert.rejects(
+    verifySignature(request, body, { NOCALL_WEBHOOK_SECRET: 'secret-a' }, NOW),
+    (error) => error instanceof SignatureError && /tolerance/.test(error.message)
+  );
+}
+
+async function testRejectsMissingHeaders() {
+  const request = signedRequest({ 'x-nocall-timestamp': NOW_SEC });
+
+  await assert.rejects(
+    verifySignature(request, '{}', { NOCALL_WEBHOOK_SECRET: 'secret-a' }, NOW),
+    (error) => error instanceof SignatureError && /x-nocall-signature/.test(error.message)
+  );
+}
+
+async function testUnsignedWebhooksNeedAnExplicitOptOut() {
+  assert.equal(isSignatureRequired({}), true);
+  assert.equal(isSignatureRequired({ NOCALL_ALLOW_UNSIGNED: 'true' }), false);
+  assert.equal(isSignatureRequired({ NOCALL_ALLOW_UNSIGNED: 'true', NOCALL_WEBHOOK_SECRET: 'secret-a' }), true);
+
+  await assert.rejects(
+    verifySignature(signedRequest({ 'x-nocall-timestamp': NOW_SEC }), '{}', {}, NOW),
+    (error) => error instanceof SignatureError && error.message === 'NOCALL_WEBHOOK_SECRET is not set'
+  );
+}
+
+async function run() {
+  await testAcceptsValidSignature();
+  await testAcceptsPreviousSecretDuringRotation();
+  await testRejectsTamperedBody();
+  await testRejectsStaleTimestamp();
+  await testRejectsMissingHeaders();
+  await testUnsignedWebhooksNeedAnExplicitOptOut();
+  console.log('All signature tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
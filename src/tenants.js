@@ -0,0 +1,208 @@
+// Routes each webhook to a tenant's Salesforce org and settings when several business units share one Worker
+import { ConfigError } from './errors.js';
+import { isPlainObject } from './values.js';
+
+const TENANTS_KV_KEY = 'config:tenants';
+const TENANT_HEADER = 'x-nocall-tenant';
+const CONFIG_CACHE_MS = 60 * 1000;
+const TENANT_ID = /^[A-Za-z0-9_-]+$/;
+const TENANT_PATH = /^\/t\/([^/]+)(\/.*)?$/;
+const API_VERSION_FORMAT = /^v?\d+\.0$/;
+
+// Non-secret connection settings that may sit in the tenant config itself
+const SALESFORCE_SETTINGS = {
+  loginUrl: 'SALESFORCE_LOGIN_URL',
+  apiVersion: 'SALESFORCE_API_VERSION',
+  authFlow: 'SALESFORCE_AUTH_FLOW',
+  clientId: 'SALESFORCE_CLIENT_ID',
+  username: 'SALESFORCE_USERNAME',
+  jwtAudience: 'SALESFORCE_JWT_AUDIENCE',
+  tokenTtlSec: 'SALESFORCE_TOKEN_TTL_SEC',
+};
+
+// Read from Worker secrets under the tenant's prefix, e.g. SALES_SALESFORCE_CLIENT_SECRET
+const TENANT_SECRETS = [
+  'SALESFORCE_CLIENT_ID',
+  'SALESFORCE_CLIENT_SECRET',
+  'SALESFORCE_USERNAME',
+  'SALESFORCE_PASSWORD',
+  'SALESFORCE_SECURITY_TOKEN',
+  'SALESFORCE_PRIVATE_KEY',
+  'NOCALL_WEBHOOK_SECRET',
+  'NOCALL_WEBHOOK_SECRET_PREVIOUS',
+  'NOCALL_RECORDING_HEADERS',
+];
+
+function defaultSecretPrefix(id) {
+  return `${id.toUpperCase().replace(/-/g, '_')}_`;
+}
+
+function isAgentId(value) {
+  return (typeof value === 'string' && value !== '') || Number.isInteger(value);
+}
+
+function validateTenant(id, tenant, problems) {
+  const where = `tenants.${id}`;
+
+  if (!TENANT_ID.test(id)) problems.push(`${where}: ids may only use letters, digits, "-" and "_"`);
+  if (!isPlainObject(tenant)) {
+    problems.push(`${where}: must be an object`);
+    return;
+  }
+
+  if (tenant.agentIds !== undefined && !(Array.isArray(tenant.agentIds) && tenant.agentIds.every(isAgentId))) {
+    problems.push(`${where}.agentIds: must be an array of agent ids`);
+  }
+
+  const salesforce = tenant.salesforce ?? {};
+  if (!isPlainObject(salesforce)) {
+    problems.push(`${where}.salesforce: must be an object`);
+  } else {
+    for (const key of Object.keys(salesforce)) {
+      if (!(key in SALESFORCE_SETTINGS) && key !== 'secretPrefix') {
+        problems.push(`${where}.salesforce: unknown setting "${key}"; secrets belong in Worker secrets`);
+      }
+    }
+    if (salesforce.apiVersion !== undefined && !API_VERSION_FORMAT.test(String(salesforce.apiVersion))) {
+      problems.push(`${where}.salesforce.apiVersion: must look like "v60.0"`);
+    }
+  }
+
+  if (tenant.settings !== undefined && !isPlainObject(tenant.settings)) {
+    problems.push(`${where}.settings: must be an object of Worker settings`);
+  }
+  for (const name of Object.keys(isPlainObject(tenant.settings) ? tenant.settings : {})) {
+    if (!name.startsWith('NOCALL_') || name.startsWith('NOCALL_TENANT') || TENANT_SECRETS.includes(name)) {
+      problems.push(`${where}.settings: "${name}" cannot be set per tenant here`);
+    }
+  }
+}
+
+// Returns { tenants: Map(id -> tenant), byAgentId: Map(agentId -> id), defaultTenant }
+function validateTenants(config) {
+  if (!isPlainObject(config) || !isPlainObject(config.tenants)) {
+    throw new ConfigError('Invalid tenant configuration', ['"tenants" must map tenant ids to their settings']);
+  }
+
+  const problems = [];
+  const byAgentId = new Map();
+
+  for (const [id, tenant] of Object.entries(config.tenants)) {
+    validateTenant(id, tenant, problems);
+
+    for (const agentId of Array.isArray(tenant?.agentIds) ? tenant.agentIds : []) {
+      const key = String(agentId);
+      if (byAgentId.has(key)) {
+        problems.push(`tenants.${id}.agentIds: agent "${key}" already belongs to "${byAgentId.get(key)}"`);
+      }
+      byAgentId.set(key, id);
+    }
+  }
+
+  if (config.default !== undefined && !Object.hasOwn(config.tenants, config.default)) {
+    problems.push(`default: "${config.default}" is not a configured tenant`);
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError('Invalid tenant configuration', problems);
+  }
+
+  return {
+    tenants: new Map(Object.entries(config.tenants).map(([id, tenant]) => [id, { id, ...tenant }])),
+    byAgentId,
+    defaultTenant: config.default ?? null,
+  };
+}
+
+let cachedKvTenants = null;
+
+// Null when no tenants are configured: the Worker then serves the single org in its own env
+async function loadTenants(env) {
+  if (env.NOCALL_TENANTS) {
+    let parsed;
+    try {
+      parsed = JSON.parse(env.NOCALL_TENANTS);
+    } catch (error) {
+      throw new ConfigError('Invalid tenant configuration', [`NOCALL_TENANTS is not JSON: ${error}`]);
+    }
+    return validateTenants(parsed);
+  }
+
+  if (!env.NOCALL_KV) return null;
+
+  if (cachedKvTenants && cachedKvTenants.expiresAt > Date.now()) return cachedKvTenants.config;
+
+  let stored;
+  try {
+    stored = await env.NOCALL_KV.get(TENANTS_KV_KEY, 'json');
+  } catch (error) {
+    throw new ConfigError('Invalid tenant configuration', [`${TENANTS_KV_KEY} is not JSON: ${error}`]);
+  }
+  const config = stored ? validateTenants(stored) : null;
+  cachedKvTenants = { config, expiresAt: Date.now() + CONFIG_CACHE_MS };
+
+  return config;
+}
+
+function clearTenantCache() {
+  cachedKvTenants = null;
+}
+
+// The path prefix wins over the header, which wins over the payload's agent.id, then the default.
+// `requested` is the id that was asked for, so an unknown one can be reported. `config` may be null.
+function resolveTenant(config, { pathname, header, agentId }) {
+  const fromPath = TENANT_PATH.exec(pathname)?.[1];
+  const requested = fromPath ? decodeURIComponent(fromPath) : header || null;
+
+  if (requested) {
+    return { tenant: config?.tenants.get(requested) ?? null, requested };
+  }
+
+  const agentTenant = agentId === undefined || agentId === null ? null : config?.byAgentId.get(String(agentId));
+  const id = agentTenant ?? config?.defaultTenant;
+
+  return { tenant: id ? config.tenants.get(id) : null, requested: null };
+}
+
+// The path without its /t/:tenant prefix, so /t/sales/batch still reads as a batch request
+function stripTenantPath(pathname) {
+  const match = TENANT_PATH.exec(pathname);
+  return match ? match[2] || '/' : pathname;
+}
+
+// The Worker env as this tenant sees it. Salesforce credentials never fall through from the
+// shared env, so a tenant missing a secret fails to log in instead of writing to another org;
+// the webhook secret does, so every tenant is still verified.
+function tenantEnv(env, tenant) {
+  const scoped = Object.fromEntries(Object.entries(env).filter(([name]) => !name.startsWith('SALESFORCE_')));
+  const prefix = tenant.salesforce?.secretPrefix ?? defaultSecretPrefix(tenant.id);
+
+  for (const name of TENANT_SECRETS) {
+    const value = env[`${prefix}${name}`];
+    if (value !== undefined) scoped[name] = value;
+  }
+
+  for (const [key, name] of Object.entries(SALESFORCE_SETTINGS)) {
+    const value = tenant.salesforce?.[key];
+    if (value !== undefined && value !== null) scoped[name] = String(value);
+  }
+
+  // Object settings such as NOCALL_FIELD_MAPPING are stored as JSON, the way env vars carry them
+  for (const [name, value] of Object.entries(tenant.settings || {})) {
+    scoped[name] = typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  scoped.NOCALL_TENANT = tenant.id;
+  return scoped;
+}
+
+export {
+  TENANTS_KV_KEY,
+  TENANT_HEADER,
+  clearTenantCache,
+  loadTenants,
+  resolveTenant,
+  stripTenantPath,
+  tenantEnv,
+  validateTenants,
+};
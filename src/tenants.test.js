@@ -0,0 +1,203 @@
+import assert from 'node:assert/strict';
+import { handleRequest, processWebhook } from './index.js';
+import { clearTokenCache } from './auth.js';
+import { clearTenantCache, loadTenants, resolveTenant, tenantEnv, validateTenants } from './tenants.js';
+import { acceptGraph, createMemoryKv, createMockResponse, sendWebhook } from './test-helpers.js';
+
+const TENANTS = {
+  default: 'support',
+  tenants: {
+    sales: {
+      agentIds: ['agent-sales'],
+      salesforce: { loginUrl: 'https://sales.my.salesforce.com', apiVersion: 'v60.0' },
+      settings: { NOCALL_MATCH_STRATEGY: 'callRecordId' },
+    },
+    support: {
+      agentIds: ['agent-support', 42],
+      salesforce: { loginUrl: 'https://support.my.salesforce.com', secretPrefix: 'CS_' },
+    },
+  },
+};
+
+const SECRETS = {
+  SALESFORCE_CLIENT_ID: 'shared-client',
+  SALESFORCE_CLIENT_SECRET: 'shared-secret',
+  SALES_SALESFORCE_CLIENT_ID: 'sales-client',
+  SALES_SALESFORCE_CLIENT_SECRET: 'sales-secret',
+  SALES_SALESFORCE_USERNAME: 'sales@example.com',
+  SALES_SALESFORCE_PASSWORD: 'pw',
+  CS_SALESFORCE_CLIENT_ID: 'cs-client',
+  CS_SALESFORCE_CLIENT_SECRET: 'cs-secret',
+  CS_SALESFORCE_USERNAME: 'cs@example.com',
+  CS_SALESFORCE_PASSWORD: 'pw',
+};
+
+async function testConfigurationIsValidated() {
+  assert.throws(
+    () =>
+      validateTenants({
+        default: 'missing',
+        tenants: {
+          sales: { agentIds: ['a1'], salesforce: { apiVersion: '60', clientSecret: 'x' } },
+          'sup port': { agentIds: ['a1'], settings: { SALESFORCE_USERNAME: 'u', NOCALL_WEBHOOK_SECRET: 's' } },
+        },
+      }),
+    (error) => {
+      assert.equal(error.name, 'ConfigError');
+      assert.deepEqual(error.problems, [
+        'tenants.sales.salesforce: unknown setting "clientSecret"; secrets belong in Worker secrets',
+        'tenants.sales.salesforce.apiVersion: must look like "v60.0"',
+        'tenants.sup port: ids may only use letters, digits, "-" and "_"',
+        'tenants.sup port.settings: "SALESFORCE_USERNAME" cannot be set per tenant here',
+        'tenants.sup port.settings: "NOCALL_WEBHOOK_SECRET" cannot be set per tenant here',
+        'tenants.sup port.agentIds: agent "a1" already belongs to "sales"',
+        'default: "missing" is not a configured tenant',
+      ]);
+      return true;
+    }
+  );
+}
+
+async function testTenantIsResolvedByPathHeaderAgentOrDefault() {
+  const config = validateTenants(TENANTS);
+  const resolve = (request) => {
+    const { tenant, requested } = resolveTenant(config, { pathname: '/', ...request });
+    return [tenant?.id ?? null, requested];
+  };
+
+  assert.deepEqual(resolve({ pathname: '/t/sales/batch', header: 'support', agentId: 'agent-support' }), [
+    'sales',
+    'sales',
+  ]);
+  assert.deepEqual(resolve({ header: 'support', agentId: 'agent-sales' }), ['support', 'support']);
+  assert.deepEqual(resolve({ agentId: 'agent-sales' }), ['sales', null]);
+  assert.deepEqual(resolve({ agentId: 42 }), ['support', null]);
+  assert.deepEqual(resolve({ agentId: 'agent-unknown' }), ['support', null]);
+  assert.deepEqual(resolve({ pathname: '/t/marketing' }), [null, 'marketing']);
+  assert.deepEqual(resolveTenant(null, { pathname: '/' }), { tenant: null, requested: null });
+}
+
+async function testTenantEnvKeepsCredentialsApart() {
+  const config = validateTenants(TENANTS);
+  const base = { ...SECRETS, SALESFORCE_LOGIN_URL: 'https://login.salesforce.com', NOCALL_WEBHOOK_SECRET: 'hook' };
+
+  const sales = tenantEnv(base, config.tenants.get('sales'));
+  assert.equal(sales.SALESFORCE_CLIENT_ID, 'sales-client');
+  assert.equal(sales.SALESFORCE_LOGIN_URL, 'https://sales.my.salesforce.com');
+  assert.equal(sales.SALESFORCE_API_VERSION, 'v60.0');
+  assert.equal(sales.NOCALL_MATCH_STRATEGY, 'callRecordId');
+  assert.equal(sales.NOCALL_WEBHOOK_SECRET, 'hook', 'The shared webhook secret still applies');
+  assert.equal(sales.NOCALL_TENANT, 'sales');
+
+  // A tenant without its own secrets must not borrow the shared org's
+  const bare = tenantEnv(base, { id: 'bare' });
+  assert.equal(bare.SALESFORCE_CLIENT_ID, undefined);
+  assert.equal(bare.SALESFORCE_LOGIN_URL, undefined);
+}
+
+async function testConfigIsReadFromKv() {
+  clearTenantCache();
+  const env = { NOCALL_KV: createMemoryKv() };
+  env.NOCALL_KV.store.set('config:tenants', JSON.stringify(TENANTS));
+
+  try {
+    const config = await loadTenants(env);
+    assert.deepEqual([...config.tenants.keys()], ['sales', 'support']);
+    assert.equal(await loadTenants({}), null);
+  } finally {
+    clearTenantCache();
+  }
+}
+
+async function testWebhooksReachTheirTenantsOrg() {
+  const originalFetch = global.fetch;
+  const originalWarn = console.warn;
+  clearTokenCache();
+  console.warn = () => {};
+  const logins = [];
+  const writes = [];
+
+  global.fetch = async (url, options = {}) => {
+    const target = String(url);
+
+    if (target.includes('/services/oauth2/token')) {
+      const origin = new URL(target).origin;
+      logins.push([origin, new URLSearchParams(options.body).get('client_id')]);
+      return createMockResponse({ access_token: `token-${logins.length}`, instance_url: origin });
+    }
+
+    if (target.includes('/query')) {
+      return createMockResponse({ records: [] });
+    }
+
+    if (target.includes('/composite/sobjects')) {
+      const { records } = JSON.parse(options.body);
+      return createMockResponse(records.map((record, index) => ({ id: `batch-${index}`, success: true })));
+    }
+
+    if (target.includes('/composite/graph')) {
+      const [graph] = JSON.parse(options.body).graphs;
+      writes.push({ url: target, nodeUrl: graph.compositeRequest[0].url });
+      return acceptGraph(options);
+    }
+
+    throw new Error(`Unexpected fetch call: ${url}`);
+  };
+
+  const env = { ...SECRETS, NOCALL_TENANTS: JSON.stringify(TENANTS) };
+  const send = (path, body, headers = {}) => sendWebhook(env, body, { path, headers });
+  const call = (id, agentId) => ({ id, callStatus: 'completed', to: '+819012345678', agent: { id: agentId } });
+
+  try {
+    assert.equal((await send('/t/sales', call('c1'))).status, 201);
+    assert.equal((await send('/', call('c2', 'agent-sales'))).status, 201);
+    assert.equal((await send('/', call('c3'), { 'X-NoCall-Tenant': 'support' })).status, 201);
+    assert.equal((await send('/', call('c4', 'agent-nobody'))).status, 201);
+
+    assert.deepEqual(logins, [
+      ['https://sales.my.salesforce.com', 'sales-client'],
+      ['https://support.my.salesforce.com', 'cs-client'],
+    ]);
+    assert.match(writes[0].url, /^https:\/\/sales\.my\.salesforce\.com\/services\/data\/v60\.0\/composite\/graph$/);
+    assert.match(writes[0].nodeUrl, /^\/services\/data\/v60\.0\/sobjects\//);
+    assert.match(writes[2].url, /^https:\/\/support\.my\.salesforce\.com\/services\/data\/v58\.0\//);
+
+    const unknown = await send('/t/marketing', call('c5'));
+    assert.equal(unknown.status, 404);
+    assert.deepEqual(unknown.body, { error: 'Unknown tenant', tenant: 'marketing' });
+
+    const batch = await send('/t/sales/batch', [call('c6')]);
+    assert.equal(batch.status, 200);
+    assert.equal(batch.body.results[0].operation, 'insert');
+    assert.equal(logins.length, 2, 'Tokens are cached per tenant');
+
+    await assert.rejects(processWebhook(call('c7'), env, 'marketing'), (error) => error.status === 404);
+  } finally {
+    console.warn = originalWarn;
+    global.fetch = originalFetch;
+    clearTokenCache();
+  }
+}
+
+async function testSingleOrgDeploymentsRejectTenantPaths() {
+  const response = await handleRequest(
+    new Request('https://example.com/t/sales', { method: 'POST', body: '{}' }),
+    {}
+  );
+  assert.equal(response.status, 404);
+}
+
+async function run() {
+  await testConfigurationIsValidated();
+  await testTenantIsResolvedByPathHeaderAgentOrDefault();
+  await testTenantEnvKeepsCredentialsApart();
+  await testConfigIsReadFromKv();
+  await testWebhooksReachTheirTenantsOrg();
+  await testSingleOrgDeploymentsRejectTenantPaths();
+  console.log('All tenants tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
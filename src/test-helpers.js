@@ -0,0 +1,103 @@
+// Fakes shared by the *.test.js suites: fetch responses, the Salesforce login, KV and webhook requests
+import { clearTokenCache } from './auth.js';
+import { handleRequest } from './index.js';
+
+function createMockResponse(body, status = 200, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers(headers),
+    json: async () => body,
+  };
+}
+
+// Enough of the KV API for config, tokens, delivery records and dead letters
+function createMemoryKv() {
+  const store = new Map();
+  return {
+    store,
+    async get(key, type) {
+      const value = store.get(key);
+      if (value === undefined) return null;
+      return type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      store.set(key, value);
+    },
+  };
+}
+
+// Answers a composite graph request node by node; `respond(node)` gives `{ httpStatusCode, body }`
+function respondToGraph(options, respond, headers = {}) {
+  const [{ graphId, compositeRequest }] = JSON.parse(options.body).graphs;
+  const compositeResponse = compositeRequest.map((node) => ({
+    referenceId: node.referenceId,
+    ...respond(node),
+  }));
+  const isSuccessful = compositeResponse.every((entry) => entry.httpStatusCode < 400);
+
+  const graphs = [{ graphId, isSuccessful, graphResponse: { compositeResponse } }];
+
+  return createMockResponse({ graphs }, 200, headers);
+}
+
+// Creates get 201 with an id named after the node, everything else 204
+function acceptGraph(options, headers = {}) {
+  return respondToGraph(
+    options,
+    (node) =>
+      node.method === 'POST'
+        ? { httpStatusCode: 201, body: { id: `id-${node.referenceId}` } }
+        : { httpStatusCode: 204, body: null },
+    headers
+  );
+}
+
+// Runs `fn` with `handler` as fetch behind a stubbed Salesforce login, info and warn logs silenced.
+// Everything is restored afterwards, including the token cache.
+async function withSalesforce(handler, fn) {
+  const originalFetch = global.fetch;
+  const originalLog = { info: console.info, warn: console.warn };
+  clearTokenCache();
+  console.info = () => {};
+  console.warn = () => {};
+  global.fetch = async (url, options = {}) => {
+    if (String(url).includes('/services/oauth2/token')) {
+      return createMockResponse({ access_token: 'token', instance_url: 'https://x' });
+    }
+    return handler(url, options);
+  };
+
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, originalLog);
+    global.fetch = originalFetch;
+    clearTokenCache();
+  }
+}
+
+// Most suites post unsigned payloads, which the worker only accepts when told to
+function allowUnsigned(env = {}) {
+  return { NOCALL_ALLOW_UNSIGNED: 'true', ...env };
+}
+
+// POSTs `body` as JSON through the worker and reads the JSON response
+async function sendWebhook(env, body, { path = '/', headers = {}, ctx } = {}) {
+  const response = await handleRequest(
+    new Request(`https://example.com${path}`, { method: 'POST', headers, body: JSON.stringify(body) }),
+    allowUnsigned(env),
+    ctx
+  );
+  return { status: response.status, body: await response.json() };
+}
+
+export {
+  acceptGraph,
+  allowUnsigned,
+  createMemoryKv,
+  createMockResponse,
+  respondToGraph,
+  sendWebhook,
+  withSalesforce,
+};
@@ -0,0 +1,83 @@
+// Keeps Conversation__c within its Long Text Area limit and plans full-transcript Salesforce Files
+import { formatConversation } from './conversation.js';
+import { ConfigError } from './errors.js';
+
+// Salesforce's maximum Long Text Area length
+const DEFAULT_MAX_CHARS = 131072;
+const FORMATS = new Set(['text', 'json', 'both']);
+const ATTACH_MODES = new Set(['overflow', 'always', 'never']);
+
+function transcriptSettings(env) {
+  const format = env.NOCALL_TRANSCRIPT_FORMAT || 'text';
+  const attach = env.NOCALL_TRANSCRIPT_ATTACH || 'overflow';
+  const maxChars = Number(env.NOCALL_CONVERSATION_MAX_CHARS) || DEFAULT_MAX_CHARS;
+  const problems = [];
+
+  if (!FORMATS.has(format)) problems.push('NOCALL_TRANSCRIPT_FORMAT must be text, json or both');
+  if (!ATTACH_MODES.has(attach)) problems.push('NOCALL_TRANSCRIPT_ATTACH must be overflow, always or never');
+  if (maxChars < 200) problems.push('NOCALL_CONVERSATION_MAX_CHARS must be at least 200');
+
+  if (problems.length > 0) {
+    throw new ConfigError('Invalid transcript configuration', problems);
+  }
+
+  return { format, attach, maxChars };
+}
+
+function truncationMarker(attached) {
+  return attached
+    ? '\n…[truncated: the full transcript is attached to this call as a file]'
+    : '\n…[truncated]';
+}
+
+function truncate(text, maxChars, attached) {
+  const marker = truncationMarker(attached);
+  return `${text.slice(0, maxChars - marker.length)}${marker}`;
+}
+
+function fileTitle(callBody) {
+  return `NoCall transcript ${callBody.CallRecord_Id__c || callBody.Normalized_Phone__c || ''}`.trim();
+}
+
+// `messages` is the raw NoCall message array when the payload carried one
+function planTranscript(callBody, messages, env) {
+  const text = callBody.Conversation__c;
+  if (typeof text !== 'string' || text.length === 0) return { callBody, files: [] };
+
+  const { format, attach, maxChars } = transcriptSettings(env);
+  const overflow = text.length > maxChars;
+  const attached = attach === 'always' || (attach === 'overflow' && overflow);
+
+  const files = [];
+  if (attached) {
+    const title = fileTitle(callBody);
+    const fullText = Array.isArray(messages) ? formatConversation(messages) : text;
+
+    if (format === 'text' || format === 'both' || !Array.isArray(messages)) {
+      files.push({ title, pathOnClient: `${title}.txt`, content: fullText });
+    }
+
+    if ((format === 'json' || format === 'both') && Array.isArray(messages)) {
+      files.push({ title: `${title} (JSON)`, pathOnClient: `${title}.json`, content: JSON.stringify(messages, null, 2) });
+    }
+  }
+
+  return {
+    callBody: overflow ? { ...callBody, Conversation__c: truncate(text, maxChars, attached) } : callBody,
+    files,
+    truncated: overflow,
+  };
+}
+
+// Text is encoded as UTF-8; bytes, such as a downloaded recording, are taken as they are
+function toBase64(content) {
+  const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+  let binary = '';
+  // Chunked to stay below the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export { DEFAULT_MAX_CHARS, planTranscript, toBase64 };
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { planTranscript } from './transcript.js';
+import { acceptGraph, createMockResponse, sendWebhook, withSalesforce } from './test-helpers.js';
+
+const messages = [
+  { role: 'system', content: 'system prompt' },
+  { role: 'user', content: 'あ'.repeat(400) },
+  { role: 'assistant', content: 'response' },
+];
+
+async function testShortTranscriptIsUntouched() {
+  const callBody = { CallRecord_Id__c: '1', Conversation__c: 'user: hello' };
+  const plan = planTranscript(callBody, undefined, {});
+
+  assert.equal(plan.callBody, callBody);
+  assert.deepEqual(plan.files, []);
+}
+
+async function testLongTranscriptIsTruncatedAndAttached() {
+  const text = `user: ${'あ'.repeat(400)}\nassistant: response`;
+  const plan = planTranscript(
+    { CallRecord_Id__c: '1', Conversation__c: text },
+    messages,
+    { NOCALL_CONVERSATION_MAX_CHARS: '300', NOCALL_TRANSCRIPT_FORMAT: 'both' }
+  );
+
+  assert.equal(plan.truncated, true);
+  assert.equal(plan.callBody.Conversation__c.length, 300);
+  assert.ok(plan.callBody.Conversation__c.endsWith('attached to this call as a file]'));
+  assert.deepEqual(
+    plan.files.map((file) => file.pathOnClient),
+    ['NoCall transcript 1.txt', 'NoCall transcript 1.json']
+  );
+  assert.equal(plan.files[0].content, text);
+  assert.deepEqual(JSON.parse(plan.files[1].content), messages);
+}
+
+async function testAttachNeverOnlyTruncates() {
+  const plan = planTranscript(
+    { Conversation__c: 'x'.repeat(500) },
+    undefined,
+    { NOCALL_CONVERSATION_MAX_CHARS: '300', NOCALL_TRANSCRIPT_ATTACH: 'never' }
+  );
+
+  assert.equal(plan.callBody.Conversation__c.length, 300);
+  assert.ok(plan.callBody.Conversation__c.endsWith('[truncated]'));
+  assert.deepEqual(plan.files, []);
+}
+
+async function testFilesAreWrittenWithTheCall() {
+  let graphNodes;
+
+  const handler = async (url, options = {}) => {
+    if (String(url).includes('/query') && String(url).includes('ContentDocumentLink')) {
+      return createMockResponse({
+        records: [{ ContentDocumentId: 'doc-1', ContentDocument: { Title: 'NoCall transcript call-1' } }],
+      });
+    }
+
+    if (String(url).includes('/query')) {
+      return createMockResponse({ records: [{ Id: 'a01' }] });
+    }
+
+    if (String(url).includes('/composite/graph')) {
+      graphNodes = JSON.parse(options.body).graphs[0].compositeRequest;
+      return acceptGraph(options);
+    }
+
+    throw new Error(`Unexpected fetch call: ${url}`);
+  };
+
+  await withSalesforce(handler, async () => {
+    const { status, body } = await sendWebhook(
+      { NOCALL_CONVERSATION_MAX_CHARS: '300', NOCALL_TRANSCRIPT_FORMAT: 'both' },
+      { id: 'call-1', to: '+819012345678', conversation: { message: messages } },
+      { headers: { 'content-type': 'application/json' } }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.transcriptTruncated, true);
+    assert.deepEqual(body.transcriptFileIds, ['id-file0', 'id-file1']);
+
+    const files = graphNodes.filter((node) => node.url.includes('ContentVersion'));
+    assert.equal(files.length, 2);
+    assert.equal(files[0].body.ContentDocumentId, 'doc-1', 'Existing transcript should get a new version');
+    assert.equal(files[1].body.FirstPublishLocationId, 'a01');
+    assert.equal(Buffer.from(files[0].body.VersionData, 'base64').toString('utf8').startsWith('user: あ'), true);
+    assert.equal(graphNodes[0].body.Conversation__c.length, 300);
+  });
+}
+
+async function run() {
+  await testShortTranscriptIsUntouched();
+  await testLongTranscriptIsTruncatedAndAttached();
+  await testAttachNeverOnlyTruncates();
+  await testFilesAreWrittenWithTheCall();
+  console.log('All transcript tests passed');
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,28 @@
+// Value helpers shared by the settings readers and validators of several modules
+
+// Boolean settings are on only when set to "true", in any case
+function isEnabled(value) {
+  return String(value || '').toLowerCase() === 'true';
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Comma-separated setting; `fallback` applies only when it is not set at all
+function parseList(value, fallback = []) {
+  if (value === undefined || value === null) return fallback;
+  return String(value)
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+// Milliseconds since epoch for a date-time string, null when it is missing or unreadable
+function toEpoch(value) {
+  if (typeof value !== 'string' || value === '') return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+export { isEnabled, isPlainObject, parseList, toEpoch };